@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+// Bearer token check for HTTP API routes that generate images outside Slack (e.g. POST /podium)
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Compare a presented token with the configured one in constant time
+export function isValidApiToken(configuredToken, presentedToken) {
+  if (!configuredToken || !presentedToken) {
+    return false;
+  }
+  return crypto.timingSafeEqual(digest(configuredToken), digest(presentedToken));
+}
+
+// preValidation hook factory: require "Authorization: Bearer <token>". Routes stay disabled (503)
+// while no token is configured, so a fresh deployment never exposes them by accident.
+export function verifyApiToken(getToken) {
+  return async function (request, reply) {
+    const configuredToken = getToken();
+    if (!configuredToken) {
+      return reply.code(503).send({ error: 'This endpoint is disabled until API_TOKEN is set' });
+    }
+
+    const [scheme, presentedToken] = String(request.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !isValidApiToken(configuredToken, presentedToken)) {
+      request.log.warn({ url: request.url }, '🔒 Rejected API request with a missing or wrong token');
+      return reply.code(401).send({ error: 'Invalid API token' });
+    }
+  };
+}
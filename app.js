@@ -0,0 +1,2297 @@
+import Fastify from 'fastify';
+import cors from '@fastify/cors';
+import multipart from '@fastify/multipart';
+import staticPlugin from '@fastify/static';
+import env from '@fastify/env';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import fetch from 'node-fetch';
+import { WebClient } from '@slack/web-api';
+import { getRandomWorkingMessage } from './working-messages.js';
+import { captureRawBody, verifySlackRequest, verifySlackRequestFromAnyBot } from './slack-verify.js';
+import { createJobQueue, QueueFullError } from './job-queue.js';
+import { createJobStore, JobInterruptedError, JOB_STATUSES } from './job-store.js';
+import { writeImageWithMetadata, detectImageFormat, convertImageFormat } from './image-metadata.js';
+import { buildResultActionBlocks, buildRetryBlocks, parseResultAction, uploadedFileIds, RESULT_ACTIONS, VARIATION_PROMPT } from './result-actions.js';
+import { createGallery, DEFAULT_THUMBNAIL_WIDTH, MAX_THUMBNAIL_WIDTH } from './gallery.js';
+import { loadProfiles, loadProfileReferences, renderPromptTemplate, isChannelAllowed, SUPPORTED_RATIOS } from './profiles.js';
+import { conversationType, expandChannelPatterns, isConversationAllowed, parseChannelRules } from './channel-rules.js';
+import { loggerOptions, jobLogBindings } from './logging.js';
+import { classifyError, REFUSAL_CLASSES, runWithRetries } from './retry-policy.js';
+import { createMetricsRegistry, instrumentSlackClient, METRICS_CONTENT_TYPE } from './metrics.js';
+import { createUsageLog, parsePriceTable, parseSince, summarizeUsage, formatUsageReport, usageCsv, DEFAULT_USAGE_PRICES } from './usage.js';
+import { createImageProviders, resolveProvider } from './providers.js';
+import { createLogoOverlay, LOGO_CORNERS } from './logo-overlay.js';
+import { IMAGE_SIZES, allowedImageSizes, readImageDimensions, checkImageDimensions, closestRatio } from './image-dimensions.js';
+import { createFlagSpecs, parseCommandFlags, pickFlags, formatFlagHelp, flagPromptDirections, FlagError } from './command-flags.js';
+import { createDailyHeader, resolveHeaderDate, formatHeaderDate, headerEditPrompt, HEADER_WIDTH, HEADER_HEIGHT } from './daily-header.js';
+import { createDailySchedule, parseDailyTime } from './daily-schedule.js';
+import { calendarDateIn, isoDate, isValidTimeZone } from './time-zone.js';
+import { parsePodiumText, parsePodiumCsv, validatePodium, podiumScenePlacement, renderPodiumOverlay, PodiumError, PODIUM_USAGE, MIN_PODIUM_NAMES, MAX_PODIUM_NAMES } from './podium.js';
+import { verifyApiToken } from './api-token.js';
+import { makeCutout, readSourceImage, CutoutError, SOURCE_FORMATS } from './cutout.js';
+import { createRateLimiter, parseLimit, rateLimitMessage } from './rate-limits.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Environment configuration schema
+const envSchema = {
+  type: 'object',
+  required: ['PORT', 'IMAGE_SLACK_BOT_TOKEN', 'IMAGE_SLACK_SIGNING_SECRET', 'TMAI_SLACK_BOT_TOKEN', 'TMAI_SLACK_SIGNING_SECRET', 'IMAGE_SLACK_BOT_USER_ID'],
+  properties: {
+    PORT: { type: 'string', default: '0110' },
+    HOST: { type: 'string', default: '0.0.0.0' },
+    LOG_LEVEL: { type: 'string', default: 'info' },
+    IMAGE_SLACK_BOT_TOKEN: { type: 'string' },
+    IMAGE_SLACK_SIGNING_SECRET: { type: 'string' },
+    TMAI_SLACK_BOT_TOKEN: { type: 'string' },
+    TMAI_SLACK_SIGNING_SECRET: { type: 'string' },
+    IMAGE_SLACK_BOT_USER_ID: { type: 'string' },
+    TARGET_CHANNEL: { type: 'string', default: 'C08BW4X3VMX' },
+    CHANNEL_RULES: { type: 'string', default: '' },
+    OUTPUT_DIR: { type: 'string', default: './generated-images' },
+    PROFILES_DIR: { type: 'string', default: './profiles' },
+    JOBS_FILE: { type: 'string', default: './data/jobs.jsonl' },
+    MAX_IMAGE_SIZE: { type: 'string', default: '2048' },
+    MAX_CONCURRENT: { type: 'string', default: '20' },
+    MAX_QUEUED: { type: 'string', default: '50' },
+    IMAGE_PROVIDER: { type: 'string', default: 'gemini' },
+    GEMINI_API_KEY: { type: 'string', default: '' },
+    GEMINI_IMAGE_MODEL: { type: 'string', default: 'gemini-3-pro-image-preview' },
+    VERTEX_PROJECT: { type: 'string', default: '' },
+    VERTEX_LOCATION: { type: 'string', default: 'us-central1' },
+    VERTEX_IMAGE_MODEL: { type: 'string', default: 'gemini-3-pro-image-preview' },
+    OPENAI_API_KEY: { type: 'string', default: '' },
+    OPENAI_IMAGE_MODEL: { type: 'string', default: 'gpt-image-1' },
+    LOGO_FILE: { type: 'string', default: './TM_logo_primary_white.png' },
+    LOGO_DARK_FILE: { type: 'string', default: '' },
+    LOGO_CORNER: { type: 'string', default: 'top-left' },
+    LOGO_SCALE: { type: 'string', default: '0.2' },
+    LOGO_MARGIN: { type: 'string', default: '0.04' },
+    DAILY_HEADER_TEMPLATE: { type: 'string', default: './TM Daily Header 1200x630  nov10.png' },
+    DAILY_HEADER_FONT: { type: 'string', default: 'Arial 32' },
+    DAILY_HEADER_FONT_FILE: { type: 'string', default: '' },
+    DAILY_HEADER_TIMEZONE: { type: 'string', default: 'America/New_York' },
+    DAILY_HEADER_CHANNEL: { type: 'string', default: '' },
+    DAILY_HEADER_TIME: { type: 'string', default: '08:00' },
+    DAILY_HEADER_FALLBACK_PROVIDER: { type: 'string', default: '' },
+    PODIUM_FONT: { type: 'string', default: 'Arial' },
+    PODIUM_FONT_FILE: { type: 'string', default: '' },
+    API_TOKEN: { type: 'string', default: '' },
+    CUTOUT_MAX_UPLOAD_MB: { type: 'string', default: '10' },
+    ADMIN_USER_IDS: { type: 'string', default: '' },
+    RATE_LIMITS_FILE: { type: 'string', default: './data/rate-limits.json' },
+    RATE_LIMIT_TIMEZONE: { type: 'string', default: 'UTC' },
+    RATE_LIMIT_USER_PER_MINUTE: { type: 'string', default: '6' },
+    RATE_LIMIT_USER_PER_DAY: { type: 'string', default: '100' },
+    RATE_LIMIT_CHANNEL_PER_MINUTE: { type: 'string', default: '30' },
+    RATE_LIMIT_CHANNEL_PER_DAY: { type: 'string', default: '1000' },
+    RATE_LIMIT_COMMAND_PER_MINUTE: { type: 'string', default: '0' },
+    RATE_LIMIT_COMMAND_PER_DAY: { type: 'string', default: '0' },
+    USAGE_FILE: { type: 'string', default: './data/usage.jsonl' },
+    USAGE_PRICES: { type: 'string', default: DEFAULT_USAGE_PRICES },
+    SHUTDOWN_GRACE_SECONDS: { type: 'string', default: '60' },
+    RESUME_INTERRUPTED_JOBS: { type: 'string', default: 'true' },
+    RESUME_MAX_AGE_MINUTES: { type: 'string', default: '30' },
+    PROVIDER_TIMEOUT_SECONDS: { type: 'string', default: '120' },
+    PROVIDER_DEADLINE_SECONDS: { type: 'string', default: '300' }
+  }
+};
+
+// Build the Fastify app with every route registered, without listening.
+// Tests pass env (instead of process.env and .env), fake Slack clients and image providers.
+export async function buildApp({ env: envOverrides, slackClients: slackClientOverrides, imageProviders: imageProviderOverrides, logger } = {}) {
+  // Initialize Fastify server
+  const fastify = Fastify({
+    logger: logger ?? loggerOptions(process.env.LOG_LEVEL || 'info')
+  });
+
+  // Resolve .env path explicitly so Fastify env loads correctly
+  const envPath = path.join(__dirname, '.env');
+
+  // Register plugins (explicit env overrides skip the .env file so tests never pick up real credentials)
+  await fastify.register(env, {
+    schema: envSchema,
+    dotenv: envOverrides ? false : {
+      path: envPath,
+      debug: true
+    },
+    data: envOverrides || process.env
+  });
+
+  await fastify.register(cors);
+  await fastify.register(multipart);
+  await fastify.register(import('@fastify/formbody'));
+
+  // Slack signature checks for each bot (raw body is captured per route via preParsing)
+  const slackRouteOptions = (getSigningSecret) => ({
+    preParsing: captureRawBody,
+    preValidation: verifySlackRequest(getSigningSecret),
+    preHandler: noteConversationFromRequest
+  });
+  const botRoutes = {
+    image: slackRouteOptions(() => fastify.config.IMAGE_SLACK_SIGNING_SECRET),
+    tmai: slackRouteOptions(() => fastify.config.TMAI_SLACK_SIGNING_SECRET)
+  };
+
+  // Create output directory if it doesn't exist
+  const outputDir = path.resolve(__dirname, fastify.config.OUTPUT_DIR);
+  try {
+    await mkdir(outputDir, { recursive: true });
+  } catch (error) {
+    fastify.log.warn('Output directory already exists or could not be created');
+  }
+
+  // Serve static files
+  await fastify.register(staticPlugin, {
+    root: outputDir,
+    prefix: '/images/'
+  });
+
+  // Helper to log token presence without leaking secrets
+  const describeToken = (label, token) => token
+    ? `${label}: present (len=${token.length})`
+    : `${label}: MISSING`;
+
+  // Prometheus metrics, served at GET /metrics
+  const metrics = createMetricsRegistry({ prefix: 'mascot_' });
+  const slackApiFailures = metrics.counter({ name: 'slack_api_failures_total', help: 'Slack Web API calls that failed', labelNames: ['bot', 'method'] });
+
+  // Initialize Slack client
+  // Separate Slack clients for different bots, counting failed calls per bot and method
+  const slackClients = Object.fromEntries(Object.entries(slackClientOverrides || {
+    image: new WebClient(fastify.config.IMAGE_SLACK_BOT_TOKEN), // For Events API mentions
+    tmai: new WebClient(fastify.config.TMAI_SLACK_BOT_TOKEN) // For TMAI slash commands
+  }).map(([bot, client]) => [bot, instrumentSlackClient(client, (method) => slackApiFailures.inc({ bot, method }))]));
+  const slackClient = slackClients.image;
+
+  // Log which tokens are being used (without leaking full secrets)
+  fastify.log.info(
+    `🔑 Env loaded from ${envPath} | ${describeToken('IMAGE_SLACK_BOT_TOKEN', fastify.config.IMAGE_SLACK_BOT_TOKEN)} | ${describeToken('TMAI_SLACK_BOT_TOKEN', fastify.config.TMAI_SLACK_BOT_TOKEN)} | IMAGE_SLACK_BOT_USER_ID: ${!!fastify.config.IMAGE_SLACK_BOT_USER_ID}`
+  );
+
+  // Debug: Show what environment variables are actually available
+  fastify.log.debug({
+    hasPort: !!process.env.PORT,
+    hasImageToken: !!process.env.IMAGE_SLACK_BOT_TOKEN,
+    hasTmaiToken: !!process.env.TMAI_SLACK_BOT_TOKEN,
+    keys: Object.keys(process.env).filter(key => key.includes('SLACK') || key.includes('GEMINI') || key === 'PORT')
+  }, 'Env presence debug');
+
+  // Image providers with credentials configured (Gemini API, Vertex AI, OpenAI, plus the offline mock)
+  const imageProviders = imageProviderOverrides || createImageProviders(fastify.config);
+  const DEFAULT_PROVIDER = fastify.config.IMAGE_PROVIDER;
+  resolveProvider(imageProviders, { defaultProvider: DEFAULT_PROVIDER });
+  fastify.log.info(`🖼️ Image providers: ${[...imageProviders.keys()].join(', ')} (default: ${DEFAULT_PROVIDER})`);
+
+  // Load subject profiles (reference assets, prompt template, commands) from the profiles directory
+  const profiles = await loadProfiles(path.resolve(__dirname, fastify.config.PROFILES_DIR));
+
+  // A profile pinned to a provider without credentials should fail at startup, not on first use
+  for (const profile of profiles.values()) {
+    if (profile.provider) {
+      resolveProvider(imageProviders, { profile });
+    }
+  }
+
+  // Brand logo composited onto results of profiles with `logo` set (instead of asking the model to draw it)
+  if (!LOGO_CORNERS.includes(fastify.config.LOGO_CORNER)) {
+    throw new Error(`LOGO_CORNER must be one of ${LOGO_CORNERS.join(', ')}`);
+  }
+  const logoOverlay = createLogoOverlay({
+    lightLogoPath: path.resolve(__dirname, fastify.config.LOGO_FILE),
+    darkLogoPath: fastify.config.LOGO_DARK_FILE ? path.resolve(__dirname, fastify.config.LOGO_DARK_FILE) : null,
+    corner: fastify.config.LOGO_CORNER,
+    scale: parseFloat(fastify.config.LOGO_SCALE),
+    margin: parseFloat(fastify.config.LOGO_MARGIN)
+  });
+
+  // TM Daily header: the date is drawn over the template; a model edit is only tried if drawing fails
+  // and DAILY_HEADER_FALLBACK_PROVIDER is set
+  const HEADER_TIMEZONE = fastify.config.DAILY_HEADER_TIMEZONE;
+  if (!isValidTimeZone(HEADER_TIMEZONE)) {
+    throw new Error(`DAILY_HEADER_TIMEZONE "${HEADER_TIMEZONE}" is not a known timezone`);
+  }
+  const headerTime = parseDailyTime(fastify.config.DAILY_HEADER_TIME);
+  if (!headerTime) {
+    throw new Error('DAILY_HEADER_TIME must be HH:MM (24h)');
+  }
+  const headerFallbackProvider = fastify.config.DAILY_HEADER_FALLBACK_PROVIDER
+    ? resolveProvider(imageProviders, { requested: fastify.config.DAILY_HEADER_FALLBACK_PROVIDER })
+    : null;
+  const dailyHeader = createDailyHeader({
+    templatePath: path.resolve(__dirname, fastify.config.DAILY_HEADER_TEMPLATE),
+    text: { font: fastify.config.DAILY_HEADER_FONT },
+    fontFile: fastify.config.DAILY_HEADER_FONT_FILE ? path.resolve(__dirname, fastify.config.DAILY_HEADER_FONT_FILE) : null,
+    editWithModel: headerFallbackProvider && (async (template, dateText) => {
+      const call = { command: HEADER_COMMAND, subject: HEADER_SUBJECT, provider: headerFallbackProvider.id, model: headerFallbackProvider.model, ratio: '16:9', attempt: 1 };
+      const startedAt = Date.now();
+      try {
+        const edited = await headerFallbackProvider.generate({
+          prompt: headerEditPrompt(dateText),
+          images: [{ buffer: template, mimeType: 'image/png' }],
+          ratio: '16:9'
+        });
+        recordProviderCall({ ...call, outcome: 'succeeded', latencyMs: Date.now() - startedAt });
+        return edited.buffer;
+      } catch (error) {
+        recordProviderCall({ ...call, outcome: 'failed', error: error.message, errorClass: classifyError(error), latencyMs: Date.now() - startedAt });
+        throw error;
+      }
+    })
+  });
+
+  // Profile used for @mentions of the image bot
+  const MENTION_PROFILE_ID = 'freeform';
+  const mentionProfile = profiles.get(MENTION_PROFILE_ID);
+  if (!mentionProfile) {
+    throw new Error(`Missing "${MENTION_PROFILE_ID}" profile in ${fastify.config.PROFILES_DIR}`);
+  }
+
+  // Profile for the /podium scene (names are overlaid afterwards, see podium.js)
+  const PODIUM_PROFILE_ID = 'podium';
+  const podiumProfile = profiles.get(PODIUM_PROFILE_ID);
+  if (!podiumProfile) {
+    throw new Error(`Missing "${PODIUM_PROFILE_ID}" profile in ${fastify.config.PROFILES_DIR}`);
+  }
+
+  // Profile for background removal (the result is keyed and validated afterwards, see cutout.js)
+  const CUTOUT_PROFILE_ID = 'cutout';
+  const cutoutProfile = profiles.get(CUTOUT_PROFILE_ID);
+  if (!cutoutProfile) {
+    throw new Error(`Missing "${CUTOUT_PROFILE_ID}" profile in ${fastify.config.PROFILES_DIR}`);
+  }
+
+  // Where things may be used: each profile's allowedChannels/deniedChannels, plus CHANNEL_RULES per
+  // command (see channel-rules.js). $TARGET_CHANNEL in a list stands for TARGET_CHANNEL's IDs.
+  const CHANNEL_VARIABLES = {
+    TARGET_CHANNEL: fastify.config.TARGET_CHANNEL.split(',').map(id => id.trim()).filter(Boolean)
+  };
+  const CHANNEL_RULES = parseChannelRules(fastify.config.CHANNEL_RULES);
+  for (const profile of profiles.values()) {
+    expandChannelPatterns([...profile.allowedChannels, ...profile.deniedChannels], CHANNEL_VARIABLES);
+  }
+
+  // Conversation types Slack has told us about, so checks made later (buttons, thread replies)
+  // can still tell private channels and DMs apart
+  const conversationTypes = new Map();
+  function noteConversation(channelId, hints) {
+    if (channelId && (hints.channelType || hints.channelName)) {
+      conversationTypes.set(channelId, conversationType(channelId, hints));
+    }
+  }
+  async function noteConversationFromRequest(request) {
+    const body = request.body || {};
+    noteConversation(body.channel_id, { channelName: body.channel_name });
+    noteConversation(body.event?.channel, { channelType: body.event?.channel_type });
+  }
+
+  // Whether a command may be used in a channel, for a profile (null for commands without one).
+  // Commands are named as in CHANNEL_RULES: "/ian", "@mention", ...
+  function isAllowedIn(profile, command, channelId) {
+    const conversation = { id: channelId, type: conversationTypes.get(channelId) || conversationType(channelId) };
+    if (profile && !isChannelAllowed(profile, conversation, CHANNEL_VARIABLES)) {
+      return false;
+    }
+    const rule = CHANNEL_RULES.get(command);
+    return !rule || isConversationAllowed(rule, conversation, CHANNEL_VARIABLES);
+  }
+
+  // The command a job's thread was started with; edits and buttons follow that command's rules
+  function threadCommand(job) {
+    let root = job;
+    while (root.command === 'refine' && jobStore.get(root.flags.parentJobId)) {
+      root = jobStore.get(root.flags.parentJobId);
+    }
+    if (root.command === 'app_mention') {
+      return '@mention';
+    }
+    // Podiums posted through the HTTP API follow the /podium rules
+    return root.command === 'POST /podium' ? '/podium' : root.command;
+  }
+
+
+  // The bot that posted a job's thread ("image" for anything started by a mention, whatever the
+  // profile), so follow-ups go through the client that owns its messages and files. Jobs recorded
+  // before the bot was stored fall back to their profile's bot.
+  function botForJob(job) {
+    return job.bot || profiles.get(job.profile)?.bot || null;
+  }
+
+  // FIFO queue behind the concurrency limit - extra jobs wait instead of failing
+  const MAX_CONCURRENT = parseInt(fastify.config.MAX_CONCURRENT); // Limit concurrent provider requests
+  const jobQueue = createJobQueue({
+    maxConcurrent: MAX_CONCURRENT,
+    defaultMaxQueued: parseInt(fastify.config.MAX_QUEUED)
+  });
+
+  // Pipeline metrics (Slack API failures are counted by the client wrapper above)
+  const DURATION_BUCKETS = [1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120, 180, 300];
+  metrics.gauge({
+    name: 'queue_depth',
+    help: 'Jobs waiting for a free slot, per queue (subject)',
+    labelNames: ['queue'],
+    collect: () => [...profiles.keys()].map(id => ({ labels: { queue: id }, value: jobQueue.waitingFor(id) }))
+  });
+  metrics.gauge({ name: 'active_requests', help: 'Concurrency slots in use (provider requests in flight)', collect: () => jobQueue.active });
+  const jobDuration = metrics.histogram({ name: 'job_duration_seconds', help: 'Time from a job being recorded to it finishing, including queueing', labelNames: ['subject', 'provider', 'status'], buckets: DURATION_BUCKETS });
+  const providerCallDuration = metrics.histogram({ name: 'provider_call_duration_seconds', help: 'Duration of single provider calls', labelNames: ['subject', 'provider', 'outcome'], buckets: DURATION_BUCKETS });
+  const providerRetries = metrics.counter({ name: 'provider_retries_total', help: 'Failed provider attempts that were retried', labelNames: ['provider', 'error_class'] });
+  const providerFailures = metrics.counter({ name: 'provider_failures_total', help: 'Failed provider attempts that ended their request', labelNames: ['provider', 'error_class'] });
+  const uploadBytes = metrics.histogram({ name: 'slack_upload_bytes', help: 'Size of images uploaded to Slack', labelNames: ['subject'], buckets: [65536, 262144, 524288, 1048576, 2097152, 4194304, 8388608, 16777216] });
+  const dedupHits = metrics.counter({ name: 'event_dedup_hits_total', help: 'Slack events skipped as duplicates' });
+
+  // Child logger for everything one job does (see logging.js)
+  const jobLogger = (job) => fastify.log.child(jobLogBindings(job));
+
+  // A finished job record's latency, from creation (so queueing counts) to finish
+  function observeJob(record, provider) {
+    jobDuration.observe({ subject: record.profile, provider, status: record.status }, (Date.parse(record.finishedAt) - Date.parse(record.createdAt)) / 1000);
+  }
+
+  // Persistent job records (JSON lines) so work survives restarts and can be inspected
+  const jobStore = createJobStore(path.resolve(__dirname, fastify.config.JOBS_FILE));
+  const loadedJobs = await jobStore.load();
+  fastify.log.info(`🗂️ Loaded ${loadedJobs} job records from ${fastify.config.JOBS_FILE}`);
+
+  // Every provider call with its requester, model, outcome and estimated cost (see usage.js)
+  const usageLog = createUsageLog({
+    filePath: path.resolve(__dirname, fastify.config.USAGE_FILE),
+    prices: parsePriceTable(fastify.config.USAGE_PRICES)
+  });
+  await usageLog.load();
+
+  // Record a provider call in the usage log and metrics; accounting must never fail a generation
+  function recordProviderCall({ errorClass, ...call }) {
+    providerCallDuration.observe({ subject: call.subject, provider: call.provider, outcome: call.outcome }, call.latencyMs / 1000);
+    if (call.outcome !== 'succeeded') {
+      (call.outcome === 'retried' ? providerRetries : providerFailures).inc({ provider: call.provider, error_class: errorClass });
+    }
+    usageLog.record(call).catch((error) => {
+      fastify.log.error({ err: error, jobId: call.jobId }, 'Failed to record usage');
+    });
+  }
+
+  // Per-user, per-channel and per-command limits (0 = unlimited); a profile's rateLimit overrides
+  // the per-command defaults. Admins are exempt.
+  const RATE_LIMITS = Object.fromEntries(['user', 'channel', 'command'].map((scope) => {
+    const limits = {};
+    for (const [window, suffix] of [['perMinute', 'PER_MINUTE'], ['perDay', 'PER_DAY']]) {
+      const name = `RATE_LIMIT_${scope.toUpperCase()}_${suffix}`;
+      limits[window] = parseLimit(fastify.config[name]);
+      if (limits[window] === null) {
+        throw new Error(`${name} must be a whole number (0 for unlimited)`);
+      }
+    }
+    return [scope, limits];
+  }));
+  if (!isValidTimeZone(fastify.config.RATE_LIMIT_TIMEZONE)) {
+    throw new Error(`RATE_LIMIT_TIMEZONE "${fastify.config.RATE_LIMIT_TIMEZONE}" is not a known timezone`);
+  }
+  const ADMIN_USER_IDS = new Set(fastify.config.ADMIN_USER_IDS.split(',').map(id => id.trim()).filter(Boolean));
+  const rateLimiter = createRateLimiter({
+    filePath: path.resolve(__dirname, fastify.config.RATE_LIMITS_FILE),
+    timeZone: fastify.config.RATE_LIMIT_TIMEZONE
+  });
+  await rateLimiter.load();
+
+  // Charge a request for `images` images to the requester, channel and profile. Resolves with null
+  // when it may go ahead, or the refused result (see rateLimitMessage) when a limit was reached.
+  async function chargeRateLimits({ user = null, channel = null, profile, images = 1 }) {
+    if (user && ADMIN_USER_IDS.has(user)) {
+      return null;
+    }
+
+    const result = await rateLimiter.take([
+      user && { scope: 'user', id: user, label: 'for you', ...RATE_LIMITS.user },
+      channel && { scope: 'channel', id: channel, label: 'in this channel', ...RATE_LIMITS.channel },
+      { scope: 'command', id: profile.id, label: `for ${profile.label} images`, ...RATE_LIMITS.command, ...profile.rateLimit }
+    ].filter(Boolean), images);
+
+    if (result.allowed) {
+      return null;
+    }
+    fastify.log.info({ user, channel, profile: profile.id, scope: result.blockedBy.scope, window: result.blockedBy.window }, '⏳ Request rate limited');
+    return result;
+  }
+
+  // 429 for HTTP API callers, with Retry-After
+  function sendRateLimited(reply, { blockedBy, retryAt }) {
+    return reply
+      .code(429)
+      .header('retry-after', Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000)))
+      .send({ error: `Limit of ${blockedBy.limit} image${blockedBy.limit === 1 ? '' : 's'} per ${blockedBy.window} ${blockedBy.label} reached`, retryAt: retryAt.toISOString() });
+  }
+
+  // Most candidates a single request may ask for with --n
+  const MAX_CANDIDATES = 4;
+
+  // Deduplication tracking - prevent processing same event twice
+  const processedEvents = new Set();
+
+  // Concurrency manager - queues per profile, using the profile's maxQueued if it sets one.
+  // slots is the number of parallel provider calls the job makes (one per candidate).
+  async function processWithConcurrencyLimit(requestFn, { profile, slots = 1, onPosition, onStart } = {}) {
+    return jobQueue.enqueue(requestFn, {
+      key: profile?.id,
+      maxQueued: profile?.maxQueued,
+      slots,
+      onPosition,
+      onStart
+    });
+  }
+
+  // Edit the "Hang on..." message while a job waits in the queue and again when it starts
+  function queueStatusUpdater(client, channel, ts, workingText, log = fastify.log) {
+    const update = (text) => client.chat.update({ channel, ts, text }).catch((error) => {
+      log.warn({ err: error, channel, ts }, 'Failed to update queue status message');
+    });
+
+    return {
+      onPosition: (position) => update(`${workingText}\n⏳ You're #${position} in the queue`),
+      onStart: () => update(`${workingText}\n🎨 Your turn - generating now!`)
+    };
+  }
+
+
+  // Generate an image for a subject profile through its image provider, retried per retry-policy.js.
+  // Resolves with the image plus what's needed for its metadata sidecar. onProviderCall receives
+  // every attempt's outcome for usage accounting; log is the job's logger; signal cancels the request.
+  async function generateSubjectImage(profile, prompt, ratio = profile.defaultRatio, attachedImages = [], { onAttempt, onProviderCall, log = fastify.log, signal, template = profile.promptTemplate, values = {}, flags = {} } = {}) {
+    const provider = resolveProvider(imageProviders, { requested: flags.provider, profile, defaultProvider: DEFAULT_PROVIDER });
+    const model = flags.model || provider.model;
+
+    log.info({ subject: profile.id, provider: provider.id, model, ratio, attachments: attachedImages.length }, '🎨 Generating image');
+    log.debug({ prompt }, '📝 Prompt');
+
+    // Profiles with a logo get it composited afterwards, so the prompt only asks for room for it
+    const logoOptions = profile.logo && !flags.noLogo ? profile.logo : null;
+    const logoInstruction = logoOptions ? logoOverlay.promptInstruction(logoOptions) : '';
+
+    // Build the profile's system prompt around the user's request, plus any --style/--negative/--no-logo
+    const enhancedPrompt = renderPromptTemplate(template, { ...values, prompt, ratio, logoInstruction }) + flagPromptDirections(flags);
+
+    // Reference assets first, then any images the user attached
+    const references = await loadProfileReferences(profile, __dirname);
+    const images = [
+      ...references,
+      ...attachedImages.map(img => ({ buffer: Buffer.from(img.data, 'base64'), mimeType: img.mimeType }))
+    ];
+
+    // Execute with retries; each attempt gets its own AbortSignal so a timed-out request is cancelled
+    let attempts = 0;
+    let attemptStartedAt;
+    const startedAt = Date.now();
+    const call = { subject: profile.id, provider: provider.id, model, size: flags.size || null, ratio };
+    const result = await runWithRetries((attemptSignal) => provider.generate({ prompt: enhancedPrompt, images, ratio, size: flags.size, model, seed: flags.seed, signal: attemptSignal }), {
+      attemptTimeoutMs: Number(fastify.config.PROVIDER_TIMEOUT_SECONDS) * 1000,
+      deadlineMs: Number(fastify.config.PROVIDER_DEADLINE_SECONDS) * 1000,
+      signal,
+      log,
+      onAttempt: (attempt) => {
+        attempts = attempt;
+        attemptStartedAt = Date.now();
+        onAttempt?.(attempt);
+      },
+      onError: (error, attempt, willRetry, errorClass) => {
+        onProviderCall?.({ ...call, attempt, outcome: willRetry ? 'retried' : 'failed', error: error.message, errorClass, latencyMs: Date.now() - attemptStartedAt });
+      }
+    });
+    const attemptLatencyMs = Date.now() - attemptStartedAt;
+
+    // Check the model actually delivered the requested ratio (and --size); mismatches are recorded, not fatal
+    const dimensions = checkImageDimensions(await readImageDimensions(result.buffer), { ratio, size: flags.size });
+    onProviderCall?.({ ...call, attempt: attempts, outcome: 'succeeded', width: dimensions.width, height: dimensions.height, latencyMs: attemptLatencyMs });
+    if (!dimensions.matches) {
+      log.warn({ provider: provider.id, width: dimensions.width, height: dimensions.height, ratio, size: flags.size }, '⚠️ Provider returned unexpected dimensions');
+    }
+
+    let buffer = result.buffer;
+    let logo = null;
+    if (logoOptions) {
+      const overlaid = await logoOverlay.apply(result.buffer, logoOptions);
+      buffer = overlaid.buffer;
+      logo = { variant: overlaid.variant, ...overlaid.placement };
+    }
+
+    return {
+      buffer,
+      logo,
+      // Edits start from the image without the logo, so it isn't composited twice
+      unbrandedBuffer: logoOptions ? result.buffer : null,
+      dimensions,
+      systemPrompt: enhancedPrompt,
+      provider: provider.id,
+      model,
+      attempts,
+      latencyMs: Date.now() - startedAt
+    };
+  }
+
+  // Save generated image as <subject>-<timestamp>.png with embedded text chunks and a JSON sidecar.
+  // Candidates of one job pass the same timestamp. An image with a logo composited on also keeps
+  // the model's output as <name>-unbranded.<ext>, the base for later edits.
+  async function saveGeneratedImage(generated, { prompt, command, profile, ratio, flags, user, channel, jobId, index, candidates, timestamp }) {
+    const buffer = flags?.format ? await convertImageFormat(generated.buffer, flags.format) : generated.buffer;
+    const saved = await writeImageWithMetadata(outputDir, buffer, {
+      prompt,
+      systemPrompt: generated.systemPrompt,
+      command,
+      subject: profile.id,
+      ratio,
+      flags,
+      width: generated.dimensions.width,
+      height: generated.dimensions.height,
+      dimensionsMatch: generated.dimensions.matches,
+      logo: generated.logo,
+      podium: generated.podium,
+      cutout: generated.cutout,
+      provider: generated.provider,
+      model: generated.model,
+      user,
+      channel,
+      jobId,
+      index,
+      candidates,
+      attempts: generated.attempts,
+      latencyMs: generated.latencyMs
+    }, { timestamp });
+
+    let unbrandedFilename = null;
+    if (generated.unbrandedBuffer) {
+      unbrandedFilename = `${path.parse(saved.filename).name}-unbranded.${detectImageFormat(generated.unbrandedBuffer).extension}`;
+      await writeFile(path.join(outputDir, unbrandedFilename), generated.unbrandedBuffer);
+    }
+
+    return {
+      ...saved,
+      unbrandedFilename,
+      filepath: path.join(outputDir, saved.filename),
+      url: `/images/${saved.filename}`
+    };
+  }
+
+  // Background generation jobs in flight by id ({ running, controller }), so shutdown can wait for
+  // them and cancel the ones that overrun (see drainJobs)
+  const runningJobs = new Map();
+  let shuttingDown = false;
+
+  // Run a recorded job in the background: queue it, generate job.flags.n candidates in parallel,
+  // save each with metadata and upload them together to the job's thread. generate(hooks, index)
+  // passes hooks ({ onAttempt, onProviderCall, log, signal }) on to generateSubjectImage.
+  // Without a client (HTTP API jobs with no channel) results are only saved and recorded.
+  // resultActions limits the follow-up buttons (default: all of them).
+  function startGenerationJob({ client, profile, job, statusTs, statusText, generate, title, comment, errorPrefix = '❌ ', resultActions }) {
+    const { channel, threadTs } = job;
+    const count = job.flags.n || 1;
+    const log = jobLogger(job);
+    log.info({ profile: profile.id, candidates: count }, '🧾 Job queued');
+    const controller = new AbortController();
+
+    const running = new Promise(resolve => setTimeout(resolve, 100)).then(async () => {
+      const attemptsByCandidate = new Array(count).fill(0);
+      const totalAttempts = () => attemptsByCandidate.reduce((sum, value) => sum + value, 0);
+      const onProviderCall = (call) => recordProviderCall({ ...call, jobId: job.id, user: job.user, channel, command: job.command });
+      const provider = job.flags.provider || profile.provider || DEFAULT_PROVIDER;
+
+      try {
+        // Finished jobs are recorded once their slots are released, so a job that reads as done no longer counts as active
+        const outcome = await processWithConcurrencyLimit(async () => {
+          // Jobs still waiting when shutdown starts are left for recovery instead of starting late
+          if (shuttingDown) {
+            throw new JobInterruptedError();
+          }
+          await jobStore.markStarted(job.id);
+          const savedAt = new Date();
+
+          const results = await Promise.allSettled(Array.from({ length: count }, async (_, index) => {
+            const generated = await generate({ onAttempt: (attempt) => { attemptsByCandidate[index] = attempt; }, onProviderCall, log, signal: controller.signal }, index);
+
+            // Save image with its metadata sidecar
+            const saved = await saveGeneratedImage(generated, {
+              prompt: job.prompt,
+              command: job.command,
+              profile,
+              ratio: job.flags.ratio,
+              flags: pickFlags(job.flags, flagSpecsFor(profile)),
+              user: job.user,
+              channel,
+              jobId: job.id,
+              timestamp: savedAt,
+              ...(count > 1 && { index: index + 1, candidates: count })
+            });
+            log.info({ filename: saved.filename, bytes: saved.buffer.length }, '💾 Saved image');
+            return saved;
+          }));
+
+          const savedImages = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+          const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+
+          // Only give up if every candidate failed
+          if (savedImages.length === 0) {
+            throw failures[0];
+          }
+          for (const failure of failures) {
+            log.warn({ err: failure }, 'Candidate generation failed');
+          }
+
+          const summary = count > 1
+            ? ` (${savedImages.length} of ${count} candidates${failures.length > 0 ? `, ${failures.length} failed` : ''})`
+            : '';
+
+          // Upload all candidates to the Slack thread as one message
+          if (client) {
+            savedImages.forEach(savedImage => uploadBytes.observe({ subject: profile.id }, savedImage.buffer.length));
+          }
+          const upload = client && await client.files.uploadV2({
+            channel_id: channel,
+            initial_comment: `${comment}${summary}`,
+            thread_ts: threadTs,
+            file_uploads: savedImages.map((savedImage, index) => ({
+              file: savedImage.buffer,
+              filename: savedImage.filename,
+              title: savedImages.length > 1 ? `${title} #${index + 1}` : title
+            }))
+          });
+          if (upload) {
+            log.info({ files: savedImages.length, threadTs }, '📤 Uploaded to Slack');
+          }
+
+          // Follow-up actions (regenerate, more like this, change ratio, delete) under the result
+          const actionsMessage = client && await client.chat.postMessage({
+            channel: channel,
+            thread_ts: threadTs,
+            text: 'What would you like to do next?',
+            blocks: buildResultActionBlocks(job, SUPPORTED_RATIOS, { actions: resultActions })
+          }).catch((error) => {
+            log.warn({ err: error }, 'Failed to post result actions');
+            return null;
+          });
+
+          return {
+            outputFilename: savedImages[0].filename,
+            outputFilenames: savedImages.map(savedImage => savedImage.filename),
+            unbrandedFilename: savedImages[0].unbrandedFilename,
+            slackFileIds: uploadedFileIds(upload),
+            actionsMessageTs: actionsMessage?.ts || null
+          };
+        }, { profile, slots: count, ...(client && queueStatusUpdater(client, channel, statusTs, statusText, log)) });
+
+        const finished = await jobStore.markFinished(job.id, { ...outcome, attempts: totalAttempts() });
+        observeJob(finished, provider);
+        log.info({ durationMs: finished.durationMs, attempts: finished.attempts }, '✅ Job succeeded');
+      } catch (error) {
+        if (error instanceof JobInterruptedError || jobStore.get(job.id)?.status === 'interrupted') {
+          if (jobStore.get(job.id)?.status !== 'interrupted') {
+            await jobStore.markInterrupted(job.id).catch((storeError) => {
+              log.error({ err: storeError }, 'Failed to record job interruption');
+            });
+          }
+          log.warn('⏸️ Job interrupted by shutdown');
+          return;
+        }
+        // A refusal is the model's answer, not a fault: its message already explains it and suggests rephrasing
+        const refused = REFUSAL_CLASSES.includes(error.errorClass);
+        if (refused) {
+          log.warn({ errorClass: error.errorClass, finishReason: error.cause?.finishReason, blockedCategories: error.cause?.blockedCategories, modelText: error.cause?.text }, '🙅 Model declined to make an image');
+        } else {
+          log.error({ err: error, profile: profile.id }, '❌ Async generation failed');
+        }
+        await jobStore.markFinished(job.id, { error, attempts: totalAttempts(), errorClass: error.errorClass || 'other' }).then(record => observeJob(record, provider), (storeError) => {
+          log.error({ err: storeError }, 'Failed to record job failure');
+        });
+        await client?.chat.postMessage({
+          channel: channel,
+          text: refused ? error.message : `${errorPrefix}${error.message}`,
+          thread_ts: threadTs
+        }).catch((slackError) => {
+          log.error({ err: slackError }, 'Failed to post error to Slack thread');
+        });
+      }
+    });
+
+    runningJobs.set(job.id, { running, controller });
+    running.finally(() => runningJobs.delete(job.id));
+  }
+
+  // Shutdown: new jobs no longer start, running ones get up to graceMs to finish and the rest are
+  // marked interrupted and cancelled, so the next start can resume them or apologise (see recoverInterruptedJobs)
+  async function drainJobs(graceMs) {
+    shuttingDown = true;
+    if (runningJobs.size === 0) {
+      return;
+    }
+
+    fastify.log.info({ jobs: runningJobs.size, graceMs }, '⏳ Waiting for running jobs before shutting down');
+    let timeoutId;
+    await Promise.race([
+      Promise.allSettled([...runningJobs.values()].map(({ running }) => running)),
+      new Promise(resolve => { timeoutId = setTimeout(resolve, graceMs); })
+    ]).finally(() => clearTimeout(timeoutId));
+
+    for (const [jobId, { controller }] of runningJobs) {
+      await jobStore.markInterrupted(jobId).catch((error) => {
+        fastify.log.error({ err: error, jobId }, 'Failed to record job interruption');
+      });
+      controller.abort(new JobInterruptedError());
+    }
+    if (runningJobs.size > 0) {
+      fastify.log.warn({ jobIds: [...runningJobs.keys()] }, '⏸️ Jobs interrupted by shutdown');
+    }
+  }
+  fastify.addHook('onClose', async () => drainJobs(Number(fastify.config.SHUTDOWN_GRACE_SECONDS) * 1000));
+
+  // Flag grammar shared by slash commands, mentions and thread replies
+  const MAX_IMAGE_SIZE = parseInt(fastify.config.MAX_IMAGE_SIZE);
+  const FLAG_SPEC_OPTIONS = {
+    ratios: SUPPORTED_RATIOS,
+    maxCandidates: MAX_CANDIDATES,
+    providers: [...imageProviders.keys()],
+    sizes: allowedImageSizes(MAX_IMAGE_SIZE),
+    unavailableSizes: Object.fromEntries(Object.keys(IMAGE_SIZES)
+      .filter(size => !allowedImageSizes(MAX_IMAGE_SIZE).includes(size))
+      .map(size => [size, `this server is limited to ${MAX_IMAGE_SIZE}px (MAX_IMAGE_SIZE)`]))
+  };
+  const flagSpecsFor = (profile) => createFlagSpecs({ ...FLAG_SPEC_OPTIONS, defaultRatio: profile.defaultRatio });
+
+  // Split the prompt from its flags. Throws FlagError with a message meant for the user.
+  function parsePromptWithFlags(profile, commandText, defaults = {}) {
+    return parseCommandFlags(commandText, flagSpecsFor(profile), { ratio: profile.defaultRatio, n: 1, ...defaults });
+  }
+
+  // Usage text generated from the flag specs
+  function commandHelpText(profile, usage) {
+    const example = profile.example ? `\n\nExample: \`${usage} ${profile.example}\`` : '';
+    return `*${usage}* <description of the ${profile.noun}> [options]${example}\n\n*Options*\n${formatFlagHelp(flagSpecsFor(profile))}`;
+  }
+
+  // Usage report: `/tmai usage [--since 30d]`, answered only to the person who asked
+  const USAGE_PROFILE_ID = 'tmai';
+  const usageFlagSpecs = [
+    { name: 'since', key: 'since', type: 'text', pattern: /^(\d+[hdw]|\d{4}-\d{2}-\d{2})$/i, placeholder: 'period', description: 'How far back: 12h, 30d, 2w or a YYYY-MM-DD date (default 30d)' }
+  ];
+  const isUsageRequest = (profile, commandText) => profile.id === USAGE_PROFILE_ID && /^usage\s*($|[-—–])/i.test(commandText.trim());
+
+  function usageReportText(command, commandText) {
+    const help = `*${command} usage [--since <period>]* reports images generated, estimated cost and failed attempts.\n${formatFlagHelp(usageFlagSpecs)}`;
+    let parsed;
+    try {
+      parsed = parseCommandFlags(commandText.trim().replace(/^usage/i, ''), usageFlagSpecs, { since: '30d' });
+    } catch (error) {
+      if (!(error instanceof FlagError)) {
+        throw error;
+      }
+      return `❌ ${error.message}\n\n${help}`;
+    }
+    if (parsed.prompt) {
+      return `❌ Unexpected "${parsed.prompt}"\n\n${help}`;
+    }
+
+    const since = parseSince(parsed.flags.since);
+    const sinceLabel = /^\d+[hdw]$/i.test(parsed.flags.since) ? `in the last ${parsed.flags.since}` : `since ${parsed.flags.since}`;
+    return formatUsageReport(summarizeUsage(usageLog.list({ since })), { sinceLabel });
+  }
+
+  // Handle a profile's slash command (/tmai, /ian, ...)
+  async function handleProfileSlashCommand(profile, command, commandText, channelId, userId) {
+    try {
+      fastify.log.debug({ profile: profile.id, commandText, channelId, userId }, 'Received profile slash command');
+
+      const client = slackClients[profile.bot];
+
+      if (!isAllowedIn(profile, command, channelId)) {
+        return {
+          text: `❌ ${profile.commands[0]} isn't enabled in this channel.`,
+          response_type: 'ephemeral'
+        };
+      }
+
+      if (isUsageRequest(profile, commandText)) {
+        return { text: usageReportText(command, commandText), response_type: 'ephemeral' };
+      }
+
+      // Parse prompt and flags; bad flags are explained only to the user who sent them
+      let parsed;
+      try {
+        parsed = parsePromptWithFlags(profile, commandText);
+      } catch (error) {
+        if (!(error instanceof FlagError)) {
+          throw error;
+        }
+        return {
+          text: `❌ ${error.message}\n\nRun \`${command} help\` to see every option.`,
+          response_type: 'ephemeral'
+        };
+      }
+      const { prompt, flags } = parsed;
+      const { ratio } = flags;
+
+      if (prompt.toLowerCase() === 'help') {
+        return { text: commandHelpText(profile, command), response_type: 'ephemeral' };
+      }
+
+      if (!prompt) {
+        return {
+          text: `❌ Please provide a description for the ${profile.noun} you'd like me to generate!\n\n${commandHelpText(profile, command)}`,
+          response_type: 'ephemeral'
+        };
+      }
+
+      const limited = await chargeRateLimits({ user: userId, channel: channelId, profile, images: flags.n });
+      if (limited) {
+        return { text: `⏳ ${rateLimitMessage(limited)}`, response_type: 'ephemeral' };
+      }
+
+      // Get user info for personalized response
+      let userName = 'there';
+      try {
+        const userInfo = await client.users.info({ user: userId });
+        userName = userInfo.user?.real_name || userInfo.user?.name || 'there';
+      } catch (error) {
+        // Continue with default name if user lookup fails
+      }
+
+      // Get random working message
+      const workingMessage = getRandomWorkingMessage();
+      const randomMessage = `Hang on ${userName}... ${workingMessage}...`;
+
+      // Return immediate response acknowledging the command
+      const response = await client.chat.postMessage({
+        channel: channelId,
+        text: randomMessage
+      });
+
+      const threadTs = response.ts;
+
+      // Record the job before it enters the queue
+      const job = await jobStore.create({
+        command,
+        profile: profile.id,
+        bot: profile.bot,
+        user: userId,
+        channel: channelId,
+        threadTs,
+        prompt,
+        flags
+      });
+
+      // Process asynchronously with concurrency limit
+      startGenerationJob({
+        client,
+        profile,
+        job,
+        statusTs: threadTs,
+        statusText: randomMessage,
+        generate: (hooks) => generateSubjectImage(profile, prompt, ratio, [], { ...hooks, flags }),
+        title: `${profile.label} ${prompt} (${ratio})`,
+        comment: `✨ Generated ${profile.label} ${prompt} with ${ratio} aspect ratio`
+      });
+
+      // Return empty response to avoid duplicate messages
+      return '';
+
+    } catch (error) {
+      fastify.log.error({ err: error, profile: profile.id }, 'Error in handleProfileSlashCommand');
+      return {
+        text: `❌ An unexpected error occurred: ${error.message}`,
+        response_type: 'ephemeral'
+      };
+    }
+  }
+
+
+
+  // Handle a reply in a generation thread: edit the thread's last image using its original prompt
+  async function handleThreadRefinement(previousJob, text, userId, channelId) {
+    const profile = profiles.get(previousJob.profile);
+    if (!profile || !isAllowedIn(profile, threadCommand(previousJob), channelId)) {
+      fastify.log.info({ jobId: previousJob.id, profile: previousJob.profile }, 'Ignoring refinement for unavailable profile');
+      return;
+    }
+    // An edit would come back without transparency; cutouts are only made with "cutout"
+    if (profile.id === CUTOUT_PROFILE_ID) {
+      fastify.log.debug({ jobId: previousJob.id }, 'Ignoring reply in a cutout thread');
+      return;
+    }
+    // Editing the labelled image would let the model redraw the names; podiums change through their buttons
+    if (previousJob.flags.names) {
+      fastify.log.debug({ jobId: previousJob.id }, 'Ignoring reply in a podium thread');
+      return;
+    }
+
+    // Ratio and provider carry over from the previous image unless the reply overrides them
+    let parsed;
+    try {
+      parsed = parsePromptWithFlags(profile, text, {
+        ratio: previousJob.flags.ratio || profile.defaultRatio,
+        ...(previousJob.flags.provider && { provider: previousJob.flags.provider })
+      });
+    } catch (error) {
+      if (!(error instanceof FlagError)) {
+        throw error;
+      }
+      await slackClients[botForJob(previousJob)].chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        thread_ts: previousJob.threadTs,
+        text: `❌ ${error.message}`
+      });
+      return;
+    }
+    if (!parsed.prompt) {
+      return;
+    }
+
+    const limited = await chargeRateLimits({ user: userId, channel: channelId, profile, images: parsed.flags.n });
+    if (limited) {
+      await slackClients[botForJob(previousJob)].chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        thread_ts: previousJob.threadTs,
+        text: `⏳ ${rateLimitMessage(limited)}`
+      });
+      return;
+    }
+
+    await startRefinementJob({ profile, parentJob: previousJob, prompt: parsed.prompt, userId, flags: parsed.flags });
+  }
+
+  // Queue an edit of a previous job's output, posting progress in that job's thread
+  async function startRefinementJob({ profile, parentJob, prompt, userId, action = 'refine', flags = pickFlags(parentJob.flags, flagSpecsFor(profile)) }) {
+    const bot = botForJob(parentJob);
+    const client = slackClients[bot];
+    const { ratio } = flags;
+    const { channel, threadTs } = parentJob;
+
+    let baseImage;
+    try {
+      baseImage = await readFile(path.join(outputDir, parentJob.unbrandedFilename || parentJob.outputFilename));
+    } catch (error) {
+      fastify.log.warn({ err: error, jobId: parentJob.id }, 'Previous image for refinement is missing');
+      await client.chat.postMessage({
+        channel: channel,
+        thread_ts: threadTs,
+        text: '❌ I can\'t find the previous image in this thread anymore. Please start a new request.'
+      });
+      return null;
+    }
+
+    const workingText = `🔁 ${getRandomWorkingMessage()} your edit...`;
+    const response = await client.chat.postMessage({
+      channel: channel,
+      thread_ts: threadTs,
+      text: workingText
+    });
+
+    // Keep pointing at the request that started the thread, however many edits deep we are
+    const originalPrompt = parentJob.flags.originalPrompt || parentJob.prompt;
+
+    const job = await jobStore.create({
+      command: 'refine',
+      profile: profile.id,
+      bot,
+      user: userId,
+      channel,
+      threadTs,
+      prompt,
+      flags: { ...flags, parentJobId: parentJob.id, originalPrompt, action }
+    });
+
+    const baseImagePart = { data: baseImage.toString('base64'), mimeType: detectImageFormat(baseImage).mimeType };
+    const isVariation = action === RESULT_ACTIONS.moreLikeThis;
+
+    startGenerationJob({
+      client,
+      profile,
+      job,
+      statusTs: response.ts,
+      statusText: workingText,
+      generate: (hooks) => generateSubjectImage(profile, prompt, ratio, [baseImagePart], {
+        ...hooks,
+        template: profile.refineTemplate,
+        values: { originalPrompt },
+        flags
+      }),
+      title: isVariation ? `${profile.label} variation (${ratio})` : `${profile.label} edit: ${prompt} (${ratio})`,
+      comment: isVariation ? '✨ Here\'s another take on that image' : `✨ Updated the previous image: "${prompt}"`
+    });
+
+    return job;
+  }
+
+  // Re-run a finished job with the same parameters (optionally a different ratio) in its thread
+  async function startReplayJob(original, { ratio = original.flags.ratio, action, userId }) {
+    const profile = profiles.get(original.profile);
+    const bot = botForJob(original);
+    const client = slackClients[bot];
+
+    // Edits replay against the image they edited
+    if (original.command === 'refine') {
+      const parentJob = jobStore.get(original.flags.parentJobId);
+      if (!parentJob) {
+        throw new Error('The image this edit was based on is no longer available.');
+      }
+      return startRefinementJob({ profile, parentJob, prompt: original.prompt, userId, action, flags: { ...pickFlags(original.flags, flagSpecsFor(profile)), ratio } });
+    }
+
+    if (original.flags.names) {
+      return startPodiumJob({
+        bot,
+        channel: original.channel,
+        threadTs: original.threadTs,
+        userId,
+        command: original.command,
+        podium: { title: original.prompt, names: original.flags.names },
+        flags: { ...pickFlags(original.flags, flagSpecsFor(profile)), ratio, replayOf: original.id, action }
+      });
+    }
+
+    if (original.flags.attachments > 0) {
+      throw new Error('This image was made from attached files, which aren\'t kept. Mention me again with the files to regenerate it.');
+    }
+
+    const workingText = `🔄 ${getRandomWorkingMessage()} a new version...`;
+    const response = await client.chat.postMessage({
+      channel: original.channel,
+      thread_ts: original.threadTs,
+      text: workingText
+    });
+
+    const job = await jobStore.create({
+      command: original.command,
+      profile: profile.id,
+      bot,
+      user: userId,
+      channel: original.channel,
+      threadTs: original.threadTs,
+      prompt: original.prompt,
+      flags: { ...original.flags, ratio, replayOf: original.id, action }
+    });
+
+    startGenerationJob({
+      client,
+      profile,
+      job,
+      statusTs: response.ts,
+      statusText: workingText,
+      generate: (hooks) => generateSubjectImage(profile, original.prompt, ratio, [], { ...hooks, flags: job.flags }),
+      title: `${profile.label} ${original.prompt} (${ratio})`,
+      comment: `✨ Regenerated ${profile.label} ${original.prompt} with ${ratio} aspect ratio`
+    });
+
+    return job;
+  }
+
+  // Why a job can't be run again from its record alone, or null when it can
+  function replayBlocker(job) {
+    if (job.profile === cutoutProfile.id || job.flags.attachments > 0) {
+      return 'Attached images aren\'t kept, so please mention me again with them.';
+    }
+    if (job.command === 'refine' && !jobStore.get(job.flags.parentJobId)) {
+      return 'The image it was based on is no longer available, so please start a new request.';
+    }
+    return null;
+  }
+
+  // Startup: jobs the previous process didn't finish are resumed in their threads when they're recent
+  // enough, otherwise their threads get an apology with a Retry button. Jobs without a Slack thread
+  // (HTTP API, daily header) are only marked interrupted. Resolves with { resumed, apologized, skipped }.
+  async function recoverInterruptedJobs() {
+    const autoResume = fastify.config.RESUME_INTERRUPTED_JOBS === 'true';
+    const maxAgeMs = Number(fastify.config.RESUME_MAX_AGE_MINUTES) * 60 * 1000;
+    const counts = { resumed: 0, apologized: 0, skipped: 0 };
+
+    for (const job of jobStore.unfinished()) {
+      const log = jobLogger(job);
+      try {
+        // Still queued or running means the previous process stopped without draining
+        if (job.status !== 'interrupted') {
+          await jobStore.markInterrupted(job.id, 'restart');
+        }
+
+        const client = profiles.has(job.profile) && slackClients[botForJob(job)];
+        if (!client || !job.channel || !job.threadTs) {
+          await jobStore.update(job.id, { recovery: 'skipped' });
+          counts.skipped++;
+          continue;
+        }
+
+        const blocker = replayBlocker(job);
+        if (autoResume && !blocker && Date.now() - Date.parse(job.createdAt) <= maxAgeMs) {
+          await client.chat.postMessage({
+            channel: job.channel,
+            thread_ts: job.threadTs,
+            text: '♻️ I restarted while working on this - picking it back up...'
+          });
+          const resumed = await startReplayJob(job, { action: 'resume', userId: job.user });
+          await jobStore.update(job.id, { recovery: 'resumed', resumedAs: resumed?.id || null });
+          log.info({ resumedAs: resumed?.id }, '♻️ Resumed interrupted job');
+          counts.resumed++;
+          continue;
+        }
+
+        const apology = `😓 Sorry${job.user ? ` <@${job.user}>` : ''}, I restarted before this was finished.`;
+        const text = blocker ? `${apology} ${blocker}` : `${apology} Tap Retry to run it again.`;
+        await client.chat.postMessage({
+          channel: job.channel,
+          thread_ts: job.threadTs,
+          text,
+          ...(!blocker && { blocks: buildRetryBlocks(job, text) })
+        });
+        await jobStore.update(job.id, { recovery: 'apologized' });
+        log.info('😓 Apologized for interrupted job');
+        counts.apologized++;
+      } catch (error) {
+        log.error({ err: error }, 'Failed to recover interrupted job');
+        await jobStore.update(job.id, { recovery: 'failed' }).catch(() => {});
+      }
+    }
+
+    return counts;
+  }
+
+  // Remove a job's uploaded files and its action buttons from Slack (local files are kept for auditing)
+  async function deleteJobFromSlack(job, userId) {
+    const client = slackClients[botForJob(job)];
+
+    for (const fileId of job.slackFileIds || []) {
+      await client.files.delete({ file: fileId }).catch((error) => {
+        fastify.log.warn({ err: error, jobId: job.id, fileId }, 'Failed to delete Slack file');
+      });
+    }
+
+    if (job.actionsMessageTs) {
+      await client.chat.update({
+        channel: job.channel,
+        ts: job.actionsMessageTs,
+        text: `🗑️ Image deleted by <@${userId}>`,
+        blocks: []
+      }).catch((error) => {
+        fastify.log.warn({ err: error, jobId: job.id }, 'Failed to update result actions message');
+      });
+    }
+
+    await jobStore.update(job.id, { deletedAt: new Date().toISOString(), deletedBy: userId });
+  }
+
+  // Run a result action on behalf of a user, returning an error message to show them if it can't be done
+  async function handleResultAction({ action, jobId, ratio }, userId) {
+    const job = jobStore.get(jobId);
+    if (action === RESULT_ACTIONS.retry) {
+      if (!job || job.status !== 'interrupted' || !profiles.has(job.profile)) {
+        return 'That request is no longer available.';
+      }
+      if (job.resumedAs) {
+        return 'That request has already been run again.';
+      }
+    } else if (!job || job.status !== 'succeeded' || !profiles.has(job.profile)) {
+      return 'That image is no longer available.';
+    }
+    if (job.deletedAt) {
+      return 'That image has been deleted.';
+    }
+
+    const profile = profiles.get(job.profile);
+    if (!isAllowedIn(profile, threadCommand(job), job.channel)) {
+      return `${profile.label} images aren't enabled in this channel anymore.`;
+    }
+
+    // Anything that generates again counts against the limits like a new request
+    if ([RESULT_ACTIONS.regenerate, RESULT_ACTIONS.changeRatio, RESULT_ACTIONS.moreLikeThis, RESULT_ACTIONS.retry].includes(action)) {
+      const limited = await chargeRateLimits({ user: userId, channel: job.channel, profile, images: job.flags.n || 1 });
+      if (limited) {
+        return rateLimitMessage(limited);
+      }
+    }
+
+    switch (action) {
+      case RESULT_ACTIONS.regenerate:
+        await startReplayJob(job, { action, userId });
+        return null;
+
+      case RESULT_ACTIONS.changeRatio:
+        if (!SUPPORTED_RATIOS.includes(ratio)) {
+          return `Unsupported aspect ratio: ${ratio}`;
+        }
+        await startReplayJob(job, { ratio, action, userId });
+        return null;
+
+      case RESULT_ACTIONS.moreLikeThis:
+        // A podium variation is a fresh scene; editing the labelled image would let the model redraw the names
+        if (job.flags.names) {
+          await startReplayJob(job, { action, userId });
+          return null;
+        }
+        await startRefinementJob({ profile, parentJob: job, prompt: VARIATION_PROMPT, userId, action });
+        return null;
+
+      case RESULT_ACTIONS.retry: {
+        const retried = await startReplayJob(job, { action, userId });
+        await jobStore.update(job.id, { resumedAs: retried?.id || null });
+        return null;
+      }
+
+      case RESULT_ACTIONS.delete:
+        if (job.user !== userId) {
+          return 'Only the person who requested this image can delete it.';
+        }
+        await deleteJobFromSlack(job, userId);
+        return null;
+
+      default:
+        return `Unknown action: ${action}`;
+    }
+  }
+
+  // Download a file shared with the image bot. Resolves with null when Slack gives no private URL
+  // or the download fails.
+  async function downloadSlackFile(file) {
+    const fileResponse = await slackClient.files.info({ file: file.id });
+    if (!fileResponse.file?.url_private) {
+      return null;
+    }
+
+    const response = await fetch(fileResponse.file.url_private, {
+      headers: {
+        'Authorization': `Bearer ${fastify.config.IMAGE_SLACK_BOT_TOKEN}`
+      }
+    });
+    return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+  }
+
+  // Podium infographic: the profile's scene from the model, then the title and names as text labels
+  async function generatePodiumImage(podium, ratio, { onAttempt, onProviderCall, log, signal, flags = {} } = {}) {
+    const generated = await generateSubjectImage(podiumProfile, podium.title, ratio, [], {
+      onAttempt,
+      onProviderCall,
+      log,
+      signal,
+      flags,
+      values: { count: podium.names.length, placement: podiumScenePlacement(podium.names.length) }
+    });
+
+    const { buffer, labels } = await renderPodiumOverlay(generated.buffer, podium, {
+      font: fastify.config.PODIUM_FONT,
+      fontFile: fastify.config.PODIUM_FONT_FILE ? path.resolve(__dirname, fastify.config.PODIUM_FONT_FILE) : null
+    });
+
+    return { ...generated, buffer, podium: { names: podium.names, labels } };
+  }
+
+  // Record and queue a podium job. With a bot and channel, that bot posts a working message and the
+  // result goes to its thread; without one (HTTP API) the image is only saved.
+  async function startPodiumJob({ bot = null, channel = null, threadTs = null, userId = null, command, podium, flags }) {
+    const workingText = `🏔️ ${getRandomWorkingMessage()} your podium...`;
+    const client = bot && slackClients[bot];
+    let statusTs = null;
+
+    if (client && channel) {
+      const response = await client.chat.postMessage({
+        channel,
+        text: workingText,
+        ...(threadTs && { thread_ts: threadTs })
+      });
+      statusTs = response.ts;
+      threadTs = threadTs || response.ts;
+    }
+
+    const job = await jobStore.create({
+      command,
+      profile: podiumProfile.id,
+      bot,
+      user: userId,
+      channel,
+      threadTs,
+      prompt: podium.title,
+      flags: { ...flags, names: podium.names }
+    });
+
+    startGenerationJob({
+      client: statusTs ? client : null,
+      profile: podiumProfile,
+      job,
+      statusTs,
+      statusText: workingText,
+      generate: (hooks) => generatePodiumImage(podium, flags.ratio, { ...hooks, flags }),
+      title: `${podium.title} (${flags.ratio})`,
+      comment: `🏆 ${podium.title} - ${podium.names.length} ranked`
+    });
+
+    return job;
+  }
+
+  // /podium <title> | <names> [options], or a title alone when names come from a CSV (mentions)
+  function parsePodiumRequest(text, csvNames = null) {
+    const { prompt, flags } = parsePromptWithFlags(podiumProfile, text);
+    const { title, names } = parsePodiumText(prompt);
+    return { podium: validatePodium({ title, names: csvNames && names.length === 0 ? csvNames : names }), flags };
+  }
+
+  const podiumHelpText = (usage) => `*${usage} <title> | <name 1>, <name 2>, ...* [options]\n\nDraws a leaderboard podium for ${MIN_PODIUM_NAMES}-${MAX_PODIUM_NAMES} names in rank order, e.g. ${PODIUM_USAGE}. Names are added as text labels, so they're always legible.\n\n*Options*\n${formatFlagHelp(flagSpecsFor(podiumProfile))}`;
+
+  fastify.post('/podium-gen', botRoutes.tmai, async (request, reply) => {
+    const { command, text, channel_id, user_id } = request.body;
+    fastify.log.info({ command, channel: channel_id, user: user_id }, 'Podium command received');
+
+    if (command !== '/podium') {
+      fastify.log.error({ command, expected: '/podium' }, 'Unknown command received');
+      return reply.code(400).send({ error: 'Unknown command' });
+    }
+
+    const ephemeral = (message) => reply.code(200).send({ text: message, response_type: 'ephemeral' });
+
+    if (!isAllowedIn(podiumProfile, command, channel_id)) {
+      return ephemeral('❌ /podium isn\'t enabled in this channel.');
+    }
+    if (!text || text.trim().toLowerCase() === 'help') {
+      return ephemeral(podiumHelpText(command));
+    }
+
+    let parsed;
+    try {
+      parsed = parsePodiumRequest(text);
+    } catch (error) {
+      if (!(error instanceof FlagError || error instanceof PodiumError)) {
+        throw error;
+      }
+      return ephemeral(`❌ ${error.message}\n\nRun \`${command} help\` to see every option.`);
+    }
+
+    const limited = await chargeRateLimits({ user: user_id, channel: channel_id, profile: podiumProfile, images: parsed.flags.n });
+    if (limited) {
+      return ephemeral(`⏳ ${rateLimitMessage(limited)}`);
+    }
+
+    await startPodiumJob({ bot: 'tmai', channel: channel_id, userId: user_id, command, ...parsed });
+    return reply.code(200).send('');
+  });
+
+  // "@bot podium <title>" plus a CSV of names, or the inline "<title> | <names>" form
+  async function handlePodiumMention(text, { files, user, channel, threadTs }) {
+    const reply = (message) => slackClient.chat.postEphemeral({ channel, user, thread_ts: threadTs, text: message });
+
+    if (!isAllowedIn(podiumProfile, '@mention', channel)) {
+      fastify.log.info({ channel, profile: podiumProfile.id }, 'Ignoring podium mention in channel not allowed for profile');
+      return;
+    }
+    if (!text || text.toLowerCase() === 'help') {
+      await reply(podiumHelpText('@bot podium'));
+      return;
+    }
+
+    const csvFile = (files || []).find(file => file.filetype === 'csv' || /\.csv$/i.test(file.name || '') || file.mimetype === 'text/csv');
+    let parsed;
+    try {
+      let csvNames = null;
+      if (csvFile) {
+        const content = await downloadSlackFile(csvFile);
+        if (!content) {
+          throw new PodiumError(`Couldn't download ${csvFile.name || 'the CSV file'}`);
+        }
+        csvNames = parsePodiumCsv(content.toString('utf8'));
+      }
+      parsed = parsePodiumRequest(text, csvNames);
+    } catch (error) {
+      if (!(error instanceof FlagError || error instanceof PodiumError)) {
+        throw error;
+      }
+      await reply(`❌ ${error.message}\n\nMention me with \`podium help\` to see every option.`);
+      return;
+    }
+
+    const limited = await chargeRateLimits({ user, channel, profile: podiumProfile, images: parsed.flags.n });
+    if (limited) {
+      await reply(`⏳ ${rateLimitMessage(limited)}`);
+      return;
+    }
+
+    await startPodiumJob({ bot: 'image', channel, threadTs, userId: user, command: 'app_mention', ...parsed });
+  }
+
+  // HTTP API: JSON { title, names, ratio?, channel? }. Answers 202 with the job id; poll GET /jobs/:id.
+  fastify.post('/podium', {
+    preValidation: verifyApiToken(() => fastify.config.API_TOKEN),
+    schema: {
+      body: {
+        type: 'object',
+        required: ['title', 'names'],
+        properties: {
+          title: { type: 'string' },
+          names: { type: 'array', items: { type: 'string' } },
+          ratio: { type: 'string', enum: SUPPORTED_RATIOS },
+          channel: { type: 'string', pattern: '^[CGD][A-Z0-9]+$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { title, names, ratio = podiumProfile.defaultRatio, channel } = request.body;
+
+    let podium;
+    try {
+      podium = validatePodium({ title, names });
+    } catch (error) {
+      if (!(error instanceof PodiumError)) {
+        throw error;
+      }
+      return reply.code(400).send({ error: error.message });
+    }
+
+    if (channel && !isAllowedIn(podiumProfile, '/podium', channel)) {
+      return reply.code(403).send({ error: `Podiums can't be posted to ${channel}` });
+    }
+
+    const limited = await chargeRateLimits({ channel, profile: podiumProfile });
+    if (limited) {
+      return sendRateLimited(reply, limited);
+    }
+
+    const job = await startPodiumJob({
+      bot: channel ? 'tmai' : null,
+      channel: channel || null,
+      command: 'POST /podium',
+      podium,
+      flags: { ratio, n: 1 }
+    });
+
+    return reply.code(202).send({ jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` });
+  });
+
+  // Background removal: the model puts the subject on flat green, then cutout.js keys out whatever
+  // background actually came back and checks the alpha channel
+  const CUTOUT_USAGE = '`@bot cutout [what to keep]` with up to 4 PNG, JPEG or WebP images attached, or reply `cutout` in a generation thread to cut out its latest image';
+  const MAX_CUTOUT_UPLOAD_BYTES = parseInt(fastify.config.CUTOUT_MAX_UPLOAD_MB) * 1024 * 1024;
+
+  // Raw image bodies for POST /cutout
+  fastify.addContentTypeParser(SOURCE_FORMATS.map(format => `image/${format}`), {
+    parseAs: 'buffer',
+    bodyLimit: MAX_CUTOUT_UPLOAD_BYTES
+  }, (request, body, done) => done(null, body));
+
+  // Cut the subject out of one source image (from readSourceImage) as a trimmed RGBA PNG
+  async function generateCutout(source, subject, { onAttempt, onProviderCall, log, signal, flags }) {
+    const generated = await generateSubjectImage(cutoutProfile, subject, flags.ratio, [
+      { data: source.buffer.toString('base64'), mimeType: source.mimeType }
+    ], { onAttempt, onProviderCall, log, signal, flags });
+
+    const cutout = await makeCutout(generated.buffer);
+    const { width, height } = await readImageDimensions(cutout.buffer);
+    return {
+      ...generated,
+      buffer: cutout.buffer,
+      dimensions: { ...generated.dimensions, width, height },
+      cutout: { method: cutout.method, transparentRatio: Number(cutout.alpha.transparentRatio.toFixed(3)) }
+    };
+  }
+
+  // "[what to keep] [options]". The model canvas follows the source image's shape unless --ratio is given;
+  // JPEG has no alpha channel, so --format jpeg is refused.
+  function parseCutoutRequest(text, source) {
+    const { prompt, flags } = parsePromptWithFlags(cutoutProfile, text, { ratio: null });
+    if (flags.format === 'jpeg') {
+      throw new FlagError('Cutouts need transparency, so --format must be png or webp');
+    }
+    return {
+      subject: prompt || 'the main subject',
+      flags: { ...flags, ratio: flags.ratio || closestRatio(source, SUPPORTED_RATIOS) }
+    };
+  }
+
+  // "@bot cutout" with images attached, or "cutout" as a reply in a generation thread
+  async function handleCutoutMention(text, { files, user, channel, threadTs, previousJob }) {
+    const reply = (message) => slackClient.chat.postEphemeral({ channel, user, thread_ts: threadTs, text: message });
+
+    if (!isAllowedIn(cutoutProfile, '@mention', channel)) {
+      fastify.log.info({ channel, profile: cutoutProfile.id }, 'Ignoring cutout mention in channel not allowed for profile');
+      return;
+    }
+    if (text.toLowerCase() === 'help') {
+      await reply(`*Cutout:* ${CUTOUT_USAGE}.\n\nEach image comes back as a transparent PNG cropped to the subject, ready to use as a profile reference image.\n\n*Options*\n${formatFlagHelp(flagSpecsFor(cutoutProfile))}`);
+      return;
+    }
+
+    // Attached images first; without any, the thread's latest result
+    const imageFiles = (files || []).filter(file => file.mimetype?.startsWith('image/'));
+    const sources = [];
+    for (const file of imageFiles.slice(0, MAX_CANDIDATES)) {
+      const buffer = await downloadSlackFile(file).catch((error) => {
+        fastify.log.warn({ err: error, file: file.id }, 'Failed to download cutout source');
+        return null;
+      });
+      const source = buffer && await readSourceImage(buffer);
+      if (source) {
+        sources.push(source);
+      }
+    }
+    if (imageFiles.length === 0 && previousJob?.outputFilename) {
+      const buffer = await readFile(path.join(outputDir, previousJob.outputFilename)).catch(() => null);
+      const source = buffer && await readSourceImage(buffer);
+      if (source) {
+        sources.push(source);
+      }
+    }
+    if (sources.length === 0) {
+      await reply(`❌ I need a PNG, JPEG or WebP image to cut out. Usage: ${CUTOUT_USAGE}`);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = parseCutoutRequest(text, sources[0]);
+    } catch (error) {
+      if (!(error instanceof FlagError)) {
+        throw error;
+      }
+      await reply(`❌ ${error.message}\n\nMention me with \`cutout help\` to see every option.`);
+      return;
+    }
+    const limited = await chargeRateLimits({ user, channel, profile: cutoutProfile, images: sources.length });
+    if (limited) {
+      await reply(`⏳ ${rateLimitMessage(limited)}`);
+      return;
+    }
+
+    const { subject } = parsed;
+    const flags = {
+      ...parsed.flags,
+      n: sources.length,
+      ...(imageFiles.length > 0 ? { attachments: sources.length } : { sourceJobId: previousJob.id })
+    };
+
+    const workingText = `✂️ ${getRandomWorkingMessage()} your cutout...`;
+    const response = await slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: workingText });
+
+    const job = await jobStore.create({
+      command: 'app_mention',
+      profile: cutoutProfile.id,
+      bot: 'image',
+      user,
+      channel,
+      threadTs,
+      prompt: subject,
+      flags
+    });
+
+    // The source images aren't kept, so the only follow-up offered is deleting the result
+    startGenerationJob({
+      client: slackClient,
+      profile: cutoutProfile,
+      job,
+      statusTs: response.ts,
+      statusText: workingText,
+      generate: (hooks, index) => generateCutout(sources[index], subject, { ...hooks, flags }),
+      title: `Cutout: ${subject}`,
+      comment: '✂️ Transparent PNG cropped to the subject, ready to use as a reference image',
+      errorPrefix: '❌ Sorry, I couldn\'t cut that out: ',
+      resultActions: [RESULT_ACTIONS.delete]
+    });
+  }
+
+  // HTTP API: the image as multipart/form-data or a raw image/png, image/jpeg or image/webp body.
+  // ?subject= says what to keep. Answers with the cutout PNG itself; X-Job-Id names the job record.
+  fastify.post('/cutout', {
+    preValidation: verifyApiToken(() => fastify.config.API_TOKEN),
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          subject: { type: 'string', maxLength: 200 },
+          ratio: { type: 'string', enum: SUPPORTED_RATIOS }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    let upload = null;
+    if (request.isMultipart()) {
+      const file = await request.file({ limits: { fileSize: MAX_CUTOUT_UPLOAD_BYTES } });
+      upload = file && await file.toBuffer();
+    } else if (Buffer.isBuffer(request.body)) {
+      upload = request.body;
+    }
+
+    const source = upload && await readSourceImage(upload);
+    if (!source) {
+      return reply.code(400).send({ error: 'Send a PNG, JPEG or WebP image as multipart/form-data or as the raw request body' });
+    }
+
+    const limited = await chargeRateLimits({ profile: cutoutProfile });
+    if (limited) {
+      return sendRateLimited(reply, limited);
+    }
+
+    const subject = request.query.subject || 'the main subject';
+    const flags = { ratio: request.query.ratio || closestRatio(source, SUPPORTED_RATIOS), n: 1 };
+    const job = await jobStore.create({ command: 'POST /cutout', profile: cutoutProfile.id, prompt: subject, flags });
+    const log = jobLogger(job);
+    log.info({ bytes: source.buffer.length, mimeType: source.mimeType }, '🧾 Cutout requested');
+
+    // The caller waits for the image, so this runs in the request rather than in the background
+    const provider = cutoutProfile.provider || DEFAULT_PROVIDER;
+    let attempts = 0;
+    try {
+      const saved = await processWithConcurrencyLimit(async () => {
+        await jobStore.markStarted(job.id);
+        const generated = await generateCutout(source, subject, {
+          onAttempt: (attempt) => { attempts = attempt; },
+          onProviderCall: (call) => recordProviderCall({ ...call, jobId: job.id, command: job.command }),
+          log,
+          flags
+        });
+        return saveGeneratedImage(generated, { prompt: subject, command: job.command, profile: cutoutProfile, ratio: flags.ratio, flags, jobId: job.id });
+      }, { profile: cutoutProfile });
+
+      log.info({ filename: saved.filename, bytes: saved.buffer.length }, '💾 Saved image');
+      observeJob(await jobStore.markFinished(job.id, { outputFilename: saved.filename, outputFilenames: [saved.filename], attempts }), provider);
+      return reply.type('image/png').header('x-job-id', job.id).send(saved.buffer);
+    } catch (error) {
+      await jobStore.markFinished(job.id, { error, attempts }).then(record => observeJob(record, provider), (storeError) => {
+        log.error({ err: storeError }, 'Failed to record job failure');
+      });
+      if (error instanceof QueueFullError) {
+        return reply.code(429).send({ error: error.message, jobId: job.id });
+      }
+      if (error instanceof CutoutError || REFUSAL_CLASSES.includes(error.errorClass)) {
+        return reply.code(422).send({ error: error.message, jobId: job.id });
+      }
+      log.error({ err: error }, '❌ Cutout failed');
+      return reply.code(502).send({ error: error.message, jobId: job.id });
+    }
+  });
+
+  // TM Daily header, from /tmheader or the morning schedule
+  const HEADER_COMMAND = '/tmheader';
+  const HEADER_SUBJECT = 'tmheader';
+  const headerFlagSpecs = [
+    { name: 'tz', key: 'tz', type: 'text', pattern: /^[A-Za-z0-9_+\-/]+$/, placeholder: 'timezone', description: `Timezone for today, tomorrow and yesterday, e.g. --tz Europe/London (default ${HEADER_TIMEZONE})` }
+  ];
+  const headerHelpText = () => [
+    `*${HEADER_COMMAND} [date] [--tz <timezone>]* posts the TM Daily header (${HEADER_WIDTH}x${HEADER_HEIGHT}) to this channel.`,
+    'Date: `today` (default), `tomorrow`, `yesterday` or `YYYY-MM-DD`.',
+    formatFlagHelp(headerFlagSpecs)
+  ].join('\n');
+
+  // Render the header for a calendar date, save it with metadata and upload it to the channel
+  async function postDailyHeader({ client, channel, date, timeZone, userId = null, scheduled = false }) {
+    const dateText = formatHeaderDate(date);
+    const job = await jobStore.create({
+      command: HEADER_COMMAND,
+      profile: HEADER_SUBJECT,
+      user: userId,
+      channel,
+      prompt: dateText,
+      flags: { date: isoDate(date), tz: timeZone, ...(scheduled && { scheduled: true }) }
+    });
+    const log = jobLogger(job);
+    await jobStore.markStarted(job.id);
+
+    try {
+      const startTime = Date.now();
+      const { buffer, renderer, fallbackReason } = await dailyHeader.render(dateText);
+      if (fallbackReason) {
+        log.warn({ reason: fallbackReason }, 'Daily header drawn by the model fallback');
+      }
+
+      const saved = await writeImageWithMetadata(outputDir, buffer, {
+        prompt: dateText,
+        command: HEADER_COMMAND,
+        subject: HEADER_SUBJECT,
+        flags: job.flags,
+        width: HEADER_WIDTH,
+        height: HEADER_HEIGHT,
+        renderer,
+        user: userId,
+        channel,
+        jobId: job.id,
+        latencyMs: Date.now() - startTime
+      });
+
+      uploadBytes.observe({ subject: HEADER_SUBJECT }, saved.buffer.length);
+      const upload = await client.files.uploadV2({
+        channel_id: channel,
+        initial_comment: `📰 TM Daily header for ${dateText}`,
+        file_uploads: [{ file: saved.buffer, filename: saved.filename, title: `TM Daily ${dateText}` }]
+      });
+      log.info({ filename: saved.filename, renderer }, '📤 Uploaded daily header');
+
+      return await jobStore.markFinished(job.id, {
+        outputFilename: saved.filename,
+        renderer,
+        slackFileIds: uploadedFileIds(upload)
+      });
+    } catch (error) {
+      await jobStore.markFinished(job.id, { error }).catch((storeError) => {
+        log.error({ err: storeError }, 'Failed to record job failure');
+      });
+      throw error;
+    }
+  }
+
+  // Morning post to DAILY_HEADER_CHANNEL; started by the entry point once the server listens
+  const dailyHeaderSchedule = fastify.config.DAILY_HEADER_CHANNEL
+    ? createDailySchedule({
+      time: headerTime,
+      timeZone: HEADER_TIMEZONE,
+      run: async () => {
+        const job = await postDailyHeader({
+          client: slackClients.tmai,
+          channel: fastify.config.DAILY_HEADER_CHANNEL,
+          date: calendarDateIn(HEADER_TIMEZONE),
+          timeZone: HEADER_TIMEZONE,
+          scheduled: true
+        });
+        fastify.log.info({ jobId: job.id, date: job.flags.date }, '📰 Posted scheduled daily header');
+      },
+      onError: (error) => fastify.log.error({ err: error }, '❌ Scheduled daily header failed')
+    })
+    : null;
+  fastify.addHook('onClose', async () => dailyHeaderSchedule?.stop());
+
+  fastify.post('/tmheader-gen', botRoutes.tmai, async (request, reply) => {
+    const { command, text, channel_id, user_id } = request.body;
+    fastify.log.info({ command, channel: channel_id, user: user_id }, 'Daily header command received');
+
+    if (command !== HEADER_COMMAND) {
+      fastify.log.error({ command, expected: HEADER_COMMAND }, 'Unknown command received');
+      return reply.code(400).send({ error: 'Unknown command' });
+    }
+
+    const ephemeral = (message) => reply.code(200).send({ text: message, response_type: 'ephemeral' });
+
+    if (!isAllowedIn(null, HEADER_COMMAND, channel_id)) {
+      return ephemeral(`❌ ${HEADER_COMMAND} isn't enabled in this channel.`);
+    }
+
+    let parsed;
+    try {
+      parsed = parseCommandFlags(text || '', headerFlagSpecs, { tz: HEADER_TIMEZONE });
+    } catch (error) {
+      if (!(error instanceof FlagError)) {
+        throw error;
+      }
+      return ephemeral(`❌ ${error.message}\n\n${headerHelpText()}`);
+    }
+    const { prompt, flags } = parsed;
+
+    if (prompt.toLowerCase() === 'help') {
+      return ephemeral(headerHelpText());
+    }
+    if (!isValidTimeZone(flags.tz)) {
+      return ephemeral(`❌ Unknown timezone "${flags.tz}". Use an IANA name such as America/New_York or Asia/Singapore.`);
+    }
+
+    const date = resolveHeaderDate(prompt, { timeZone: flags.tz });
+    if (!date) {
+      return ephemeral(`❌ Couldn't read "${prompt}" as a date.\n\n${headerHelpText()}`);
+    }
+
+    // Render and upload after acknowledging, so Slack's 3 second window is never at risk
+    setTimeout(async () => {
+      try {
+        await postDailyHeader({ client: slackClients.tmai, channel: channel_id, date, timeZone: flags.tz, userId: user_id });
+      } catch (error) {
+        fastify.log.error({ err: error, channel: channel_id, user: user_id }, '❌ Daily header failed');
+        await slackClients.tmai.chat.postEphemeral({
+          channel: channel_id,
+          user: user_id,
+          text: `❌ Couldn't post the daily header: ${error.message}`
+        }).catch((slackError) => {
+          fastify.log.warn({ err: slackError }, 'Failed to post ephemeral header error');
+        });
+      }
+    }, 0);
+
+    return ephemeral(`📰 Drawing the TM Daily header for ${formatHeaderDate(date)}…`);
+  });
+
+  // Health check endpoint
+  fastify.get('/health', async (request, reply) => {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      service: 'mascot-gen'
+    };
+  });
+
+  // Prometheus scrape endpoint
+  fastify.get('/metrics', async (request, reply) => {
+    return reply.type(METRICS_CONTENT_TYPE).send(metrics.render());
+  });
+
+  // Job status endpoints
+  fastify.get('/jobs/:id', {
+    preValidation: verifyApiToken(() => fastify.config.API_TOKEN)
+  }, async (request, reply) => {
+    const job = jobStore.get(request.params.id);
+    if (!job) {
+      return reply.code(404).send({ error: 'Job not found' });
+    }
+    return job;
+  });
+
+  fastify.get('/jobs', {
+    preValidation: verifyApiToken(() => fastify.config.API_TOKEN),
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          user: { type: 'string' },
+          status: { type: 'string', enum: JOB_STATUSES },
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { user, status, limit } = request.query;
+    return { jobs: jobStore.list({ user, status, limit }) };
+  });
+
+  // Usage log as CSV, one row per provider call (see usage.js). ?since= takes 30d, 12h, 2w or YYYY-MM-DD.
+  fastify.get('/usage.csv', {
+    preValidation: verifyApiToken(() => fastify.config.API_TOKEN),
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          since: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { since } = request.query;
+    const sinceDate = since ? parseSince(since) : null;
+    if (since && !sinceDate) {
+      return reply.code(400).send({ error: 'since must look like 30d, 12h, 2w or YYYY-MM-DD' });
+    }
+
+    return reply
+      .type('text/csv; charset=utf-8')
+      .header('content-disposition', 'attachment; filename="usage.csv"')
+      .send(usageCsv(usageLog.list({ since: sinceDate })));
+  });
+
+  // Gallery over generated images and their metadata sidecars
+  const gallery = createGallery(outputDir);
+
+  fastify.get('/gallery', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          subject: { type: 'string' },
+          user: { type: 'string' },
+          ratio: { type: 'string' },
+          from: { type: 'string' },
+          to: { type: 'string' },
+          q: { type: 'string' },
+          page: { type: 'integer', minimum: 1, default: 1 },
+          pageSize: { type: 'integer', minimum: 1, maximum: 100, default: 24 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { from, to } = request.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return reply.code(400).send({ error: `Invalid ${name} date: ${value}` });
+      }
+    }
+
+    return gallery.list(request.query);
+  });
+
+  fastify.get('/gallery/thumbnails/:filename', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          width: { type: 'integer', minimum: 16, maximum: MAX_THUMBNAIL_WIDTH, default: DEFAULT_THUMBNAIL_WIDTH }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const thumbnail = await gallery.thumbnail(request.params.filename, request.query.width);
+    if (!thumbnail) {
+      return reply.code(404).send({ error: 'Image not found' });
+    }
+    return reply.type('image/webp').header('cache-control', 'public, max-age=86400').send(thumbnail);
+  });
+
+  // Events API webhook endpoint for app mentions
+  fastify.post('/slack/image', botRoutes.image, async (request, reply) => {
+    try {
+      fastify.log.info('=== Events API webhook hit (using IMAGE_SLACK_BOT_TOKEN) ===');
+
+      // Debug raw request data (only at debug level to reduce noise)
+      fastify.log.debug({
+        headers: Object.keys(request.headers),
+        bodyType: typeof request.body,
+        bodyKeys: request.body ? Object.keys(request.body) : 'NULL BODY',
+        eventId: request.body?.event_id,
+        teamId: request.body?.team_id
+      }, 'Events API request envelope');
+
+      // Verify token configuration
+      fastify.log.debug({
+        hasImageToken: !!fastify.config.IMAGE_SLACK_BOT_TOKEN,
+        botUserId: fastify.config.IMAGE_SLACK_BOT_USER_ID
+      }, 'Events API token debug');
+
+      fastify.log.debug({
+        requestType: request.body.type || 'MISSING',
+        eventType: request.body.event?.type || 'MISSING'
+      }, 'Events API types');
+
+      // Slack sends URL verification challenge when setting up webhook
+      if (request.body.type === 'url_verification') {
+        fastify.log.info('🔗 Slack URL verification request received');
+        return {
+          challenge: request.body.challenge
+        };
+      }
+
+      // Handle app_mention events, plus thread replies that refine a generated image
+      if (request.body.type === 'event_callback') {
+        const eventType = request.body.event.type;
+        const incomingEventId = request.body.event_id;
+        const eventTime = request.body.event_time;
+
+        // Log ALL event types for debugging
+        fastify.log.info(`📩 Event received: ${eventType} (ID: ${incomingEventId}, Time: ${eventTime})`);
+
+        const event = request.body.event;
+
+        if (!event) {
+          throw new Error('Event object is missing from request body');
+        }
+
+        const botUserId = `<@${fastify.config.IMAGE_SLACK_BOT_USER_ID}>`;
+
+        // Plain replies in a thread; ones that @mention the bot arrive separately as app_mention
+        const isThreadReply = eventType === 'message' &&
+          !!event.thread_ts &&
+          !event.subtype &&
+          !event.bot_id &&
+          !event.text?.includes(botUserId);
+
+        // Only process app_mention events and thread replies, ignore everything else
+        if (eventType !== 'app_mention' && !isThreadReply) {
+          fastify.log.info(`🔄 Ignoring non-mention event: ${eventType}`);
+          return { ok: true };
+        }
+
+        // The last image generated in this thread, if the message is a reply in one
+        const previousJob = event.thread_ts ? jobStore.latestInThread(event.channel, event.thread_ts) : null;
+
+        if (isThreadReply && !previousJob) {
+          fastify.log.debug({ channel: event.channel, threadTs: event.thread_ts }, 'Ignoring reply outside a generation thread');
+          return { ok: true };
+        }
+
+        const dedupId = `${event.channel}_${event.user}_${event.event_ts}`;
+
+        // Skip if we've already processed this event
+        if (processedEvents.has(dedupId)) {
+          dedupHits.inc();
+          fastify.log.debug({ dedupId, eventId: incomingEventId }, '🔄 Skipping duplicate event');
+          return { ok: true };
+        }
+
+        // Mark this event as processed
+        processedEvents.add(dedupId);
+
+        // Clean up old events (keep only last 100)
+        if (processedEvents.size > 100) {
+          const oldestEvent = processedEvents.values().next().value;
+          processedEvents.delete(oldestEvent);
+        }
+
+        const user = event.user;
+        const channel = event.channel;
+        const text = event.text;
+        const files = event.files;
+
+        fastify.log.info({
+          user,
+          channel,
+          hasFiles: !!(files && files.length),
+          textLength: text ? text.length : 0,
+          refinesJob: previousJob?.id,
+          dedupId
+        }, `Processing ${eventType}`);
+
+        // SAFETY CHECK: If critical fields are empty, skip processing
+        if (!user || !channel || !text || text.trim().length === 0) {
+          fastify.log.warn({ eventType, eventId: incomingEventId, hasUser: !!user, hasChannel: !!channel, hasText: !!text?.trim() }, '❌ Skipping event with missing critical data');
+          return { ok: true };
+        }
+
+        // Extract prompt by removing bot mention
+        let prompt = text.replace(botUserId, '').trim();
+
+        // Validate prompt exists
+        if (!prompt || prompt.trim().length === 0) {
+          await slackClient.chat.postMessage({
+            channel: channel,
+            thread_ts: event.thread_ts || event.ts,
+            text: `❌ Please include a description for what you want me to do with your image(s)!`
+          });
+          return { ok: true };
+        }
+
+        // Replies go to the thread the mention started (or was already in)
+        const threadTs = event.thread_ts || event.ts;
+
+        const postMentionHelp = () => slackClient.chat.postEphemeral({
+          channel: channel,
+          user: user,
+          thread_ts: threadTs,
+          text: commandHelpText(mentionProfile, '@bot')
+        });
+
+        // Keywords are checked before thread edits, so "podium" or "help" in a generation thread isn't
+        // taken as a change to its image.
+        // "cutout" removes the background from attached images, or from the thread's latest image
+        if (/^cutout\b/i.test(prompt)) {
+          await handleCutoutMention(prompt.replace(/^cutout\b/i, '').trim(), { files, user, channel, threadTs, previousJob });
+          return { ok: true };
+        }
+
+        // "@bot podium <title>" with a CSV attachment (or inline names) draws a podium
+        if (/^podium\b/i.test(prompt)) {
+          await handlePodiumMention(prompt.replace(/^podium\b/i, '').trim(), { files, user, channel, threadTs });
+          return { ok: true };
+        }
+
+        if (prompt.toLowerCase() === 'help') {
+          if (isAllowedIn(mentionProfile, '@mention', channel)) {
+            await postMentionHelp();
+          }
+          return { ok: true };
+        }
+
+        // Replies in a generation thread edit the last image instead of starting over
+        if (previousJob) {
+          await handleThreadRefinement(previousJob, prompt, user, channel);
+          return { ok: true };
+        }
+
+        if (!isAllowedIn(mentionProfile, '@mention', channel)) {
+          fastify.log.info({ channel, profile: mentionProfile.id }, 'Ignoring mention in channel not allowed for profile');
+          return { ok: true };
+        }
+
+        // Parse flags; mistakes are explained only to the person who mentioned the bot
+        let flags;
+        try {
+          ({ prompt, flags } = parsePromptWithFlags(mentionProfile, prompt));
+        } catch (error) {
+          if (!(error instanceof FlagError)) {
+            throw error;
+          }
+          await slackClient.chat.postEphemeral({
+            channel: channel,
+            user: user,
+            thread_ts: threadTs,
+            text: `❌ ${error.message}\n\nMention me with \`help\` to see every option.`
+          });
+          return { ok: true };
+        }
+        const { ratio } = flags;
+
+        if (!prompt || prompt.toLowerCase() === 'help') {
+          await postMentionHelp();
+          return { ok: true };
+        }
+
+        const limited = await chargeRateLimits({ user, channel, profile: mentionProfile, images: flags.n });
+        if (limited) {
+          await slackClient.chat.postEphemeral({
+            channel: channel,
+            user: user,
+            thread_ts: threadTs,
+            text: `⏳ ${rateLimitMessage(limited)}`
+          });
+          return { ok: true };
+        }
+
+        // Process files if any
+        let attachedImages = [];
+        if (files && files.length > 0) {
+          fastify.log.info('📎 Processing attached files...');
+          for (const file of files) {
+            if (file.mimetype && file.mimetype.startsWith('image/')) {
+              try {
+                // Download file from Slack
+                const imageBuffer = await downloadSlackFile(file);
+                if (imageBuffer) {
+                  attachedImages.push({
+                    data: imageBuffer.toString('base64'),
+                    mimeType: file.mimetype
+                  });
+                  fastify.log.info({ file: file.name, bytes: imageBuffer.length }, '✅ Downloaded image');
+                }
+              } catch (error) {
+                fastify.log.error({ err: error, file: file.name }, '❌ Failed to download file');
+              }
+            }
+          }
+        }
+
+        // Get user info for personalized response
+        let userName = 'there';
+        try {
+          const userInfo = await slackClient.users.info({ user: user });
+          userName = userInfo.user?.real_name || userInfo.user?.name || 'there';
+        } catch (error) {
+          fastify.log.warn({ err: error, user }, 'Failed to get user info, using default name');
+        }
+
+        const workingMessage = getRandomWorkingMessage();
+        const randomMessage = `👇🏼 ${workingMessage}, ${userName}...`;
+
+        const response = await slackClient.chat.postMessage({
+          channel: channel,
+          text: randomMessage,
+          thread_ts: threadTs  // Reply to the original message
+        });
+
+        // Record the job before it enters the queue
+        const job = await jobStore.create({
+          command: 'app_mention',
+          profile: mentionProfile.id,
+          bot: 'image',
+          user,
+          channel,
+          threadTs,
+          prompt,
+          flags: { ...flags, attachments: attachedImages.length }
+        });
+
+        // Process image generation asynchronously
+        startGenerationJob({
+          client: slackClient,
+          profile: mentionProfile,
+          job,
+          statusTs: response.ts,
+          statusText: randomMessage,
+          generate: (hooks) => generateSubjectImage(mentionProfile, prompt, ratio, attachedImages, { ...hooks, flags }),
+          title: `AI Generated: ${prompt} (${ratio})`,
+          comment: attachedImages.length > 0
+            ? `✨ Generated image from your prompt and ${attachedImages.length} attached image(s)`
+            : '✨ Generated image from your prompt',
+          errorPrefix: '❌ Sorry, I encountered an error generating your image: '
+        });
+
+        return { ok: true };
+      }
+
+      // Return 200 for other event types
+      return { ok: true };
+
+    } catch (error) {
+      fastify.log.error({ err: error, eventType: request.body?.event?.type, eventId: request.body?.event_id }, 'Error processing Events API webhook');
+      return reply.code(500).send({ error: 'Webhook processing failed' });
+    }
+  });
+
+
+
+  // Block Kit interactivity (result action buttons) for both bots
+  fastify.post('/slack/interactivity', {
+    preParsing: captureRawBody,
+    preValidation: verifySlackRequestFromAnyBot(() => ({
+      image: fastify.config.IMAGE_SLACK_SIGNING_SECRET,
+      tmai: fastify.config.TMAI_SLACK_SIGNING_SECRET
+    }))
+  }, async (request, reply) => {
+    let payload;
+    try {
+      payload = JSON.parse(request.body.payload);
+    } catch (error) {
+      return reply.code(400).send({ error: 'Invalid interactivity payload' });
+    }
+
+    if (payload.type !== 'block_actions') {
+      return reply.code(200).send();
+    }
+
+    noteConversation(payload.channel?.id, { channelName: payload.channel?.name });
+    const resultAction = parseResultAction(payload);
+    if (!resultAction || !Object.values(RESULT_ACTIONS).includes(resultAction.action)) {
+      return reply.code(200).send();
+    }
+
+    const userId = payload.user?.id;
+    fastify.log.info({ ...resultAction, user: userId, bot: request.slackBot }, 'Result action received');
+
+    // Acknowledge within Slack's 3 second window; errors go back to the user as ephemeral messages
+    setTimeout(async () => {
+      let message;
+      try {
+        message = await handleResultAction(resultAction, userId);
+      } catch (error) {
+        fastify.log.error({ err: error, ...resultAction }, 'Result action failed');
+        message = error.message;
+      }
+
+      if (message && payload.channel?.id) {
+        await slackClients[request.slackBot].chat.postEphemeral({
+          channel: payload.channel.id,
+          user: userId,
+          thread_ts: payload.message?.thread_ts,
+          text: `❌ ${message}`
+        }).catch((error) => {
+          fastify.log.warn({ err: error }, 'Failed to post ephemeral action error');
+        });
+      }
+    }, 0);
+
+    return reply.code(200).send();
+  });
+
+  // Slash command endpoints, one per subject profile
+  for (const profile of profiles.values()) {
+    if (!profile.route) {
+      continue;
+    }
+
+    fastify.post(profile.route, botRoutes[profile.bot], async (request, reply) => {
+      try {
+        fastify.log.info(`=== ${profile.route} endpoint hit (profile: ${profile.id}) ===`);
+
+        const { command, text, channel_id, user_id } = request.body;
+
+        fastify.log.info({ command, channel: channel_id, user: user_id, profile: profile.id }, 'Slash command received');
+
+        // Verify this is our command
+        if (!profile.commands.includes(command)) {
+          fastify.log.error({ command, expected: profile.commands }, 'Unknown command received');
+          return reply.code(400).send({ error: 'Unknown command' });
+        }
+
+        // Handle the command
+        const result = await handleProfileSlashCommand(profile, command, text || '', channel_id, user_id);
+
+        // Return response to Slack
+        return reply.code(200).send(result);
+
+      } catch (error) {
+        fastify.log.error({ err: error, profile: profile.id }, 'Error processing slash command');
+        return reply.code(500).send({
+          text: `❌ An error occurred while processing your ${profile.label} command.`,
+          response_type: 'ephemeral'
+        });
+      }
+    });
+  }
+
+  // Shared state for the entry point and tests
+  fastify.decorate('profiles', profiles);
+  fastify.decorate('jobStore', jobStore);
+  fastify.decorate('jobQueue', jobQueue);
+  fastify.decorate('dailyHeaderSchedule', dailyHeaderSchedule);
+  fastify.decorate('recoverInterruptedJobs', recoverInterruptedJobs);
+
+  return fastify;
+}
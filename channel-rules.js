@@ -0,0 +1,108 @@
+// Channel allow/deny patterns for subjects (profile allowedChannels/deniedChannels) and commands
+// (CHANNEL_RULES). A pattern is one of:
+//   C0123ABC      a conversation ID
+//   *             anywhere
+//   dm:*          direct messages, 1:1 and group
+//   private:*     private channels
+//   public:*      public channels
+//   $TARGET_CHANNEL  the comma-separated IDs in a config variable
+
+const TYPE_WILDCARDS = {
+  'dm:*': ['im', 'mpim'],
+  'private:*': ['private'],
+  'public:*': ['public']
+};
+
+const CONVERSATION_ID = /^[CGD][A-Z0-9]+$/;
+const VARIABLE = /^\$([A-Z][A-Z0-9_]*)$/;
+
+export function isChannelPattern(pattern) {
+  return pattern === '*' || pattern in TYPE_WILDCARDS || CONVERSATION_ID.test(pattern) || VARIABLE.test(pattern);
+}
+
+// 'public', 'private', 'im' or 'mpim', from what Slack sent with the request: an Events API
+// channel_type, or the channel_name of a slash command or interactivity payload. Without either,
+// the ID prefix is used (D = DM, G = legacy private channel); newer private channels also start
+// with C, so those only count as private when Slack said so.
+export function conversationType(channelId, { channelType, channelName } = {}) {
+  const fromEventType = { channel: 'public', group: 'private', im: 'im', mpim: 'mpim' }[channelType];
+  if (fromEventType) {
+    return fromEventType;
+  }
+  if (channelName === 'directmessage') {
+    return 'im';
+  }
+  if (channelName === 'privategroup') {
+    return 'private';
+  }
+  if (channelName?.startsWith('mpdm-')) {
+    return 'mpim';
+  }
+  if (String(channelId).startsWith('D')) {
+    return 'im';
+  }
+  return String(channelId).startsWith('G') ? 'private' : 'public';
+}
+
+// Replace $VARIABLE patterns with their IDs. Throws for a variable that isn't defined.
+export function expandChannelPatterns(patterns, variables = {}) {
+  return patterns.flatMap((pattern) => {
+    const variable = pattern.match(VARIABLE);
+    if (!variable) {
+      return [pattern];
+    }
+    if (!(variable[1] in variables)) {
+      throw new Error(`Unknown channel variable ${pattern}`);
+    }
+    return variables[variable[1]];
+  });
+}
+
+function matchesConversation(pattern, { id, type }) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (pattern in TYPE_WILDCARDS) {
+    return TYPE_WILDCARDS[pattern].includes(type);
+  }
+  return pattern === id;
+}
+
+// Allowed when some allow pattern matches and no deny pattern does (deny wins).
+// conversation is { id, type } as built with conversationType.
+export function isConversationAllowed({ allow = ['*'], deny = [] }, conversation, variables = {}) {
+  const matches = (patterns) => expandChannelPatterns(patterns, variables).some(pattern => matchesConversation(pattern, conversation));
+  return matches(allow) && !matches(deny);
+}
+
+// Parse CHANNEL_RULES: "<command>=<pattern>,<pattern>;..." where a "!" in front of a pattern denies it,
+// e.g. "/ian=$TARGET_CHANNEL;/podium=!dm:*;@mention=public:*,!C0SPAM". A command with only denials
+// is allowed everywhere else. Returns a Map of command -> { allow, deny }; throws on bad syntax.
+export function parseChannelRules(text) {
+  const rules = new Map();
+
+  for (const entry of String(text || '').split(';').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const command = entry.slice(0, separator).trim().toLowerCase();
+    if (separator === -1 || !/^(\/[a-z0-9_-]+|@mention)$/.test(command)) {
+      throw new Error(`CHANNEL_RULES entry "${entry}" must look like /command=pattern,pattern or @mention=pattern`);
+    }
+    if (rules.has(command)) {
+      throw new Error(`CHANNEL_RULES lists ${command} more than once`);
+    }
+
+    const allow = [];
+    const deny = [];
+    for (const raw of entry.slice(separator + 1).split(',').map(part => part.trim()).filter(Boolean)) {
+      const pattern = raw.replace(/^!/, '');
+      if (!isChannelPattern(pattern)) {
+        throw new Error(`CHANNEL_RULES has an invalid channel pattern "${raw}" for ${command}`);
+      }
+      (raw.startsWith('!') ? deny : allow).push(pattern);
+    }
+
+    rules.set(command, { allow: allow.length > 0 ? allow : ['*'], deny });
+  }
+
+  return rules;
+}
@@ -0,0 +1,175 @@
+// One flag grammar for every command: `prompt text --flag value --switch --quoted "two words"`.
+// Flags may also be written --flag=value; Slack's smart quotes and em dashes are accepted.
+
+export class FlagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FlagError';
+  }
+}
+
+export const OUTPUT_FORMATS = ['png', 'jpeg', 'webp'];
+export const MAX_SEED = 2147483647;
+
+// Flag specs for a deployment. type is 'choice', 'integer', 'text' or 'switch'; key is the parsed field name.
+// Choices in unavailable are recognised but refused with their reason (e.g. a size above the server's cap).
+export function createFlagSpecs({ ratios, defaultRatio, maxCandidates, providers = [], sizes = [], unavailableSizes = {} }) {
+  return [
+    { name: 'ratio', key: 'ratio', type: 'choice', choices: ratios, placeholder: 'ratio', description: `Aspect ratio (${ratios.join(', ')}), default ${defaultRatio}` },
+    ...(sizes.length > 0
+      ? [{ name: 'size', key: 'size', type: 'choice', choices: sizes, unavailable: unavailableSizes, placeholder: sizes.join('|'), description: `Output resolution, default ${sizes[0]}` }]
+      : []),
+    { name: 'n', key: 'n', type: 'integer', min: 1, max: maxCandidates, placeholder: `1-${maxCandidates}`, description: 'Number of candidates to generate at once' },
+    { name: 'style', key: 'style', type: 'text', placeholder: 'style', description: 'Extra style direction, e.g. --style "flat vector"' },
+    { name: 'negative', key: 'negative', type: 'text', placeholder: 'things to avoid', description: 'What to keep out of the image, e.g. --negative "text, people"' },
+    { name: 'no-logo', key: 'noLogo', type: 'switch', description: 'Skip the logo overlay' },
+    { name: 'model', key: 'model', type: 'text', pattern: /^[A-Za-z0-9._/-]+$/, placeholder: 'model', description: 'Override the provider\'s image model' },
+    { name: 'seed', key: 'seed', type: 'integer', min: 0, max: MAX_SEED, placeholder: 'number', description: 'Seed for more repeatable results (where the provider supports it)' },
+    { name: 'format', key: 'format', type: 'choice', choices: OUTPUT_FORMATS, placeholder: OUTPUT_FORMATS.join('|'), description: 'Output file format, default png' },
+    ...(providers.length > 0
+      ? [{ name: 'provider', key: 'provider', type: 'choice', choices: providers, placeholder: providers.join('|'), description: 'Image backend for this request' }]
+      : [])
+  ];
+}
+
+const QUOTES = { '"': '"', '\'': '\'', '“': '”', '‘': '’' };
+
+// Slack and phones turn -- into an em/en dash; treat those like --
+const normalizeDashes = (text) => text.replace(/(^|\s)[—–](?=[a-z])/gi, '$1--');
+
+// Read a bare or quoted value starting at index. Returns { value, end } or null at end of input.
+function readValue(text, index) {
+  while (index < text.length && /\s/.test(text[index])) {
+    index++;
+  }
+  if (index >= text.length) {
+    return null;
+  }
+
+  const close = QUOTES[text[index]];
+  if (close) {
+    const end = text.indexOf(close, index + 1);
+    if (end === -1) {
+      throw new FlagError(`Missing closing quote for ${text.slice(index, index + 20)}…`);
+    }
+    return { value: text.slice(index + 1, end), end: end + 1, quoted: true };
+  }
+
+  let end = index;
+  while (end < text.length && !/\s/.test(text[end])) {
+    end++;
+  }
+  return { value: text.slice(index, end), end };
+}
+
+function validateValue(spec, raw) {
+  const flag = `--${spec.name}`;
+
+  switch (spec.type) {
+    case 'choice':
+      if (spec.unavailable?.[raw]) {
+        throw new FlagError(`${flag} ${raw} isn't available: ${spec.unavailable[raw]}. Expected one of: ${spec.choices.join(', ')}`);
+      }
+      if (!spec.choices.includes(raw)) {
+        throw new FlagError(`Invalid value "${raw}" for ${flag}. Expected one of: ${spec.choices.join(', ')}`);
+      }
+      return raw;
+
+    case 'integer': {
+      const value = Number(raw);
+      if (!/^\d+$/.test(raw) || value < spec.min || value > spec.max) {
+        throw new FlagError(`Invalid value "${raw}" for ${flag}. Expected a whole number from ${spec.min} to ${spec.max}`);
+      }
+      return value;
+    }
+
+    default: {
+      const value = raw.trim();
+      if (!value) {
+        throw new FlagError(`${flag} needs a value`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        throw new FlagError(`Invalid value "${raw}" for ${flag}`);
+      }
+      return value;
+    }
+  }
+}
+
+// Split command text into the prompt and validated flags. Throws FlagError for unknown,
+// repeated, missing or invalid flags. defaults fill flags that weren't given.
+export function parseCommandFlags(text, specs, defaults = {}) {
+  const source = normalizeDashes(String(text || ''));
+  const byName = new Map(specs.map(spec => [spec.name, spec]));
+  const flags = { ...defaults };
+  const seen = new Set();
+  const promptParts = [];
+  const flagPattern = /(^|\s)--([A-Za-z][\w-]*)(=)?/g;
+
+  let cursor = 0;
+  let match;
+  while ((match = flagPattern.exec(source)) !== null) {
+    const [, leading, rawName, equals] = match;
+    const name = rawName.toLowerCase();
+    const spec = byName.get(name);
+
+    if (!spec) {
+      throw new FlagError(`Unknown flag --${rawName}. Supported flags: ${specs.map(known => `--${known.name}`).join(', ')}`);
+    }
+    if (seen.has(name)) {
+      throw new FlagError(`--${name} was given more than once`);
+    }
+    seen.add(name);
+
+    promptParts.push(source.slice(cursor, match.index + leading.length));
+    let end = match.index + match[0].length;
+
+    if (spec.type === 'switch') {
+      if (equals) {
+        throw new FlagError(`--${name} doesn't take a value`);
+      }
+      flags[spec.key] = true;
+    } else {
+      const read = readValue(source, end);
+      if (!read || (!read.quoted && read.value.startsWith('--'))) {
+        throw new FlagError(`Missing value for --${name} (expected <${spec.placeholder}>)`);
+      }
+      flags[spec.key] = validateValue(spec, read.value);
+      end = read.end;
+    }
+
+    cursor = end;
+    flagPattern.lastIndex = end;
+  }
+  promptParts.push(source.slice(cursor));
+
+  return {
+    prompt: promptParts.join(' ').replace(/\s+/g, ' ').trim(),
+    flags
+  };
+}
+
+// Keep only the user-facing flags (drops bookkeeping like parentJobId) so they can be carried to a new job
+export function pickFlags(flags = {}, specs) {
+  return Object.fromEntries(specs
+    .filter(spec => flags[spec.key] !== undefined && flags[spec.key] !== null)
+    .map(spec => [spec.key, flags[spec.key]]));
+}
+
+// One help line per flag, generated from the specs
+export function formatFlagHelp(specs) {
+  return specs
+    .map(spec => `• \`--${spec.name}${spec.type === 'switch' ? '' : ` <${spec.placeholder}>`}\` ${spec.description}`)
+    .join('\n');
+}
+
+// Extra prompt lines for the flags that steer the image itself
+export function flagPromptDirections(flags = {}) {
+  const directions = [
+    flags.style && `Style: ${flags.style}`,
+    flags.negative && `Avoid: ${flags.negative}`,
+    flags.noLogo && 'Do not add any logo or watermark'
+  ].filter(Boolean);
+
+  return directions.length > 0 ? `\nAdditional directions:\n- ${directions.join('\n- ')}\n` : '';
+}
@@ -0,0 +1,206 @@
+// Background keying on raw RGBA pixels. Pure per-pixel work with no I/O, so cutout.js can run it on
+// a worker thread (cutout-worker.js).
+
+// Pixels closer than this (RGB distance) to a background colour are background; up to OUTER they
+// are edge pixels that get partial alpha
+const INNER_TOLERANCE = 20;
+const OUTER_TOLERANCE = 50;
+
+// Border pixels are clustered with this radius; one or two clusters covering most of the border
+// (a flat colour or a checkerboard) count as a removable background
+const CLUSTER_RADIUS = 30;
+const MIN_BACKGROUND_COVERAGE = 0.85;
+
+// Opaque specks smaller than this share of the largest visible region are leftover background
+const MIN_ISLAND_RATIO = 0.01;
+
+const colorDistance = (data, offset, color) => Math.hypot(data[offset] - color[0], data[offset + 1] - color[1], data[offset + 2] - color[2]);
+
+// The one or two colours that make up the border (flat background or checkerboard), or null for a busy border
+export function borderPalette(data, width, height, channels = 4) {
+  const clusters = [];
+  const addPixel = (x, y) => {
+    const offset = (y * width + x) * channels;
+    let cluster = clusters.find(candidate => colorDistance(data, offset, candidate.color) <= CLUSTER_RADIUS);
+    if (!cluster) {
+      cluster = { color: [data[offset], data[offset + 1], data[offset + 2]], sum: [0, 0, 0], count: 0 };
+      clusters.push(cluster);
+    }
+    cluster.sum[0] += data[offset];
+    cluster.sum[1] += data[offset + 1];
+    cluster.sum[2] += data[offset + 2];
+    cluster.count++;
+  };
+
+  for (let x = 0; x < width; x++) {
+    addPixel(x, 0);
+    addPixel(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    addPixel(0, y);
+    addPixel(width - 1, y);
+  }
+
+  const total = clusters.reduce((sum, cluster) => sum + cluster.count, 0);
+  const [first, second] = clusters.sort((a, b) => b.count - a.count);
+  const palette = [first, ...(second && second.count / total >= 0.1 ? [second] : [])];
+  const coverage = palette.reduce((sum, cluster) => sum + cluster.count, 0) / total;
+
+  if (coverage < MIN_BACKGROUND_COVERAGE) {
+    return null;
+  }
+  return palette.map(cluster => cluster.sum.map(value => Math.round(value / cluster.count)));
+}
+
+// A single strongly saturated colour (e.g. chroma green) can be keyed everywhere, including gaps
+// enclosed by the subject; greys and checkerboards only where connected to the border
+const isChromaKey = (palette) => palette.length === 1 &&
+  Math.max(...palette[0]) - Math.min(...palette[0]) > 120;
+
+// Key out a flat or checkerboard background. Returns a raw RGBA buffer, or null if the border isn't
+// a removable background.
+export function keyOutBackground(data, width, height) {
+  const palette = borderPalette(data, width, height);
+  if (!palette) {
+    return null;
+  }
+
+  const pixels = width * height;
+  const distance = new Float32Array(pixels);
+  for (let i = 0; i < pixels; i++) {
+    distance[i] = Math.min(...palette.map(color => colorDistance(data, i * 4, color)));
+  }
+
+  // Background: pixels within the inner tolerance reachable from the border (or anywhere, for chroma keys)
+  const background = new Uint8Array(pixels);
+  if (isChromaKey(palette)) {
+    for (let i = 0; i < pixels; i++) {
+      background[i] = distance[i] <= INNER_TOLERANCE ? 1 : 0;
+    }
+  } else {
+    const queue = new Int32Array(pixels);
+    let head = 0;
+    let tail = 0;
+    const visit = (i) => {
+      if (!background[i] && distance[i] <= INNER_TOLERANCE) {
+        background[i] = 1;
+        queue[tail++] = i;
+      }
+    };
+    for (let x = 0; x < width; x++) {
+      visit(x);
+      visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      visit(y * width);
+      visit(y * width + width - 1);
+    }
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+      if (x > 0) visit(i - 1);
+      if (x < width - 1) visit(i + 1);
+      if (i >= width) visit(i - width);
+      if (i < pixels - width) visit(i + width);
+    }
+  }
+
+  openMask(background, width, height);
+
+  const output = Buffer.from(data);
+  for (let i = 0; i < pixels; i++) {
+    const offset = i * 4;
+    if (background[i]) {
+      output[offset + 3] = 0;
+      continue;
+    }
+
+    // Edge pixels next to the background blend into it: give them partial alpha and remove the
+    // background colour mixed into them so no coloured fringe is left
+    const x = i % width;
+    const nearBackground = (x > 0 && background[i - 1]) || (x < width - 1 && background[i + 1]) ||
+      (i >= width && background[i - width]) || (i < pixels - width && background[i + width]);
+    if (!nearBackground || distance[i] >= OUTER_TOLERANCE) {
+      continue;
+    }
+
+    const alpha = (distance[i] - INNER_TOLERANCE) / (OUTER_TOLERANCE - INNER_TOLERANCE);
+    const nearest = palette.reduce((best, color) => (colorDistance(data, offset, color) < colorDistance(data, offset, best) ? color : best));
+    for (let channel = 0; channel < 3; channel++) {
+      const unmixed = (data[offset + channel] - (1 - alpha) * nearest[channel]) / alpha;
+      output[offset + channel] = Math.max(0, Math.min(255, Math.round(unmixed)));
+    }
+    output[offset + 3] = Math.round(alpha * data[offset + 3]);
+  }
+
+  removeIslands(output, width, height);
+  return output;
+}
+
+// Grow the background over foreground runs at most two pixels wide (the soft lines where
+// checkerboard squares meet), then shrink it back so the subject's outline stays where it was
+function openMask(background, width, height) {
+  const pixels = width * height;
+  const step = (source, value) => {
+    const result = Uint8Array.from(source);
+    for (let i = 0; i < pixels; i++) {
+      if (source[i] === value) {
+        continue;
+      }
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let dy = -1; dy <= 1 && result[i] !== value; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height && source[ny * width + nx] === value) {
+            result[i] = value;
+            break;
+          }
+        }
+      }
+    }
+    return result;
+  };
+
+  // Closing the background (dilate then erode) is the same as opening the foreground
+  const closed = step(step(background, 1), 0);
+  background.set(closed);
+}
+
+// Clear small visible regions (stray background patches the key missed) that aren't part of the subject
+function removeIslands(data, width, height) {
+  const pixels = width * height;
+  const region = new Int32Array(pixels).fill(-1);
+  const sizes = [];
+  const queue = new Int32Array(pixels);
+
+  for (let start = 0; start < pixels; start++) {
+    if (region[start] !== -1 || data[start * 4 + 3] === 0) {
+      continue;
+    }
+    const id = sizes.length;
+    let head = 0;
+    let tail = 0;
+    region[start] = id;
+    queue[tail++] = start;
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+      for (const next of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+        if (next >= 0 && next < pixels && region[next] === -1 && data[next * 4 + 3] !== 0) {
+          region[next] = id;
+          queue[tail++] = next;
+        }
+      }
+    }
+    sizes.push(tail);
+  }
+
+  const minSize = Math.max(0, ...sizes) * MIN_ISLAND_RATIO;
+  for (let i = 0; i < pixels; i++) {
+    if (region[i] !== -1 && sizes[region[i]] < minSize) {
+      data[i * 4 + 3] = 0;
+    }
+  }
+}
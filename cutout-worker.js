@@ -0,0 +1,7 @@
+import { parentPort, workerData } from 'worker_threads';
+import { keyOutBackground } from './cutout-keying.js';
+
+// Worker thread entry for cutout.js: keys out one image's background and posts back the RGBA
+// pixels, or null if the border isn't a removable background
+const { data, width, height } = workerData;
+parentPort.postMessage(keyOutBackground(data, width, height));
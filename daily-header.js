@@ -0,0 +1,140 @@
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+import { escapeMarkup, renderTextImage } from './text-render.js';
+import { addDays, calendarDateIn } from './time-zone.js';
+
+// TM Daily header: the template with today's date drawn over a blanked region
+
+export const HEADER_WIDTH = 1200;
+export const HEADER_HEIGHT = 630;
+
+// Where the date sits on the bundled "TM Daily Header 1200x630" template. The region is
+// wide enough for the longest month names; text is centred vertically on centerY.
+export const DEFAULT_DATE_REGION = { left: 50, top: 352, width: 520, height: 60 };
+export const DEFAULT_DATE_TEXT = { left: 62, centerY: 383, font: 'Arial 32', color: '#000000' };
+
+// Turn the /tmheader date argument into a calendar date: empty/today, tomorrow, yesterday or YYYY-MM-DD.
+// Relative words are resolved in timeZone. Returns null if the text isn't a date.
+export function resolveHeaderDate(text, { timeZone, now = new Date() }) {
+  const value = String(text || '').trim().toLowerCase();
+  const today = calendarDateIn(timeZone, now);
+
+  if (!value || value === 'today') {
+    return today;
+  }
+  if (value === 'tomorrow') {
+    return addDays(today, 1);
+  }
+  if (value === 'yesterday') {
+    return addDays(today, -1);
+  }
+
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  // Reject dates like 2025-02-30 that Date.UTC would roll over
+  const check = addDays(date, 0);
+  return check.month === date.month && check.day === date.day ? date : null;
+}
+
+// "November 10, 2025"
+export function formatHeaderDate({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+// Paint over a region by blending, column by column, from the row just above it to the row just
+// below it. The template background is a smooth gradient, so this removes the old date cleanly.
+export async function blankRegion(image, { left, top, width, height }) {
+  const edgeRow = (y) => sharp(image)
+    .ensureAlpha()
+    .extract({ left, top: y, width, height: 1 })
+    .raw()
+    .toBuffer();
+  const [above, below] = await Promise.all([edgeRow(top - 1), edgeRow(top + height)]);
+
+  const fill = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const weight = (y + 1) / (height + 1);
+    for (let x = 0; x < width * 4; x++) {
+      fill[y * width * 4 + x] = Math.round(above[x] * (1 - weight) + below[x] * weight);
+    }
+  }
+
+  return sharp(image)
+    .composite([{ input: fill, raw: { width, height, channels: 4 }, left, top }])
+    .png()
+    .toBuffer();
+}
+
+// Daily header renderer. The date is drawn deterministically; editWithModel(template, dateText) is
+// only tried when drawing fails and a fallback is configured. Output is always HEADER_WIDTH x HEADER_HEIGHT.
+export function createDailyHeader({ templatePath, region = DEFAULT_DATE_REGION, text = {}, fontFile, editWithModel }) {
+  const textOptions = { ...DEFAULT_DATE_TEXT, ...text };
+  let blankTemplate;
+
+  // The blanked template is prepared once, on first use
+  const loadBlankTemplate = async () => {
+    if (!blankTemplate) {
+      blankTemplate = (async () => {
+        const template = await sharp(await readFile(templatePath))
+          .resize(HEADER_WIDTH, HEADER_HEIGHT, { fit: 'fill' })
+          .png()
+          .toBuffer();
+        return blankRegion(template, region);
+      })();
+      // Let a later call retry if the template couldn't be read
+      blankTemplate.catch(() => { blankTemplate = null; });
+    }
+    return blankTemplate;
+  };
+
+  const drawDate = async (dateText) => {
+    const background = await loadBlankTemplate();
+    const label = await renderTextImage(`<span foreground="${textOptions.color}">${escapeMarkup(dateText)}</span>`, {
+      font: textOptions.font,
+      fontFile,
+      maxWidth: region.left + region.width - textOptions.left
+    });
+
+    return sharp(background)
+      .composite([{
+        input: label.buffer,
+        left: textOptions.left,
+        top: Math.round(textOptions.centerY - label.height / 2)
+      }])
+      .png()
+      .toBuffer();
+  };
+
+  return {
+    // Resolves with { buffer, renderer } where renderer is 'overlay' or 'model'
+    async render(dateText) {
+      try {
+        return { buffer: await drawDate(dateText), renderer: 'overlay' };
+      } catch (error) {
+        if (!editWithModel) {
+          throw error;
+        }
+
+        const edited = await editWithModel(await readFile(templatePath), dateText);
+        const buffer = await sharp(edited)
+          .resize(HEADER_WIDTH, HEADER_HEIGHT, { fit: 'cover' })
+          .png()
+          .toBuffer();
+        return { buffer, renderer: 'model', fallbackReason: error.message };
+      }
+    }
+  };
+}
+
+// Prompt for the model fallback, adapted from the original test-header-date.js script
+export function headerEditPrompt(dateText) {
+  return `Please update the date in this Token Metrics daily header image. Change the date to display: "${dateText}". Keep all other elements, styling, colors, text, and layout exactly the same - only update the date text. The date format should be Month Day, Year (e.g., "${dateText}"). Make sure the new date text matches the same font style, size, and color as the original date text.`;
+}
@@ -0,0 +1,53 @@
+import { nextDailyRun } from './time-zone.js';
+
+// Run a task once a day at a wall-clock time (HH:MM) in a given timezone, DST-aware
+
+// Parse "HH:MM" (24h). Returns { hour, minute } or null.
+export function parseDailyTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+// Daily schedule. run() is awaited before the next run is scheduled; its errors go to onError.
+export function createDailySchedule({ time, timeZone, run, onError = () => {}, now = () => new Date() }) {
+  let timer = null;
+  let nextRunAt = null;
+
+  const scheduleNext = () => {
+    nextRunAt = nextDailyRun(now(), time, timeZone);
+    timer = setTimeout(async () => {
+      try {
+        await run(nextRunAt);
+      } catch (error) {
+        onError(error);
+      }
+      if (timer) {
+        scheduleNext();
+      }
+    }, nextRunAt - now());
+    // Never keep the process alive just for the schedule
+    timer.unref?.();
+  };
+
+  return {
+    start() {
+      if (!timer) {
+        scheduleNext();
+      }
+      return nextRunAt;
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextRunAt = null;
+    },
+
+    get nextRunAt() {
+      return nextRunAt;
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import path from 'path';
+import { mkdir, readdir, readFile, stat } from 'fs/promises';
+import sharp from 'sharp';
+
+// Thumbnails are cached next to the images in this subdirectory
+export const THUMBNAIL_DIR = '.thumbs';
+export const DEFAULT_THUMBNAIL_WIDTH = 320;
+export const MAX_THUMBNAIL_WIDTH = 1024;
+
+// Only plain filenames produced by saveGeneratedImage are served
+const SAFE_FILENAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Extensions saveGeneratedImage writes images with; sidecars and anything else get no thumbnail
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isSafeFilename(filename) {
+  return SAFE_FILENAME.test(filename) && path.basename(filename) === filename;
+}
+
+export function isImageFilename(filename) {
+  return isSafeFilename(filename) && IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+// Latest createdAt a to filter includes: a date-only value covers that whole (UTC) day
+function rangeEnd(to) {
+  return DATE_ONLY.test(to)
+    ? new Date(Date.parse(to) + DAY_MS - 1).toISOString()
+    : new Date(to).toISOString();
+}
+
+// Check a sidecar record against the gallery query filters
+export function matchesGalleryQuery(record, { subject, user, ratio, from, to, q } = {}) {
+  if (subject && record.subject !== subject) return false;
+  if (user && record.user !== user) return false;
+  if (ratio && record.ratio !== ratio) return false;
+  if (from && record.createdAt < new Date(from).toISOString()) return false;
+  if (to && record.createdAt > rangeEnd(to)) return false;
+  if (q && !String(record.prompt || '').toLowerCase().includes(q.toLowerCase())) return false;
+  return true;
+}
+
+// Read-only index over the image metadata sidecars in the output directory
+export function createGallery(outputDir) {
+  // Sidecars never change once written, so parsed records are cached by filename
+  const records = new Map();
+
+  const refresh = async () => {
+    const entries = await readdir(outputDir);
+    const sidecars = new Set(entries.filter(name => name.endsWith('.json')));
+
+    for (const name of records.keys()) {
+      if (!sidecars.has(name)) {
+        records.delete(name);
+      }
+    }
+
+    for (const name of sidecars) {
+      if (records.has(name)) {
+        continue;
+      }
+      try {
+        const record = JSON.parse(await readFile(path.join(outputDir, name), 'utf8'));
+        if (record.filename && entries.includes(record.filename)) {
+          records.set(name, { ...record, sidecarFilename: name });
+        }
+      } catch (error) {
+        // Ignore partially written or foreign JSON files
+      }
+    }
+  };
+
+  return {
+    // Filtered, newest-first page of gallery items
+    async list({ page = 1, pageSize = 24, ...filters } = {}) {
+      await refresh();
+
+      const matches = [...records.values()]
+        .filter(record => matchesGalleryQuery(record, filters))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+      const start = (page - 1) * pageSize;
+      return {
+        items: matches.slice(start, start + pageSize).map(record => ({
+          ...record,
+          imageUrl: `/images/${record.filename}`,
+          thumbnailUrl: `/gallery/thumbnails/${record.filename}`,
+          metadataUrl: `/images/${record.sidecarFilename}`
+        })),
+        page,
+        pageSize,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / pageSize)
+      };
+    },
+
+    // WebP thumbnail for an image, rendered once per width and cached on disk
+    async thumbnail(filename, width = DEFAULT_THUMBNAIL_WIDTH) {
+      if (!isImageFilename(filename)) {
+        return null;
+      }
+
+      const source = path.join(outputDir, filename);
+      try {
+        await stat(source);
+      } catch (error) {
+        return null;
+      }
+
+      const cacheDir = path.join(outputDir, THUMBNAIL_DIR);
+      const cached = path.join(cacheDir, `${path.parse(filename).name}-${width}.webp`);
+      try {
+        return await readFile(cached);
+      } catch (error) {
+        // Not rendered yet
+      }
+
+      await mkdir(cacheDir, { recursive: true });
+      await sharp(source).resize({ width, withoutEnlargement: true }).webp({ quality: 80 }).toFile(cached);
+      return readFile(cached);
+    }
+  };
+}
@@ -1,14 +1,17 @@
 import { GoogleGenAI } from '@google/genai';
 import { readFile, writeFile } from 'fs/promises';
 import dotenv from 'dotenv';
+import { makeCutout } from './cutout.js';
 
 // Load environment variables
 dotenv.config();
 
 // Configuration
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const INPUT_IMAGE = '/Users/phattran/Downloads/ian-balina.jpg';
-const OUTPUT_IMAGE = './ian-balina-bg-removed.png';
+// Usage: node ian-balina.js <photo> [output.png]
+// The server's "@bot cutout" and POST /cutout do the same for any image; this refreshes Ian's reference.
+const INPUT_IMAGE = process.argv[2];
+const OUTPUT_IMAGE = process.argv[3] || './ian-balina-bg-removed.png';
 
 // Initialize Google GenAI
 const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
@@ -28,7 +31,7 @@ async function removeBackground() {
     // Create prompt for background removal
     const prompt = `
 Please remove the background from this image and keep only the person in the center (Ian Balina).
-The output should be a transparent PNG with just the person, no background.
+Replace the background with one perfectly flat, solid pure green (#00FF00) color - no shadows, gradients or checkerboard.
 Make sure to preserve the person's details and create clean edges.
 `;
 
@@ -40,7 +43,7 @@ Make sure to preserve the person's details and create clean edges.
       contents: [
         {
           inlineData: {
-            mimeType: 'image/jpeg',
+            mimeType: INPUT_IMAGE.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg',
             data: base64Image
           }
         },
@@ -55,9 +58,10 @@ Make sure to preserve the person's details and create clean edges.
     // Extract image from response
     for (const part of response.candidates[0].content.parts) {
       if (part.inlineData) {
-        const resultImage = Buffer.from(part.inlineData.data, 'base64');
-        await writeFile(OUTPUT_IMAGE, resultImage);
-        console.log(`✅ Background removed! Saved as: ${OUTPUT_IMAGE}`);
+        // Key out the green and check the result really is transparent
+        const cutout = await makeCutout(Buffer.from(part.inlineData.data, 'base64'));
+        await writeFile(OUTPUT_IMAGE, cutout.buffer);
+        console.log(`✅ Background removed (${cutout.method})! Saved as: ${OUTPUT_IMAGE}`);
         return;
       }
     }
@@ -69,6 +73,11 @@ Make sure to preserve the person's details and create clean edges.
   }
 }
 
+if (!INPUT_IMAGE) {
+  console.error('❌ Usage: node ian-balina.js <photo> [output.png]');
+  process.exit(1);
+}
+
 // Check if API key is available
 if (!GEMINI_API_KEY) {
   console.error('❌ GEMINI_API_KEY not found in environment variables');
@@ -0,0 +1,52 @@
+import sharp from 'sharp';
+import { ratioDimensions } from './profiles.js';
+
+// Output resolutions the image model accepts, by nominal long side in pixels
+export const IMAGE_SIZES = { '1K': 1024, '2K': 2048, '4K': 4096 };
+
+// Model output may differ a little from the nominal ratio/area (e.g. 16:9 at 1K is 1376x768)
+const RATIO_TOLERANCE = 0.03;
+const AREA_TOLERANCE = 0.35;
+
+// Sizes allowed under MAX_IMAGE_SIZE (1K is always allowed; it's the model default)
+export function allowedImageSizes(maxImageSize) {
+  return Object.keys(IMAGE_SIZES).filter(size => size === '1K' || IMAGE_SIZES[size] <= maxImageSize);
+}
+
+// Width and height for a ratio covering roughly size x size pixels, as the model renders it
+export function dimensionsForSize(ratio, size) {
+  const nominal = IMAGE_SIZES[size];
+  const { width, height } = ratioDimensions(ratio, 1000);
+  const scale = Math.sqrt((nominal * nominal) / (width * height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Pixel dimensions of an encoded image
+export async function readImageDimensions(buffer) {
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+}
+
+// Compare an image's actual dimensions with what was requested. Area is only checked when a size was asked for.
+export function checkImageDimensions({ width, height }, { ratio, size }) {
+  const expected = ratioDimensions(ratio, 1000);
+  const ratioMatches = Math.abs((width / height) / (expected.width / expected.height) - 1) <= RATIO_TOLERANCE;
+
+  let sizeMatches = true;
+  if (size) {
+    const nominalArea = IMAGE_SIZES[size] * IMAGE_SIZES[size];
+    sizeMatches = Math.abs((width * height) / nominalArea - 1) <= AREA_TOLERANCE;
+  }
+
+  return { width, height, ratioMatches, sizeMatches, matches: ratioMatches && sizeMatches };
+}
+
+// The ratio (from ratios) closest to an image's shape, e.g. to edit an image without recomposing it
+export function closestRatio({ width, height }, ratios) {
+  const shape = Math.log(width / height);
+  const distance = (ratio) => {
+    const expected = ratioDimensions(ratio, 1000);
+    return Math.abs(Math.log(expected.width / expected.height) - shape);
+  };
+  return ratios.reduce((best, ratio) => (distance(ratio) < distance(best) ? ratio : best));
+}
@@ -0,0 +1,183 @@
+import path from 'path';
+import { writeFile } from 'fs/promises';
+import zlib from 'zlib';
+import sharp from 'sharp';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Prefix for the PNG text keywords we embed (e.g. "mascot-gen:prompt")
+export const PNG_TEXT_PREFIX = 'mascot-gen';
+
+// CRC-32 lookup table used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function isPng(buffer) {
+  return buffer.length > PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+// Sniff the image format from its magic bytes
+export function detectImageFormat(buffer) {
+  if (isPng(buffer)) {
+    return { extension: 'png', mimeType: 'image/png' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return { extension: 'jpg', mimeType: 'image/jpeg' };
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return { extension: 'webp', mimeType: 'image/webp' };
+  }
+  return { extension: 'png', mimeType: 'image/png' };
+}
+
+// Re-encode an image as png, jpeg or webp (unchanged if it already is)
+export async function convertImageFormat(buffer, format) {
+  if (detectImageFormat(buffer).mimeType === `image/${format}`) {
+    return buffer;
+  }
+  return sharp(buffer).toFormat(format).toBuffer();
+}
+
+function buildChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// iTXt chunk (UTF-8, uncompressed): keyword\0 compression-flag compression-method language\0 translated\0 text
+function buildITxtChunk(keyword, text) {
+  const data = Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    Buffer.from([0, 0, 0]),
+    Buffer.from([0]),
+    Buffer.from([0]),
+    Buffer.from(text, 'utf8')
+  ]);
+  return buildChunk('iTXt', data);
+}
+
+// Walk the chunks of a PNG buffer
+function* readChunks(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('ascii');
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    yield { type, data, offset, end: offset + 12 + length };
+    offset += 12 + length;
+  }
+}
+
+// Insert text entries as iTXt chunks just before IEND. Non-PNG buffers are returned unchanged.
+export function embedPngText(buffer, entries) {
+  if (!isPng(buffer)) {
+    return buffer;
+  }
+
+  const iend = [...readChunks(buffer)].find(chunk => chunk.type === 'IEND');
+  if (!iend) {
+    return buffer;
+  }
+
+  const textChunks = Object.entries(entries)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => buildITxtChunk(`${PNG_TEXT_PREFIX}:${key}`, typeof value === 'string' ? value : JSON.stringify(value)));
+
+  return Buffer.concat([buffer.subarray(0, iend.offset), ...textChunks, buffer.subarray(iend.offset)]);
+}
+
+// Read back our embedded text entries (tEXt/iTXt with the mascot-gen prefix)
+export function readPngText(buffer) {
+  const entries = {};
+  if (!isPng(buffer)) {
+    return entries;
+  }
+
+  for (const { type, data } of readChunks(buffer)) {
+    let keyword;
+    let text;
+
+    if (type === 'tEXt') {
+      const separator = data.indexOf(0);
+      keyword = data.subarray(0, separator).toString('latin1');
+      text = data.subarray(separator + 1).toString('latin1');
+    } else if (type === 'iTXt') {
+      const keywordEnd = data.indexOf(0);
+      keyword = data.subarray(0, keywordEnd).toString('latin1');
+      const compressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      const raw = data.subarray(translatedEnd + 1);
+      text = (compressed ? zlib.inflateSync(raw) : raw).toString('utf8');
+    } else {
+      continue;
+    }
+
+    if (keyword.startsWith(`${PNG_TEXT_PREFIX}:`)) {
+      entries[keyword.slice(PNG_TEXT_PREFIX.length + 1)] = text;
+    }
+  }
+
+  return entries;
+}
+
+// Filesystem-safe slug for the subject part of a filename
+export function subjectSlug(subject) {
+  return String(subject || 'image').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'image';
+}
+
+// Times a name may be moved on by a millisecond because another image already has it
+const MAX_NAME_ATTEMPTS = 1000;
+
+// Write <subject>-<timestamp>[-<index>].<ext> with embedded text chunks plus a <name>.json sidecar.
+// Candidates of one request pass the same timestamp so they share a prefix and differ by index.
+// An existing file is never overwritten: if the name is taken the timestamp moves on a millisecond.
+export async function writeImageWithMetadata(outputDir, imageBuffer, metadata, { timestamp = new Date() } = {}) {
+  const { extension, mimeType } = detectImageFormat(imageBuffer);
+  const suffix = metadata.index !== undefined ? `-${metadata.index}` : '';
+
+  for (let attempt = 0; ; attempt++) {
+    const stamp = new Date(timestamp.getTime() + attempt).toISOString().replace(/[:.]/g, '-');
+    const basename = `${subjectSlug(metadata.subject)}-${stamp}${suffix}`;
+    const filename = `${basename}.${extension}`;
+    const sidecarFilename = `${basename}.json`;
+
+    const record = {
+      ...metadata,
+      filename,
+      mimeType,
+      createdAt: new Date().toISOString()
+    };
+
+    const embedded = embedPngText(imageBuffer, record);
+    record.bytes = embedded.length;
+
+    try {
+      await writeFile(path.join(outputDir, filename), embedded, { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST' && attempt < MAX_NAME_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+    await writeFile(path.join(outputDir, sidecarFilename), `${JSON.stringify(record, null, 2)}\n`);
+
+    return { filename, sidecarFilename, buffer: embedded, metadata: record };
+  }
+}
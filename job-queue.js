@@ -0,0 +1,112 @@
+// FIFO job queue behind a concurrency limit
+
+export class QueueFullError extends Error {
+  constructor(key, limit) {
+    super(`The ${key} queue is full (${limit} waiting). Please try again in a moment.`);
+    this.name = 'QueueFullError';
+    this.key = key;
+    this.limit = limit;
+  }
+}
+
+// Create a queue that keeps at most maxConcurrent slots busy and the rest waiting in order.
+// A job may take several slots (e.g. one per candidate image) so it counts fairly against the limit.
+export function createJobQueue({ maxConcurrent = 20, defaultMaxQueued = 50 } = {}) {
+  let active = 0;
+  const waiting = [];
+
+  const queuedFor = (key) => waiting.filter(job => job.key === key).length;
+
+  // Tell every waiting job its (1-based) position after the queue changes
+  const announcePositions = () => {
+    waiting.forEach((job, index) => {
+      if (job.position !== index + 1) {
+        job.position = index + 1;
+        safeCall(job.onPosition, job.position);
+      }
+    });
+  };
+
+  const fits = (job) => active + job.slots <= maxConcurrent;
+
+  const runNext = () => {
+    while (waiting.length > 0 && fits(waiting[0])) {
+      start(waiting.shift());
+    }
+    announcePositions();
+  };
+
+  // Slots are freed before the job's promise settles, so whoever awaits it sees them released
+  const start = (job) => {
+    active += job.slots;
+    if (job.position) {
+      safeCall(job.onStart);
+    }
+
+    const release = () => {
+      active -= job.slots;
+      runNext();
+    };
+    Promise.resolve()
+      .then(job.fn)
+      .then((value) => {
+        release();
+        job.resolve(value);
+      }, (error) => {
+        release();
+        job.reject(error);
+      });
+  };
+
+  return {
+    get active() {
+      return active;
+    },
+
+    get depth() {
+      return waiting.length;
+    },
+
+    // Jobs waiting under one key
+    waitingFor(key) {
+      return queuedFor(key);
+    },
+
+    // Queue fn under a key (usually the command). Resolves/rejects with fn's result.
+    // onPosition(position) fires while the job waits; onStart() fires if it had to wait.
+    // slots is how many concurrent requests the job makes (capped at maxConcurrent).
+    enqueue(fn, { key = 'default', maxQueued = defaultMaxQueued, slots = 1, onPosition, onStart } = {}) {
+      return new Promise((resolve, reject) => {
+        const job = { fn, key, onPosition, onStart, resolve, reject, position: 0, slots: Math.min(Math.max(slots, 1), maxConcurrent) };
+
+        if (waiting.length === 0 && fits(job)) {
+          start(job);
+          return;
+        }
+
+        if (queuedFor(key) >= maxQueued) {
+          reject(new QueueFullError(key, maxQueued));
+          return;
+        }
+
+        waiting.push(job);
+        announcePositions();
+      });
+    }
+  };
+}
+
+// Status callbacks must never break the queue
+function safeCall(callback, ...args) {
+  if (!callback) {
+    return;
+  }
+  try {
+    const result = callback(...args);
+    if (result && typeof result.catch === 'function') {
+      result.catch(() => {});
+    }
+  } catch (error) {
+    // Ignore callback failures
+  }
+}
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import path from 'path';
+import { appendFile, mkdir, readFile, writeFile } from 'fs/promises';
+
+// Lifecycle states a job record moves through. Interrupted jobs were cut off by a restart.
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'interrupted'];
+
+// Thrown into a job that was stopped by a shutdown before it finished
+export class JobInterruptedError extends Error {
+  constructor(reason = 'shutdown') {
+    super(`Interrupted by ${reason}`);
+    this.name = 'JobInterruptedError';
+    this.reason = reason;
+  }
+}
+
+// Job records persisted as JSON lines. Every create/update appends the full record,
+// the last line for an id wins, and the file is compacted on load.
+export function createJobStore(filePath) {
+  const jobs = new Map();
+  let writeChain = Promise.resolve();
+
+  // Serialize appends so lines never interleave
+  const persist = (record) => {
+    const line = `${JSON.stringify(record)}\n`;
+    writeChain = writeChain.catch(() => {}).then(() => appendFile(filePath, line));
+    return writeChain;
+  };
+
+  return {
+    // Read existing records from disk and rewrite the file with one line per job
+    async load() {
+      await mkdir(path.dirname(filePath), { recursive: true });
+
+      let content = '';
+      try {
+        content = await readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          const record = JSON.parse(line);
+          jobs.set(record.id, record);
+        } catch (error) {
+          // Skip a torn final line from a crash mid-write
+        }
+      }
+
+      const compacted = [...jobs.values()].map(record => JSON.stringify(record)).join('\n');
+      await writeFile(filePath, compacted ? `${compacted}\n` : '');
+      return jobs.size;
+    },
+
+    async create(fields) {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        command: null,
+        profile: null,
+        bot: null,
+        user: null,
+        channel: null,
+        threadTs: null,
+        prompt: '',
+        flags: {},
+        status: 'queued',
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        outputFilename: null,
+        outputFilenames: [],
+        error: null,
+        ...fields
+      };
+
+      jobs.set(record.id, record);
+      await persist(record);
+      return record;
+    },
+
+    async update(id, patch) {
+      const existing = jobs.get(id);
+      if (!existing) {
+        throw new Error(`Unknown job ${id}`);
+      }
+
+      const record = { ...existing, ...patch, updatedAt: new Date().toISOString() };
+      jobs.set(id, record);
+      await persist(record);
+      return record;
+    },
+
+    // Mark a job as picked up by a worker
+    markStarted(id) {
+      return this.update(id, { status: 'running', startedAt: new Date().toISOString() });
+    },
+
+    // Mark a job as finished, successfully or with an error. Extra fields are stored as-is.
+    markFinished(id, { outputFilename = null, outputFilenames, error = null, attempts, ...details } = {}) {
+      const existing = jobs.get(id);
+      const finishedAt = new Date();
+      const startedAt = existing?.startedAt ? new Date(existing.startedAt) : finishedAt;
+
+      return this.update(id, {
+        status: error ? 'failed' : 'succeeded',
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        outputFilename,
+        outputFilenames: outputFilenames || (outputFilename ? [outputFilename] : []),
+        error: error ? error.message : null,
+        ...(attempts !== undefined && { attempts }),
+        ...details
+      });
+    },
+
+    // Mark a job as cut off before it finished; recovery on the next start decides what happens to it
+    markInterrupted(id, reason = 'shutdown') {
+      return this.update(id, { status: 'interrupted', interruptedAt: new Date().toISOString(), interruptedBy: reason });
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // Jobs a previous process never finished: still queued or running, or interrupted and not yet recovered.
+    // Oldest first.
+    unfinished() {
+      return [...jobs.values()]
+        .filter(record => ['queued', 'running'].includes(record.status) || (record.status === 'interrupted' && !record.recovery))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    // Most recent successful job that posted an image into a Slack thread (and wasn't deleted since)
+    latestInThread(channel, threadTs) {
+      let latest = null;
+      for (const record of jobs.values()) {
+        if (record.channel === channel && record.threadTs === threadTs &&
+            record.status === 'succeeded' && record.outputFilename && !record.deletedAt &&
+            (!latest || record.finishedAt >= latest.finishedAt)) {
+          latest = record;
+        }
+      }
+      return latest;
+    },
+
+    // Newest first, optionally filtered by user and/or status
+    list({ user, status, limit = 50 } = {}) {
+      return [...jobs.values()]
+        .filter(record => !user || record.user === user)
+        .filter(record => !status || record.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// Pino settings for the server: what is redacted, and the bindings that tie log lines to one job.
+
+// Secrets and whole request bodies never reach the logs; log the fields you need instead
+export const REDACT_PATHS = [
+  'req.headers.authorization',
+  'req.headers.cookie',
+  'req.headers["x-slack-signature"]',
+  'headers.authorization',
+  'token',
+  'apiKey',
+  '*.token',
+  '*.apiKey',
+  '*.api_key',
+  '*.signingSecret',
+  '*.signing_secret',
+  'body',
+  'payload',
+  'rawBody',
+  '*.body',
+  '*.payload',
+  '*.rawBody'
+];
+
+export function loggerOptions(level = 'info') {
+  return {
+    level,
+    redact: { paths: REDACT_PATHS, censor: '[redacted]' }
+  };
+}
+
+// Child logger bindings for a job record: filter on jobId to follow it from the route to the upload
+export function jobLogBindings(job) {
+  return { jobId: job.id, user: job.user, channel: job.channel, command: job.command };
+}
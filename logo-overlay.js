@@ -0,0 +1,103 @@
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+
+export const LOGO_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Navy from the logo mark itself, used for the wordmark on light backgrounds
+const DARK_LOGO_COLOR = { r: 34, g: 43, b: 56 };
+
+// Mean luminance (0-255) above which the background counts as light and gets the dark logo
+export const DEFAULT_BRIGHTNESS_THRESHOLD = 150;
+
+// Where the logo goes on a width x height image. scale is the logo width as a fraction of the
+// image width; margin is a fraction of the shorter side.
+export function logoPlacement({ width, height }, { logoWidth, logoHeight }, { corner = 'top-left', scale = 0.2, margin = 0.04 } = {}) {
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(targetWidth * logoHeight / logoWidth));
+  const gap = Math.round(Math.min(width, height) * margin);
+
+  return {
+    width: targetWidth,
+    height: targetHeight,
+    left: corner.endsWith('left') ? gap : width - targetWidth - gap,
+    top: corner.startsWith('top') ? gap : height - targetHeight - gap
+  };
+}
+
+// Dark variant of a white logo: near-white, unsaturated pixels become navy, everything else is kept
+export async function deriveDarkLogo(lightLogo) {
+  const { data, info } = await sharp(lightLogo).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+  for (let i = 0; i < data.length; i += 4) {
+    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+    const min = Math.min(data[i], data[i + 1], data[i + 2]);
+    if (min > 200 && max - min < 30) {
+      data[i] = DARK_LOGO_COLOR.r;
+      data[i + 1] = DARK_LOGO_COLOR.g;
+      data[i + 2] = DARK_LOGO_COLOR.b;
+    }
+  }
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+}
+
+// Mean luminance of a region of an image
+async function regionBrightness(image, region) {
+  const { channels } = await sharp(image)
+    .extract({ left: region.left, top: region.top, width: region.width, height: region.height })
+    .flatten({ background: '#000000' })
+    .greyscale()
+    .stats();
+  return channels[0].mean;
+}
+
+// Composites the brand logo onto generated images. Settings (corner, scale, margin) can be
+// overridden per call, e.g. from a profile's `logo` option.
+export function createLogoOverlay({ lightLogoPath, darkLogoPath, corner = 'top-left', scale = 0.2, margin = 0.04, brightnessThreshold = DEFAULT_BRIGHTNESS_THRESHOLD }) {
+  const defaults = { corner, scale, margin };
+  let variants;
+
+  // Logo files are read once, on first use
+  const loadVariants = async () => {
+    if (!variants) {
+      variants = (async () => {
+        const light = await readFile(lightLogoPath);
+        const dark = darkLogoPath ? await readFile(darkLogoPath) : await deriveDarkLogo(light);
+        const { width, height } = await sharp(light).metadata();
+        return { light, dark, size: { logoWidth: width, logoHeight: height } };
+      })();
+    }
+    return variants;
+  };
+
+  return {
+    settings: defaults,
+
+    // Prompt line asking the model to keep the logo area free
+    promptInstruction(overrides = {}) {
+      const { corner: logoCorner, scale: logoScale } = { ...defaults, ...overrides };
+      return `- Leave the ${logoCorner} corner (about ${Math.round(logoScale * 100)}% of the image width) free of text and important details - the Token Metrics logo is added there afterwards. Do not draw any logo yourself.`;
+    },
+
+    // Overlay the logo, choosing the variant from the brightness behind it. Keeps the image format.
+    async apply(image, overrides = {}) {
+      const options = { ...defaults, ...overrides };
+      const { light, dark, size } = await loadVariants();
+      const { width, height, format } = await sharp(image).metadata();
+      const placement = logoPlacement({ width, height }, size, options);
+
+      const brightness = await regionBrightness(image, placement);
+      const variant = brightness > brightnessThreshold ? 'dark' : 'light';
+      const logo = await sharp(variant === 'dark' ? dark : light)
+        .resize(placement.width, placement.height, { fit: 'fill' })
+        .toBuffer();
+
+      const buffer = await sharp(image)
+        .composite([{ input: logo, left: placement.left, top: placement.top }])
+        .toFormat(format)
+        .toBuffer();
+
+      return { buffer, variant, brightness, placement };
+    }
+  };
+}
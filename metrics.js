@@ -0,0 +1,163 @@
+// Prometheus metrics in the text exposition format (version 0.0.4): counters, gauges and
+// histograms with labels, kept in memory and rendered on each scrape of GET /metrics.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+const formatValue = (value) => Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+// Series are stored under their label values in labelNames order, so label order never splits a series.
+// A metric without labels starts with its one series, so it reads 0 before anything happened.
+function createSeries(name, labelNames, create) {
+  const series = new Map();
+  const store = {
+    get(labels = {}) {
+      for (const key of Object.keys(labels)) {
+        if (!labelNames.includes(key)) {
+          throw new Error(`Metric ${name} has no label "${key}"`);
+        }
+      }
+      const values = labelNames.map(label => String(labels[label] ?? ''));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        series.set(key, { labels: Object.fromEntries(labelNames.map((label, index) => [label, values[index]])), ...create() });
+      }
+      return series.get(key);
+    },
+    entries: () => [...series.values()]
+  };
+  if (labelNames.length === 0) {
+    store.get({});
+  }
+  return store;
+}
+
+export function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter({ name, help, labelNames = [] }) {
+      const series = createSeries(prefix + name, labelNames, () => ({ value: 0 }));
+      register({
+        name: prefix + name,
+        render: () => [
+          `# HELP ${prefix + name} ${escapeHelp(help)}`,
+          `# TYPE ${prefix + name} counter`,
+          ...series.entries().map(entry => `${prefix + name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+        ]
+      });
+      return {
+        inc(labels = {}, value = 1) {
+          series.get(labels).value += value;
+        }
+      };
+    },
+
+    // collect() is called on every scrape and returns a number or [{ labels, value }]
+    gauge({ name, help, labelNames = [], collect }) {
+      const series = createSeries(prefix + name, labelNames, () => ({ value: 0 }));
+      register({
+        name: prefix + name,
+        render: () => {
+          if (collect) {
+            const collected = collect();
+            for (const { labels, value } of typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected) {
+              series.get(labels).value = value;
+            }
+          }
+          return [
+            `# HELP ${prefix + name} ${escapeHelp(help)}`,
+            `# TYPE ${prefix + name} gauge`,
+            ...series.entries().map(entry => `${prefix + name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+          ];
+        }
+      });
+      return {
+        set(labels = {}, value) {
+          series.get(labels).value = value;
+        }
+      };
+    },
+
+    // buckets are upper bounds, ascending; +Inf is added
+    histogram({ name, help, labelNames = [], buckets }) {
+      const bounds = [...buckets, Infinity];
+      const series = createSeries(prefix + name, labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      register({
+        name: prefix + name,
+        render: () => [
+          `# HELP ${prefix + name} ${escapeHelp(help)}`,
+          `# TYPE ${prefix + name} histogram`,
+          ...series.entries().flatMap(entry => [
+            ...bounds.map((bound, index) => `${prefix + name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`),
+            `${prefix + name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`,
+            `${prefix + name}_count${formatLabels(entry.labels)} ${entry.count}`
+          ])
+        ]
+      });
+      return {
+        observe(labels = {}, value) {
+          const entry = series.get(labels);
+          bounds.forEach((bound, index) => {
+            if (value <= bound) {
+              entry.counts[index]++;
+            }
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    render() {
+      return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+  };
+}
+
+// Wrap a Slack Web API client so every failed call is reported as onFailure('chat.postMessage', error).
+// Calls behave exactly as before; the error is rethrown.
+export function instrumentSlackClient(client, onFailure, path = []) {
+  return new Proxy(client, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof property !== 'string') {
+        return value;
+      }
+      if (typeof value === 'function') {
+        return (...args) => {
+          const method = [...path, property].join('.');
+          let result;
+          try {
+            result = value.apply(target, args);
+          } catch (error) {
+            onFailure(method, error);
+            throw error;
+          }
+          return result && typeof result.then === 'function'
+            ? result.catch((error) => {
+              onFailure(method, error);
+              throw error;
+            })
+            : result;
+        };
+      }
+      return value && typeof value === 'object' ? instrumentSlackClient(value, onFailure, [...path, property]) : value;
+    }
+  });
+}
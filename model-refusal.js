@@ -0,0 +1,89 @@
+// Answers without an image: the prompt or output was blocked, the model replied in text, or nothing
+// came back at all. These are the model's decision, so they're never retried; the user sees its
+// reason and some ways to rephrase.
+
+// Gemini finish and block reasons that mean the request or the result was blocked
+const BLOCKED_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'IMAGE_PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION', 'IMAGE_RECITATION'];
+
+const CATEGORY_LABELS = {
+  HARM_CATEGORY_HARASSMENT: 'harassment',
+  HARM_CATEGORY_HATE_SPEECH: 'hate speech',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'sexual content',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'dangerous content',
+  HARM_CATEGORY_CIVIC_INTEGRITY: 'civic integrity'
+};
+
+const SUGGESTIONS = {
+  blocked: [
+    'Describe the scene without real people\'s names, logos you don\'t own or anything graphic',
+    'Ask for a stylised illustration or cartoon rather than a photo-realistic image',
+    'Leave out words that could read as violent, adult or hateful, even as a joke'
+  ],
+  text: [
+    'Say plainly what to draw, e.g. "an illustration of the mascot surfing at sunset"',
+    'Describe one picture: the subject, where it is and the style',
+    'Put questions and several requests in separate messages'
+  ],
+  empty: [
+    'Try again with a shorter, simpler prompt',
+    'Remove attached images one at a time to find the one it can\'t use'
+  ]
+};
+
+// reason is 'blocked', 'text' or 'empty'; text is what the model said, finishReason its finish or
+// block reason, blockedCategories the safety categories that fired
+export class ModelRefusalError extends Error {
+  constructor({ reason, text = '', finishReason = null, blockedCategories = [] }) {
+    const detail = [finishReason && `finish reason ${finishReason}`, ...blockedCategories].filter(Boolean).join(', ');
+    super(`No image data found in response${detail ? ` (${detail})` : ''}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    this.name = 'ModelRefusalError';
+    this.reason = reason;
+    this.text = text;
+    this.finishReason = finishReason;
+    this.blockedCategories = blockedCategories;
+  }
+}
+
+// Why a @google/genai response has no image. Handles a blocked prompt (promptFeedback), no candidates,
+// safety finish reasons and text-only answers.
+export function genAIRefusal(response) {
+  const candidate = response?.candidates?.[0];
+  const blockReason = response?.promptFeedback?.blockReason || null;
+  const finishReason = candidate?.finishReason || null;
+  const text = (candidate?.content?.parts || [])
+    .filter(part => part.text && !part.thought)
+    .map(part => part.text.trim())
+    .join('\n')
+    .trim() || response?.promptFeedback?.blockReasonMessage || candidate?.finishMessage || '';
+
+  const ratings = [...(response?.promptFeedback?.safetyRatings || []), ...(candidate?.safetyRatings || [])];
+  const blockedCategories = [...new Set(ratings
+    .filter(rating => rating.blocked || rating.probability === 'HIGH')
+    .map(rating => rating.category))];
+
+  const blocked = Boolean(blockReason) || BLOCKED_REASONS.includes(finishReason) || blockedCategories.length > 0;
+  return new ModelRefusalError({
+    reason: blocked ? 'blocked' : text ? 'text' : 'empty',
+    text,
+    finishReason: blockReason || finishReason,
+    blockedCategories
+  });
+}
+
+// Slack message for a refusal: what happened, the model's own words, and rephrasing suggestions
+export function refusalMessage({ reason, text = '', blockedCategories = [] }) {
+  const categories = blockedCategories.map(category => CATEGORY_LABELS[category] || category.replace(/^HARM_CATEGORY_/, '').toLowerCase().replace(/_/g, ' '));
+  const headline = {
+    blocked: `🙅 The image model blocked this request${categories.length > 0 ? ` (${categories.join(', ')})` : ''}.`,
+    text: '🙅 The image model answered in words instead of drawing.',
+    empty: '🙅 The image model came back without an image.'
+  }[reason] || '🙅 The image model didn\'t make an image for this request.';
+
+  const lines = [headline];
+  if (text) {
+    const quoted = text.length > 500 ? `${text.slice(0, 497)}...` : text;
+    lines.push('It said:', ...quoted.split('\n').map(line => `> ${line}`));
+  }
+  lines.push('*Try rephrasing:*', ...(SUGGESTIONS[reason] || SUGGESTIONS.empty).map(suggestion => `• ${suggestion}`));
+  return lines.join('\n');
+}
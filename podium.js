@@ -0,0 +1,226 @@
+import sharp from 'sharp';
+import { escapeMarkup, renderTextImage } from './text-render.js';
+
+// Leaderboard "mountain peak" podium: the model paints an unlabelled scene, then the title and the
+// ranked names are composited as crisp text labels at fixed positions.
+
+export const MIN_PODIUM_NAMES = 3;
+export const MAX_PODIUM_NAMES = 10;
+const MAX_TITLE_LENGTH = 80;
+const MAX_NAME_LENGTH = 60;
+
+export class PodiumError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PodiumError';
+  }
+}
+
+export const PODIUM_USAGE = '`/podium Top L1 Blockchains | Ethereum, Solana, Cardano` (3-10 names in rank order; use `|` between names that contain commas)';
+
+// Drop list numbering such as "1. ", "#2 " or "3) " in front of a name
+const stripRank = (name) => String(name).replace(/^\s*#?\d{1,2}[.):]?\s+/, '').trim();
+
+// Check and tidy a title plus ranked names. Throws PodiumError with a user-facing message.
+export function validatePodium({ title, names }) {
+  const cleanTitle = String(title || '').replace(/\s+/g, ' ').trim();
+  const cleanNames = (Array.isArray(names) ? names : []).map(stripRank).filter(Boolean);
+
+  if (!cleanTitle) {
+    throw new PodiumError(`The podium needs a title. Usage: ${PODIUM_USAGE}`);
+  }
+  if (cleanTitle.length > MAX_TITLE_LENGTH) {
+    throw new PodiumError(`The title is too long (${cleanTitle.length} characters, max ${MAX_TITLE_LENGTH})`);
+  }
+  if (cleanNames.length < MIN_PODIUM_NAMES || cleanNames.length > MAX_PODIUM_NAMES) {
+    throw new PodiumError(`The podium needs ${MIN_PODIUM_NAMES}-${MAX_PODIUM_NAMES} names, got ${cleanNames.length}. Usage: ${PODIUM_USAGE}`);
+  }
+  const longName = cleanNames.find(name => name.length > MAX_NAME_LENGTH);
+  if (longName) {
+    throw new PodiumError(`"${longName.slice(0, 20)}…" is too long for a label (max ${MAX_NAME_LENGTH} characters)`);
+  }
+
+  return { title: cleanTitle, names: cleanNames };
+}
+
+// Inline form: "<title> | <name>, <name>, ..." or "<title> | <name> | <name> | ...".
+// Without a "|" the whole text is the title (names may come from a CSV instead).
+export function parsePodiumText(text) {
+  const [title, ...rest] = String(text || '').split('|').map(segment => segment.trim());
+  const names = rest.length === 1 ? rest[0].split(',') : rest;
+  return { title, names: names.map(name => name.trim()).filter(Boolean) };
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF line endings
+function parseCsvRows(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = String(csv).replace(/^﻿/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+// Names from a CSV attachment. Accepts a single column of names, or rank + name columns
+// (with or without a header row); rows are ordered by rank when there is a rank column.
+export function parsePodiumCsv(csv) {
+  let rows = parseCsvRows(csv);
+  if (rows.length === 0) {
+    throw new PodiumError('The CSV file is empty');
+  }
+
+  const isRank = (value) => /^#?\d+$/.test(value);
+  let nameColumn = 0;
+  let rankColumn = -1;
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  if (header.some(cell => /^(rank|name|company|project|token)$/.test(cell))) {
+    rankColumn = header.indexOf('rank');
+    nameColumn = header.findIndex(cell => /^(name|company|project|token)$/.test(cell));
+    if (nameColumn === -1) {
+      nameColumn = rankColumn === 0 ? 1 : 0;
+    }
+    rows = rows.slice(1);
+  } else if (rows[0].length > 1 && rows.every(cells => isRank(cells[0]))) {
+    rankColumn = 0;
+    nameColumn = 1;
+  }
+
+  if (rankColumn !== -1) {
+    const badRow = rows.find(cells => !isRank(cells[rankColumn] || ''));
+    if (badRow) {
+      throw new PodiumError(`"${badRow[rankColumn] || ''}" isn't a rank number`);
+    }
+    rows = [...rows].sort((a, b) => Number(a[rankColumn].replace('#', '')) - Number(b[rankColumn].replace('#', '')));
+  }
+
+  return rows.map(cells => cells[nameColumn] || '').filter(Boolean);
+}
+
+// Label positions as fractions of the image: centre x/y, widest label, font size relative to image width.
+// 1st sits on the summit, 2nd and 3rd on the shoulders, the rest alternate down the left and right flanks.
+const TITLE_SLOT = { x: 0.5, y: 0.08, maxWidth: 0.7, size: 0.04 };
+const PODIUM_SLOTS = [
+  { x: 0.5, y: 0.24, maxWidth: 0.5, size: 0.03 },
+  { x: 0.27, y: 0.38, maxWidth: 0.38, size: 0.025 },
+  { x: 0.73, y: 0.38, maxWidth: 0.38, size: 0.025 },
+  { x: 0.2, y: 0.52, maxWidth: 0.26, size: 0.02 },
+  { x: 0.8, y: 0.52, maxWidth: 0.26, size: 0.02 },
+  { x: 0.17, y: 0.64, maxWidth: 0.26, size: 0.02 },
+  { x: 0.83, y: 0.64, maxWidth: 0.26, size: 0.02 },
+  { x: 0.14, y: 0.76, maxWidth: 0.24, size: 0.02 },
+  { x: 0.86, y: 0.76, maxWidth: 0.24, size: 0.02 },
+  { x: 0.14, y: 0.88, maxWidth: 0.24, size: 0.02 }
+];
+
+// Prompt text describing where the model should put the platforms, matching PODIUM_SLOTS
+export function podiumScenePlacement(count) {
+  const lines = [
+    '- 1st place: the largest platform, on the summit in the top centre',
+    '- 2nd place: an elevated platform on the left shoulder of the peak',
+    '- 3rd place: an elevated platform on the right shoulder of the peak'
+  ];
+  if (count === 4) {
+    lines.push('- 4th place: a smaller platform lower down the left flank');
+  } else if (count > 4) {
+    lines.push(`- 4th to ${count}th place: ${count - 3} smaller platforms cascading down the mountain, alternating left and right flanks from top to bottom`);
+  }
+  return lines.join('\n');
+}
+
+const GOLD = '#FFD54A';
+const LABEL_FILL = '#0B0F19';
+
+// A rounded, semi-opaque plate behind a label so it stays readable over any background
+function labelPlate(width, height, { outline }) {
+  const radius = Math.round(height / 2);
+  const stroke = outline ? `stroke="${GOLD}" stroke-width="2"` : '';
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect x="1" y="1" width="${width - 2}" height="${height - 2}" rx="${radius}" ry="${radius}" fill="${LABEL_FILL}" fill-opacity="0.82" ${stroke}/></svg>`);
+}
+
+async function buildLabel(markup, slot, { width, height, font, fontFile, outline }) {
+  const fontSize = Math.max(10, Math.round(width * slot.size));
+  const paddingX = Math.round(fontSize * 0.7);
+  const paddingY = Math.round(fontSize * 0.35);
+  const text = await renderTextImage(markup, {
+    font: `${font} ${fontSize}`,
+    fontFile,
+    maxWidth: width * slot.maxWidth - paddingX * 2
+  });
+
+  const plateWidth = text.width + paddingX * 2;
+  const plateHeight = text.height + paddingY * 2;
+  const left = Math.min(Math.max(0, Math.round(width * slot.x - plateWidth / 2)), width - plateWidth);
+  const top = Math.min(Math.max(0, Math.round(height * slot.y - plateHeight / 2)), height - plateHeight);
+
+  return {
+    placement: { left, top, width: plateWidth, height: plateHeight },
+    layers: [
+      { input: labelPlate(plateWidth, plateHeight, { outline }), left, top },
+      { input: text.buffer, left: left + paddingX, top: top + paddingY }
+    ]
+  };
+}
+
+// Composite the title and ranked name labels onto the generated scene. Keeps the image format.
+// Resolves with { buffer, labels } where labels records each name's placement for the metadata.
+export async function renderPodiumOverlay(image, { title, names }, { font = 'Arial', fontFile } = {}) {
+  const { width, height, format } = await sharp(image).metadata();
+  const options = { width, height, font, fontFile };
+
+  const titleLabel = await buildLabel(
+    `<span foreground="#FFFFFF" weight="bold">${escapeMarkup(title)}</span>`,
+    TITLE_SLOT,
+    { ...options, outline: true }
+  );
+
+  const nameLabels = await Promise.all(names.slice(0, MAX_PODIUM_NAMES).map((name, index) => buildLabel(
+    `<span foreground="${GOLD}" weight="bold">${index + 1}</span>  <span foreground="#FFFFFF" weight="bold">${escapeMarkup(name)}</span>`,
+    PODIUM_SLOTS[index],
+    { ...options, outline: index < 3 }
+  )));
+
+  const buffer = await sharp(image)
+    .composite([titleLabel, ...nameLabels].flatMap(label => label.layers))
+    .toFormat(format)
+    .toBuffer();
+
+  return {
+    buffer,
+    labels: nameLabels.map((label, index) => ({ rank: index + 1, name: names[index], ...label.placement }))
+  };
+}
@@ -0,0 +1,162 @@
+import path from 'path';
+import { readdir, readFile } from 'fs/promises';
+import { pathToFileURL } from 'url';
+import { LOGO_CORNERS } from './logo-overlay.js';
+import { isChannelPattern, conversationType, isConversationAllowed } from './channel-rules.js';
+
+// Aspect ratios the image model accepts
+export const SUPPORTED_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+// Pixel size for an aspect ratio with the given long side, e.g. 16:9 at 1024 -> 1024x576
+export function ratioDimensions(ratio, longSide = 1024) {
+  const [w, h] = String(ratio).split(':').map(Number);
+  if (!(w > 0 && h > 0)) {
+    return { width: longSide, height: longSide };
+  }
+  return w >= h
+    ? { width: longSide, height: Math.round(longSide * h / w) }
+    : { width: Math.round(longSide * w / h), height: longSide };
+}
+
+// Slack bots a profile can answer through
+const KNOWN_BOTS = ['tmai', 'image'];
+
+// Used for thread replies that edit a previous result, unless a profile sets its own refineTemplate
+export const DEFAULT_REFINE_TEMPLATE = `You are refining an image you generated earlier. The last attached image is that previous result.
+
+Original request: "{{originalPrompt}}"
+Requested change: "{{prompt}}"
+
+Requirements:
+- Use the previous result as the base image and apply only the requested change
+- Keep the subject's likeness, composition, branding and style unchanged unless the change asks otherwise
+{{logoInstruction}}
+- Use {{ratio}} aspect ratio
+- Create polished, publication-ready imagery
+`;
+
+// Fill {{placeholders}} in a profile's prompt template
+export function renderPromptTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+// Validate a raw profile module export and apply defaults
+export function normalizeProfile(raw, source) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Profile ${source} must export an object`);
+  }
+
+  const { id, promptTemplate } = raw;
+  if (!id || !/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Profile ${source} needs a lowercase "id"`);
+  }
+  if (!promptTemplate || typeof promptTemplate !== 'string') {
+    throw new Error(`Profile ${id} needs a "promptTemplate" string`);
+  }
+
+  const commands = raw.commands || [];
+  const defaultRatio = raw.defaultRatio || '16:9';
+  const bot = raw.bot || 'tmai';
+
+  if (!SUPPORTED_RATIOS.includes(defaultRatio)) {
+    throw new Error(`Profile ${id} has unsupported defaultRatio "${defaultRatio}"`);
+  }
+  if (raw.maxQueued !== undefined && !(Number.isInteger(raw.maxQueued) && raw.maxQueued >= 0)) {
+    throw new Error(`Profile ${id} has invalid maxQueued "${raw.maxQueued}"`);
+  }
+  if (!KNOWN_BOTS.includes(bot)) {
+    throw new Error(`Profile ${id} has unknown bot "${bot}" (expected ${KNOWN_BOTS.join(' or ')})`);
+  }
+  if (raw.provider !== undefined && typeof raw.provider !== 'string') {
+    throw new Error(`Profile ${id} has invalid provider "${raw.provider}"`);
+  }
+
+  // logo: true uses the server's LOGO_* settings; an object overrides corner, scale and/or margin
+  const logo = raw.logo === true ? {} : (raw.logo || null);
+  if (logo) {
+    if (logo.corner !== undefined && !LOGO_CORNERS.includes(logo.corner)) {
+      throw new Error(`Profile ${id} has unknown logo corner "${logo.corner}" (expected ${LOGO_CORNERS.join(', ')})`);
+    }
+    if (logo.scale !== undefined && !(logo.scale > 0 && logo.scale <= 0.5)) {
+      throw new Error(`Profile ${id} has invalid logo scale "${logo.scale}" (expected 0-0.5)`);
+    }
+    if (logo.margin !== undefined && !(logo.margin >= 0 && logo.margin <= 0.2)) {
+      throw new Error(`Profile ${id} has invalid logo margin "${logo.margin}" (expected 0-0.2)`);
+    }
+  }
+
+  // Channel lists use the patterns in channel-rules.js; a denied channel wins over an allowed one
+  for (const key of ['allowedChannels', 'deniedChannels']) {
+    const patterns = raw[key];
+    if (patterns !== undefined && !(Array.isArray(patterns) && patterns.every(isChannelPattern))) {
+      throw new Error(`Profile ${id} has invalid ${key} (expected channel IDs, '*', 'dm:*', 'private:*', 'public:*' or $VARIABLE)`);
+    }
+  }
+
+  // rateLimit: { perMinute, perDay } replaces the server's per-command defaults for this profile (0 = unlimited)
+  const rateLimit = raw.rateLimit || {};
+  for (const key of ['perMinute', 'perDay']) {
+    if (rateLimit[key] !== undefined && !(Number.isInteger(rateLimit[key]) && rateLimit[key] >= 0)) {
+      throw new Error(`Profile ${id} has invalid rateLimit.${key} "${rateLimit[key]}"`);
+    }
+  }
+
+  return {
+    ...raw,
+    label: raw.label || id,
+    noun: raw.noun || 'image',
+    commands,
+    route: commands.length > 0 ? (raw.route || `/${id}-gen`) : null,
+    bot,
+    provider: raw.provider || null,
+    logo,
+    rateLimit,
+    defaultRatio,
+    allowedChannels: raw.allowedChannels || ['*'],
+    deniedChannels: raw.deniedChannels || [],
+    refineTemplate: raw.refineTemplate || DEFAULT_REFINE_TEMPLATE,
+    references: raw.references || []
+  };
+}
+
+// Load every *.js profile in a directory, keyed by id
+export async function loadProfiles(profilesDir) {
+  const entries = (await readdir(profilesDir)).filter(name => name.endsWith('.js')).sort();
+  const profiles = new Map();
+  const seenCommands = new Map();
+
+  for (const entry of entries) {
+    const module = await import(pathToFileURL(path.join(profilesDir, entry)).href);
+    const profile = normalizeProfile(module.default, entry);
+
+    if (profiles.has(profile.id)) {
+      throw new Error(`Duplicate profile id "${profile.id}" in ${entry}`);
+    }
+
+    for (const command of profile.commands) {
+      if (seenCommands.has(command)) {
+        throw new Error(`Command ${command} is claimed by both ${seenCommands.get(command)} and ${profile.id}`);
+      }
+      seenCommands.set(command, profile.id);
+    }
+
+    profiles.set(profile.id, profile);
+  }
+
+  return profiles;
+}
+
+// Check whether a profile may be used in a conversation: a channel ID, or { id, type } when Slack
+// said what kind of conversation it is. variables expands $VARIABLE patterns.
+export function isChannelAllowed(profile, channel, variables = {}) {
+  const conversation = typeof channel === 'string' ? { id: channel, type: conversationType(channel) } : channel;
+  return isConversationAllowed({ allow: profile.allowedChannels, deny: profile.deniedChannels }, conversation, variables);
+}
+
+// Read a profile's reference assets from disk as image parts
+export async function loadProfileReferences(profile, assetsDir) {
+  return Promise.all(profile.references.map(async (reference) => ({
+    buffer: await readFile(path.join(assetsDir, reference.file)),
+    mimeType: reference.mimeType || 'image/png'
+  })));
+}
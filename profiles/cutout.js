@@ -0,0 +1,25 @@
+// Background removal for "@bot cutout" and POST /cutout. The model is asked for a flat chroma-green
+// background, which cutout.js keys out and validates, since it rarely returns real transparency.
+export default {
+  id: 'cutout',
+  label: 'Cutout',
+  noun: 'cutout',
+  commands: [],
+  bot: 'image',
+  defaultRatio: '1:1',
+  allowedChannels: ['*'],
+  maxQueued: 10,
+  references: [],
+  promptTemplate: `
+Remove the background from the attached image and keep only {{prompt}}.
+
+Requirements:
+- Keep the subject exactly as it is: same pose, proportions, colors, lighting and every detail
+- Keep the whole subject in frame - do not crop hair, hands, clothing or accessories
+- Replace everything else with one perfectly flat, solid pure green (#00FF00) background
+- No shadows, gradients, reflections, checkerboard patterns or texture in the background
+- Keep edges crisp and clean, including hair and fine details
+- Do not add any text, logos or new objects
+- Use {{ratio}} aspect ratio
+`
+};
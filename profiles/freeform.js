@@ -0,0 +1,29 @@
+// Free-form generation for @mentions of the image bot (no reference assets, no slash command)
+export default {
+  id: 'freeform',
+  label: 'AI Generated',
+  noun: 'image',
+  commands: [],
+  bot: 'image',
+  defaultRatio: '16:9',
+  allowedChannels: ['*'],
+  maxQueued: 30,
+  references: [],
+  promptTemplate: `You are a creative AI image generator. Generate a high-quality image based on the following request.
+
+User Request: "{{prompt}}"
+
+Requirements:
+- Follow the user's creative direction precisely
+- Create professional, high-quality imagery
+- Use {{ratio}} aspect ratio
+- Maintain visual coherence and appeal
+- Generate content that is appropriate and creative
+
+Style Guidelines:
+- Focus on creating visually appealing and well-composed images
+- Use appropriate colors, lighting, and composition
+- Ensure the generated image matches the user's intent
+- Create polished, publication-ready imagery
+`
+};
@@ -0,0 +1,37 @@
+// Ian Balina - CEO and Founder of Token Metrics
+export default {
+  id: 'ian',
+  label: 'Ian Balina',
+  noun: 'Ian Balina image',
+  commands: ['/ian', '/test-ian'],
+  route: '/ian-gen',
+  bot: 'tmai',
+  example: 'presenting at blockchain conference',
+  defaultRatio: '16:9',
+  // Generates the CEO's likeness, so only in approved channels (TARGET_CHANNEL)
+  allowedChannels: ['$TARGET_CHANNEL'],
+  maxQueued: 10,
+  references: [
+    { file: 'ian-balina-bg-removed.png', mimeType: 'image/png' }
+  ],
+  logo: true,
+  promptTemplate: `You are a professional designer for Token Metrics, specializing in creating high-quality, brand-consistent visuals featuring Ian Balina, CEO and Founder of Token Metrics.
+
+User Request: "Ian Balina {{prompt}}"
+
+Design Requirements:
+- Execute the user's creative direction precisely as specified
+- Use the provided Ian Balina image as the foundation - maintain his exact appearance, style, and likeness
+- Feature Ian Balina prominently as the main subject
+{{logoInstruction}}
+- Maintain professional quality suitable for official company use
+- Create imagery that reflects Ian's role as CEO and Founder of Token Metrics
+
+Style Standards:
+- Keep Ian Balina's appearance strictly unchanged unless the user explicitly requests modifications
+- Maintain Token Metrics' professional brand aesthetic
+- Ensure visual coherence between all elements
+- Create polished, publication-ready imagery
+- Focus on leadership, expertise, and innovation themes appropriate for a CEO and Founder
+`
+};
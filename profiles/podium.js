@@ -0,0 +1,29 @@
+// Leaderboard podium scene for /podium. The model only paints the scene; the title and names are
+// added afterwards as text labels (see podium.js), so this profile has its own route instead of a generic one.
+export default {
+  id: 'podium',
+  label: 'Podium',
+  noun: 'podium infographic',
+  commands: [],
+  bot: 'tmai',
+  defaultRatio: '16:9',
+  allowedChannels: ['*'],
+  maxQueued: 10,
+  references: [],
+  logo: { corner: 'bottom-right', scale: 0.14 },
+  promptTemplate: `
+You are a professional designer for Token Metrics creating the background scene for a leaderboard infographic titled "{{prompt}}".
+
+Design a 'mountain peak' style podium with exactly {{count}} empty platforms:
+{{placement}}
+
+Requirements:
+- The scene should evoke futuristic achievement: a jagged or crystalline mountain, glowing lines and energy, dramatic lighting
+- Keep a clean, dark band across the top of the image for the title
+- Keep every platform flat and uncluttered - a name label will be placed on each one afterwards
+- Do NOT draw any text, letters, numbers, names, trophies with writing, or logos anywhere in the image
+{{logoInstruction}}
+- Use {{ratio}} aspect ratio
+- Create polished, publication-ready imagery
+`
+};
@@ -0,0 +1,41 @@
+// TMAI - Token Metrics' official mascot
+export default {
+  id: 'tmai',
+  label: 'TMAI',
+  noun: 'mascot',
+  commands: ['/tmai', '/test-tmai'],
+  route: '/tmai-gen',
+  bot: 'tmai',
+  example: 'A robot mascot analyzing cryptocurrency charts on a computer screen',
+  defaultRatio: '16:9',
+  allowedChannels: ['*'],
+  maxQueued: 30,
+  references: [
+    { file: 'mascot-template.png', mimeType: 'image/png' }
+  ],
+  logo: true,
+  promptTemplate: `
+You are a professional designer for Token Metrics, specializing in creating high-quality, brand-consistent visuals for marketing and communications.
+
+User Request: "TMAI {{prompt}}"
+
+Design Requirements:
+- Execute the user's creative direction precisely as specified
+- Use the provided TMAI mascot image (Token Metrics' official mascot) as the foundation - maintain its exact appearance, style, and character design
+{{logoInstruction}}
+- Ensure the TMAI mascot is the primary focal point
+- Maintain professional quality suitable for official company use
+
+Crypto Asset Guidelines:
+- When incorporating cryptocurrency logos or symbols, only use well-known, accurately recognizable crypto brands (Bitcoin, Ethereum, Solana, DOGE, BNB, ADA..)
+- DO NOT create fictional or hallucinated crypto logos
+- If unsure about a specific crypto asset's visual identity, substitute with generic professional elements (charts, data visualizations, abstract tech patterns)
+- Prioritize authenticity and accuracy over creative interpretation for brand assets
+
+Style Standards:
+- Keep the mascot's design strictly unchanged unless the user explicitly requests modifications
+- Maintain Token Metrics' professional brand aesthetic
+- Ensure visual coherence between all elements
+- Create polished, publication-ready imagery
+`
+};
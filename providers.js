@@ -0,0 +1,38 @@
+import { createGeminiProvider } from './providers/gemini.js';
+import { createVertexProvider } from './providers/vertex.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createMockProvider } from './providers/mock.js';
+
+// Image backends. Each provider is { id, model, generate({ prompt, images, ratio, size?, model?, seed?, signal? }) }
+// and resolves with { buffer, mimeType }; images are [{ buffer, mimeType }] references. signal aborts
+// the HTTP request when an attempt times out (see retry-policy.js).
+export const PROVIDER_IDS = ['gemini', 'vertex', 'openai', 'mock'];
+
+// Build every provider that has the credentials it needs. The mock provider is always available.
+export function createImageProviders(config) {
+  const providers = new Map();
+
+  if (config.GEMINI_API_KEY) {
+    providers.set('gemini', createGeminiProvider({ apiKey: config.GEMINI_API_KEY, model: config.GEMINI_IMAGE_MODEL }));
+  }
+  if (config.VERTEX_PROJECT) {
+    providers.set('vertex', createVertexProvider({ project: config.VERTEX_PROJECT, location: config.VERTEX_LOCATION, model: config.VERTEX_IMAGE_MODEL }));
+  }
+  if (config.OPENAI_API_KEY) {
+    providers.set('openai', createOpenAIProvider({ apiKey: config.OPENAI_API_KEY, model: config.OPENAI_IMAGE_MODEL }));
+  }
+  providers.set('mock', createMockProvider());
+
+  return providers;
+}
+
+// Pick the provider for a request: the request's choice, then the profile's, then the default
+export function resolveProvider(providers, { requested, profile, defaultProvider }) {
+  const id = requested || profile?.provider || defaultProvider;
+  const provider = providers.get(id);
+  if (!provider) {
+    const reason = PROVIDER_IDS.includes(id) ? 'is not configured' : 'is unknown';
+    throw new Error(`Image provider "${id}" ${reason} (available: ${[...providers.keys()].join(', ')})`);
+  }
+  return provider;
+}
@@ -0,0 +1,49 @@
+import { GoogleGenAI } from '@google/genai';
+import { genAIRefusal } from '../model-refusal.js';
+
+export const DEFAULT_GEMINI_IMAGE_MODEL = 'gemini-3-pro-image-preview';
+
+// Image generation through a @google/genai client (shared by the Gemini API and Vertex AI providers)
+export function createGenAIImageProvider({ id, client, model }) {
+  return {
+    id,
+    model,
+
+    async generate({ prompt, images = [], ratio, size, model: requestedModel, seed, signal }) {
+      // Reference images first, then the prompt
+      const contents = [
+        ...images.map(image => ({ inlineData: { data: image.buffer.toString('base64'), mimeType: image.mimeType } })),
+        { text: prompt }
+      ];
+
+      const response = await client.models.generateContent({
+        model: requestedModel || model,
+        contents,
+        config: {
+          responseModalities: ['IMAGE'],
+          imageConfig: { aspectRatio: ratio, ...(size && { imageSize: size }) },
+          ...(seed !== undefined && { seed }),
+          ...(signal && { abortSignal: signal })
+        }
+      });
+
+      // The image comes back as an inline data part of the first candidate; without one the
+      // model blocked the request or answered in text (see model-refusal.js)
+      const parts = response?.candidates?.[0]?.content?.parts || [];
+      const imagePart = parts.find(part => part.inlineData?.data);
+      if (!imagePart) {
+        throw genAIRefusal(response);
+      }
+
+      return {
+        buffer: Buffer.from(imagePart.inlineData.data, 'base64'),
+        mimeType: imagePart.inlineData.mimeType || 'image/png'
+      };
+    }
+  };
+}
+
+// Gemini API (API key)
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_IMAGE_MODEL }) {
+  return createGenAIImageProvider({ id: 'gemini', client: new GoogleGenAI({ apiKey }), model });
+}
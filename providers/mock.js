@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ratioDimensions } from '../profiles.js';
+import { dimensionsForSize } from '../image-dimensions.js';
+
+// Offline provider for development and tests: the same request always yields the same PNG.
+// The colour is derived from the prompt, ratio, seed and references; the size follows the ratio (and --size).
+export function createMockProvider({ longSide = 512 } = {}) {
+  return {
+    id: 'mock',
+    model: 'mock-image-1',
+
+    async generate({ prompt, images = [], ratio, size, seed }) {
+      const hash = crypto.createHash('sha256').update(prompt).update(ratio).update(String(seed ?? ''));
+      for (const image of images) {
+        hash.update(image.buffer);
+      }
+      const digest = hash.digest();
+
+      const { width, height } = size ? dimensionsForSize(ratio, size) : ratioDimensions(ratio, longSide);
+      const buffer = await sharp({
+        create: { width, height, channels: 3, background: { r: digest[0], g: digest[1], b: digest[2] } }
+      }).png().toBuffer();
+
+      return { buffer, mimeType: 'image/png' };
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import { ratioDimensions } from '../profiles.js';
+import { ModelRefusalError } from '../model-refusal.js';
+
+export const DEFAULT_OPENAI_IMAGE_MODEL = 'gpt-image-1';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+
+// OpenAI only renders square, landscape or portrait sizes, so ratios map to the nearest one
+export function openAISize(ratio) {
+  const { width, height } = ratioDimensions(ratio);
+  if (width > height) return '1536x1024';
+  if (width < height) return '1024x1536';
+  return '1024x1024';
+}
+
+// OpenAI Images: generations without references, edits when reference images are attached
+export function createOpenAIProvider({ apiKey, model = DEFAULT_OPENAI_IMAGE_MODEL, fetchImpl = fetch }) {
+  const request = async (endpoint, body, headers = {}, signal) => {
+    const response = await fetchImpl(`${OPENAI_API_URL}/images/${endpoint}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}`, ...headers },
+      body,
+      signal
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`OpenAI ${response.status}: ${payload.error?.message || response.statusText}`);
+      error.status = response.status;
+      // Seconds to wait on a 429, see retryAfterMs in retry-policy.js
+      error.retryAfter = response.headers?.get?.('retry-after') ?? null;
+      throw error;
+    }
+    return payload;
+  };
+
+  return {
+    id: 'openai',
+    model,
+
+    // OpenAI Images has no seed or resolution tiers, so seed and size are ignored
+    async generate({ prompt, images = [], ratio, model: requestedModel, signal }) {
+      const size = openAISize(ratio);
+      const imageModel = requestedModel || model;
+      let payload;
+
+      if (images.length === 0) {
+        payload = await request('generations', JSON.stringify({ model: imageModel, prompt, size, n: 1 }), { 'Content-Type': 'application/json' }, signal);
+      } else {
+        const form = new FormData();
+        form.append('model', imageModel);
+        form.append('prompt', prompt);
+        form.append('size', size);
+        images.forEach((image, index) => {
+          form.append('image[]', new Blob([image.buffer], { type: image.mimeType }), `reference-${index}.${image.mimeType.split('/')[1] || 'png'}`);
+        });
+        payload = await request('edits', form, {}, signal);
+      }
+
+      const data = payload.data?.[0]?.b64_json;
+      // Refusals arrive as 400 errors (classified as safety in retry-policy.js), so this is rare
+      if (!data) {
+        throw new ModelRefusalError({ reason: 'empty' });
+      }
+
+      return { buffer: Buffer.from(data, 'base64'), mimeType: 'image/png' };
+    }
+  };
+}
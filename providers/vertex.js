@@ -0,0 +1,8 @@
+import { GoogleGenAI } from '@google/genai';
+import { createGenAIImageProvider, DEFAULT_GEMINI_IMAGE_MODEL } from './gemini.js';
+
+// Vertex AI (service account via GOOGLE_APPLICATION_CREDENTIALS, same models as the Gemini API)
+export function createVertexProvider({ project, location = 'us-central1', model = DEFAULT_GEMINI_IMAGE_MODEL }) {
+  const client = new GoogleGenAI({ vertexai: true, project, location });
+  return createGenAIImageProvider({ id: 'vertex', client, model });
+}
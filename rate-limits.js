@@ -0,0 +1,132 @@
+import path from 'path';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { calendarDateIn, isoDate, nextDailyRun } from './time-zone.js';
+
+// Per-user, per-channel and per-command request limits. Each subject has a token bucket holding up
+// to perMinute tokens (refilled continuously, one image costs one token) and a count of images
+// generated today, capped at perDay. A limit of 0 means unlimited. Counters are saved to a JSON file.
+
+const MINUTE_MS = 60 * 1000;
+const MIDNIGHT = { hour: 0, minute: 0 };
+
+// Parse a limit from config: a non-negative integer, 0 for unlimited. Returns null if invalid.
+export function parseLimit(value) {
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+// Slack renders <!date^...> in each reader's own timezone
+const slackTime = (date, format) => `<!date^${Math.floor(date.getTime() / 1000)}^${format}|${date.toISOString()}>`;
+
+export function createRateLimiter({ filePath, timeZone = 'UTC', now = () => new Date() }) {
+  let counters = new Map();
+  let writeChain = Promise.resolve();
+
+  // Write the whole snapshot through a temp file so a crash never leaves it half written
+  const persist = () => {
+    const snapshot = JSON.stringify(Object.fromEntries(counters));
+    const tempPath = `${filePath}.tmp`;
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      await writeFile(tempPath, snapshot);
+      await rename(tempPath, filePath);
+    });
+    return writeChain;
+  };
+
+  const today = (at) => isoDate(calendarDateIn(timeZone, at));
+
+  // Current state of a subject's counters, with the bucket refilled and the day rolled over
+  const current = (subject, at) => {
+    const key = `${subject.scope}:${subject.id}`;
+    const saved = counters.get(key);
+    const elapsed = saved ? at.getTime() - saved.updatedAt : 0;
+    const tokens = saved
+      ? Math.min(subject.perMinute, saved.tokens + elapsed * subject.perMinute / MINUTE_MS)
+      : subject.perMinute;
+    const images = saved && saved.day === today(at) ? saved.images : 0;
+    return { key, tokens, images };
+  };
+
+  return {
+    // Read saved counters. Missing or unreadable files start empty.
+    async load() {
+      await mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        counters = new Map(Object.entries(JSON.parse(await readFile(filePath, 'utf8'))));
+      } catch (error) {
+        if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+          throw error;
+        }
+        counters = new Map();
+      }
+      return counters.size;
+    },
+
+    // Charge a request for `images` images against every subject ({ scope, id, label, perMinute, perDay }).
+    // Nothing is charged unless all subjects allow it. Resolves with
+    // { allowed, blockedBy, retryAt, resetAt, quotas } where quotas lists each subject's daily usage.
+    async take(subjects, images = 1) {
+      const at = now();
+      const resetAt = nextDailyRun(at, MIDNIGHT, timeZone);
+      const limited = subjects.filter(subject => subject.perMinute > 0 || subject.perDay > 0);
+      const states = limited.map(subject => ({ subject, ...current(subject, at) }));
+
+      let blockedBy = null;
+      let retryAt = null;
+      for (const { subject, tokens, images: used } of states) {
+        // A request larger than the whole bucket only has to wait for a full one
+        const cost = Math.min(images, subject.perMinute);
+        if (subject.perMinute > 0 && tokens < cost) {
+          blockedBy = { ...subject, window: 'minute', limit: subject.perMinute };
+          retryAt = new Date(at.getTime() + Math.ceil((cost - tokens) * MINUTE_MS / subject.perMinute));
+          break;
+        }
+        if (subject.perDay > 0 && used + images > subject.perDay) {
+          blockedBy = { ...subject, window: 'day', limit: subject.perDay };
+          retryAt = resetAt;
+          break;
+        }
+      }
+
+      if (!blockedBy) {
+        for (const { subject, key, tokens, images: used } of states) {
+          counters.set(key, {
+            tokens: subject.perMinute > 0 ? tokens - Math.min(images, subject.perMinute) : 0,
+            updatedAt: at.getTime(),
+            day: today(at),
+            images: used + images
+          });
+        }
+        if (states.length > 0) {
+          await persist();
+        }
+      }
+
+      const quotas = states
+        .filter(({ subject }) => subject.perDay > 0)
+        .map(({ subject, images: used }) => {
+          const usedToday = blockedBy ? used : used + images;
+          return { scope: subject.scope, label: subject.label, perDay: subject.perDay, usedToday, remainingToday: Math.max(0, subject.perDay - usedToday) };
+        });
+
+      return { allowed: !blockedBy, blockedBy, retryAt, resetAt, quotas };
+    }
+  };
+}
+
+// Friendly explanation for a request that was refused, with the remaining daily quota and reset time.
+// Uses Slack date tokens, so each reader sees times in their own timezone.
+export function rateLimitMessage({ blockedBy, retryAt, resetAt, quotas }) {
+  const unit = blockedBy.limit === 1 ? 'image' : 'images';
+  const lines = blockedBy.window === 'minute'
+    ? [`Easy there! That's more than ${blockedBy.limit} ${unit} a minute ${blockedBy.label}. You can go again ${slackTime(retryAt, 'at {time_secs}')}.`]
+    : [`The daily limit of ${blockedBy.limit} ${unit} ${blockedBy.label} has been reached. It resets ${slackTime(resetAt, '{date_short_pretty} at {time}')}.`];
+
+  for (const quota of quotas) {
+    lines.push(`• ${quota.remainingToday} of ${quota.perDay} images left today ${quota.label}`);
+  }
+  if (blockedBy.window === 'minute' && quotas.length > 0) {
+    lines.push(`Daily quotas reset ${slackTime(resetAt, '{date_short_pretty} at {time}')}.`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,106 @@
+// Block Kit follow-up actions posted under each generated result
+
+export const RESULT_ACTIONS = {
+  regenerate: 'result_regenerate',
+  moreLikeThis: 'result_more_like_this',
+  changeRatio: 'result_change_ratio',
+  delete: 'result_delete',
+  retry: 'result_retry'
+};
+
+// Prompt used for "More like this" - the result itself becomes the base image
+export const VARIATION_PROMPT = 'Create a fresh variation of this image with a different composition and pose, keeping the same subject, branding and style';
+
+// Buttons and ratio dropdown for a finished job; every element carries the job id as its value.
+// actions limits which of RESULT_ACTIONS are offered.
+export function buildResultActionBlocks(job, ratios, { actions = Object.values(RESULT_ACTIONS) } = {}) {
+  const currentRatio = job.flags?.ratio;
+
+  return [
+    {
+      type: 'actions',
+      block_id: `result_actions:${job.id}`,
+      elements: [
+        {
+          type: 'button',
+          action_id: RESULT_ACTIONS.regenerate,
+          text: { type: 'plain_text', text: '🔄 Regenerate', emoji: true },
+          value: job.id
+        },
+        {
+          type: 'button',
+          action_id: RESULT_ACTIONS.moreLikeThis,
+          text: { type: 'plain_text', text: '✨ More like this', emoji: true },
+          value: job.id
+        },
+        {
+          type: 'static_select',
+          action_id: RESULT_ACTIONS.changeRatio,
+          placeholder: { type: 'plain_text', text: '📐 Change ratio' },
+          options: ratios
+            .filter(ratio => ratio !== currentRatio)
+            .map(ratio => ({
+              text: { type: 'plain_text', text: ratio },
+              value: `${job.id}|${ratio}`
+            }))
+        },
+        {
+          type: 'button',
+          action_id: RESULT_ACTIONS.delete,
+          style: 'danger',
+          text: { type: 'plain_text', text: '🗑️ Delete', emoji: true },
+          value: job.id,
+          confirm: {
+            title: { type: 'plain_text', text: 'Delete this image?' },
+            text: { type: 'plain_text', text: 'The image will be removed from Slack.' },
+            confirm: { type: 'plain_text', text: 'Delete' },
+            deny: { type: 'plain_text', text: 'Cancel' }
+          }
+        }
+      ].filter(element => actions.includes(element.action_id))
+    }
+  ];
+}
+
+// Apology for a job cut off by a restart, with a button to run it again
+export function buildRetryBlocks(job, text) {
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text } },
+    {
+      type: 'actions',
+      block_id: `retry_actions:${job.id}`,
+      elements: [
+        {
+          type: 'button',
+          action_id: RESULT_ACTIONS.retry,
+          style: 'primary',
+          text: { type: 'plain_text', text: '🔁 Retry', emoji: true },
+          value: job.id
+        }
+      ]
+    }
+  ];
+}
+
+// Pull { action, jobId, ratio } out of a block_actions payload
+export function parseResultAction(payload) {
+  const action = payload?.actions?.[0];
+  if (!action) {
+    return null;
+  }
+
+  if (action.action_id === RESULT_ACTIONS.changeRatio) {
+    const [jobId, ratio] = String(action.selected_option?.value || '').split('|');
+    return { action: action.action_id, jobId, ratio };
+  }
+
+  return { action: action.action_id, jobId: action.value };
+}
+
+// Slack file ids from a files.uploadV2 response
+export function uploadedFileIds(uploadResponse) {
+  return (uploadResponse?.files || [])
+    .flatMap(completion => completion.files || [])
+    .map(file => file.id)
+    .filter(Boolean);
+}
@@ -0,0 +1,219 @@
+import { ModelRefusalError, refusalMessage } from './model-refusal.js';
+
+// Retries for provider calls: every failure is classified, each class has its own policy, rate
+// limits honor Retry-After, attempts are cancelled through an AbortSignal when they time out, and
+// the whole request gives up at a deadline with a message that says what went wrong.
+
+// safety: the provider or model blocked the request; refused: the model answered without an image
+export const ERROR_CLASSES = ['rate_limit', 'overloaded', 'network', 'timeout', 'safety', 'refused', 'bad_request', 'auth', 'other'];
+
+// Classes that are the model's answer to the prompt rather than something going wrong
+export const REFUSAL_CLASSES = ['safety', 'refused'];
+
+// maxAttempts counts every attempt of the request, whatever class the earlier failures were
+export const RETRY_POLICIES = {
+  rate_limit: { retry: true, maxAttempts: 4, baseDelayMs: 5000, maxDelayMs: 60000 },
+  overloaded: { retry: true, maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 30000 },
+  network: { retry: true, maxAttempts: 4, baseDelayMs: 500, maxDelayMs: 10000 },
+  timeout: { retry: true, maxAttempts: 2, baseDelayMs: 1000, maxDelayMs: 1000 },
+  safety: { retry: false },
+  refused: { retry: false },
+  bad_request: { retry: false },
+  auth: { retry: false },
+  other: { retry: false }
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// The final error of a request that gave up; message is meant for the user, cause is the last failure
+export class GenerationError extends Error {
+  constructor(errorClass, cause, { attempts, retryAfterMs = null } = {}) {
+    super(finalErrorMessage(errorClass, cause, { retryAfterMs }), { cause });
+    this.name = 'GenerationError';
+    this.errorClass = errorClass;
+    this.attempts = attempts;
+  }
+}
+
+// Which ERROR_CLASSES entry a failed provider call belongs to, from its HTTP status, code and message
+export function classifyError(error) {
+  if (error instanceof GenerationError) {
+    return error.errorClass;
+  }
+  if (error instanceof ModelRefusalError) {
+    return error.reason === 'blocked' ? 'safety' : 'refused';
+  }
+
+  const status = typeof error?.status === 'number' ? error.status : Number(error?.code) || null;
+  const code = error?.code || error?.cause?.code;
+  const message = String(error?.message || '');
+
+  if (error?.name === 'TimeoutError' || status === 408 || status === 504 || /DEADLINE_EXCEEDED|Request timeout/i.test(message)) {
+    return 'timeout';
+  }
+  if (status === 429 || /RESOURCE_EXHAUSTED|rate limit/i.test(message)) {
+    return 'rate_limit';
+  }
+  if (status === 401 || status === 403 || /UNAUTHENTICATED|PERMISSION_DENIED|API key not valid|Incorrect API key/i.test(message)) {
+    return 'auth';
+  }
+  if ([500, 502, 503].includes(status) || /overloaded|UNAVAILABLE|\b503\b/i.test(message)) {
+    return 'overloaded';
+  }
+  if (NETWORK_CODES.includes(code) || /fetch failed|socket hang up|network error/i.test(message)) {
+    return 'network';
+  }
+  if (/SAFETY|PROHIBITED_CONTENT|content policy|safety system|moderation_blocked/i.test(message)) {
+    return 'safety';
+  }
+  if ([400, 404, 413, 422].includes(status) || /INVALID_ARGUMENT|FAILED_PRECONDITION/.test(message)) {
+    return 'bad_request';
+  }
+  return 'other';
+}
+
+// How long the provider asked us to wait, in ms: a Retry-After header (seconds or HTTP date),
+// error.retryAfterMs, or the retryDelay of a Google RetryInfo detail. null when it didn't say.
+export function retryAfterMs(error, now = Date.now()) {
+  if (Number.isFinite(error?.retryAfterMs)) {
+    return error.retryAfterMs;
+  }
+
+  const header = typeof error?.headers?.get === 'function' ? error.headers.get('retry-after') : (error?.headers?.['retry-after'] ?? error?.retryAfter);
+  if (header !== undefined && header !== null && String(header).trim() !== '') {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const retryDelay = String(error?.message || '').match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+  return retryDelay ? Number(retryDelay[1]) * 1000 : null;
+}
+
+// The provider's own explanation, without the JSON envelope Google errors come in
+function providerMessage(error) {
+  const message = String(error?.message || 'Unknown error');
+  const embedded = message.match(/"message"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+  const text = embedded ? embedded[1].replace(/\\(.)/g, '$1') : message;
+  return text.length > 200 ? `${text.slice(0, 197)}...` : text;
+}
+
+const formatWait = (ms) => ms >= 60000 ? `${Math.ceil(ms / 60000)} min` : `${Math.ceil(ms / 1000)}s`;
+
+// What to tell the user when a request gave up with errorClass
+export function finalErrorMessage(errorClass, error, { retryAfterMs: waitMs = null } = {}) {
+  switch (errorClass) {
+    case 'rate_limit':
+      return `The image provider is rate limiting us right now. Please try again ${waitMs ? `in ${formatWait(waitMs)}` : 'in a minute'}.`;
+    case 'overloaded':
+      return 'The image model is overloaded right now. Please try again in a few minutes.';
+    case 'network':
+      return 'I couldn\'t reach the image provider. Please try again in a moment.';
+    case 'timeout':
+      return 'The image model took too long to answer. Please try again, or try a simpler prompt.';
+    case 'safety':
+      return refusalMessage(error instanceof ModelRefusalError ? error : { reason: 'blocked', text: providerMessage(error) });
+    case 'refused':
+      return refusalMessage(error);
+    case 'bad_request':
+      return `The image provider rejected the request: ${providerMessage(error)}`;
+    case 'auth':
+      return 'The image provider rejected our credentials. Please ask an admin to check the API key.';
+    default:
+      return error?.message || 'Unknown error';
+  }
+}
+
+// Exponential backoff with jitter, or the provider's Retry-After when it sent one
+function retryDelayMs(policy, attempt, error) {
+  const requested = retryAfterMs(error);
+  if (requested !== null) {
+    return requested;
+  }
+  return Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1)) + Math.random() * policy.baseDelayMs;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// One attempt with its own AbortSignal, aborted after timeoutMs or when the caller's signal aborts.
+// Providers pass the signal to their HTTP client so the request itself is cancelled, not just abandoned.
+async function attemptWithTimeout(operation, timeoutMs, signal) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    controller.abort(Object.assign(new Error(`Provider request timed out after ${Math.round(timeoutMs / 1000)}s`), { name: 'TimeoutError' }));
+  }, timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  try {
+    return await Promise.race([operation(controller.signal), aborted]);
+  } catch (error) {
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Run operation(signal) until it succeeds, its failure's class isn't retried, that class runs out of
+// attempts, or the next wait would pass the deadline; then throw a GenerationError. An abort of signal
+// (e.g. shutdown) stops at once with its reason. onError(error, attempt, willRetry, errorClass) hears
+// about every failed attempt.
+export async function runWithRetries(operation, { policies = RETRY_POLICIES, attemptTimeoutMs = 120000, deadlineMs = 300000, signal, onAttempt, onError, log } = {}) {
+  const deadline = Date.now() + deadlineMs;
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    log?.debug({ attempt }, '🔄 Provider attempt');
+    onAttempt?.(attempt);
+
+    let error;
+    try {
+      const result = await attemptWithTimeout(operation, Math.max(1, Math.min(attemptTimeoutMs, deadline - Date.now())), signal);
+      log?.info({ attempt }, '✅ Provider attempt succeeded');
+      return result;
+    } catch (caught) {
+      error = caught;
+    }
+
+    if (signal?.aborted) {
+      onError?.(error, attempt, false, 'other');
+      throw signal.reason;
+    }
+
+    const errorClass = classifyError(error);
+    const policy = policies[errorClass] || policies.other;
+    const delayMs = policy.retry ? retryDelayMs(policy, attempt, error) : 0;
+    const willRetry = policy.retry && attempt < policy.maxAttempts && Date.now() + delayMs < deadline;
+    onError?.(error, attempt, willRetry, errorClass);
+
+    if (!willRetry) {
+      log?.error({ err: error, attempt, errorClass }, '❌ Provider attempt failed, giving up');
+      throw new GenerationError(errorClass, error, { attempts: attempt, retryAfterMs: retryAfterMs(error) });
+    }
+
+    log?.warn({ err: error, attempt, errorClass, delayMs: Math.round(delayMs) }, '⏳ Provider attempt failed, retrying');
+    await sleep(delayMs, signal);
+  }
+}
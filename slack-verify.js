@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+// Slack signs every request with v0=HMAC_SHA256(secret, "v0:<timestamp>:<raw body>")
+// https://api.slack.com/authentication/verifying-requests-from-slack
+export const SLACK_SIGNATURE_VERSION = 'v0';
+
+// Requests older than this are treated as replays
+export const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+// Compute the signature Slack would send for a given body
+export function computeSlackSignature(signingSecret, timestamp, rawBody) {
+  const baseString = `${SLACK_SIGNATURE_VERSION}:${timestamp}:${rawBody}`;
+  const digest = crypto.createHmac('sha256', signingSecret).update(baseString).digest('hex');
+  return `${SLACK_SIGNATURE_VERSION}=${digest}`;
+}
+
+// Check a signature/timestamp pair against the raw request body
+export function verifySlackSignature({ signingSecret, signature, timestamp, rawBody, now = Date.now() }) {
+  if (!signingSecret) {
+    return { ok: false, reason: 'Signing secret is not configured' };
+  }
+
+  if (!signature || !timestamp) {
+    return { ok: false, reason: 'Missing Slack signature headers' };
+  }
+
+  const requestTime = Number(timestamp);
+  if (!Number.isInteger(requestTime)) {
+    return { ok: false, reason: 'Invalid Slack request timestamp' };
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - requestTime) > MAX_REQUEST_AGE_SECONDS) {
+    return { ok: false, reason: 'Slack request timestamp is outside the replay window' };
+  }
+
+  const expected = Buffer.from(computeSlackSignature(signingSecret, timestamp, rawBody ?? ''));
+  const received = Buffer.from(String(signature));
+
+  // timingSafeEqual throws on length mismatch, so compare lengths first
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason: 'Slack signature mismatch' };
+  }
+
+  return { ok: true };
+}
+
+// preParsing hook: keep the exact bytes Slack signed before formbody/JSON parsing
+export async function captureRawBody(request, reply, payload) {
+  const chunks = [];
+  for await (const chunk of payload) {
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks);
+  request.rawBody = raw.toString('utf8');
+  return Readable.from([raw]);
+}
+
+// preValidation hook factory: reject requests not signed with the given bot's secret
+export function verifySlackRequest(getSigningSecret) {
+  return async function (request, reply) {
+    const result = verifySlackSignature({
+      signingSecret: getSigningSecret(),
+      signature: request.headers['x-slack-signature'],
+      timestamp: request.headers['x-slack-request-timestamp'],
+      rawBody: request.rawBody
+    });
+
+    if (!result.ok) {
+      request.log.warn({ url: request.url, reason: result.reason }, '🔒 Rejected unsigned Slack request');
+      return reply.code(401).send({ error: 'Invalid Slack signature', reason: result.reason });
+    }
+  };
+}
+
+// preValidation hook factory for endpoints shared by several bots (e.g. interactivity).
+// getSigningSecrets returns { botName: secret }; the matching bot is stored on request.slackBot.
+export function verifySlackRequestFromAnyBot(getSigningSecrets) {
+  return async function (request, reply) {
+    let lastReason = 'Signing secret is not configured';
+
+    for (const [bot, signingSecret] of Object.entries(getSigningSecrets())) {
+      const result = verifySlackSignature({
+        signingSecret,
+        signature: request.headers['x-slack-signature'],
+        timestamp: request.headers['x-slack-request-timestamp'],
+        rawBody: request.rawBody
+      });
+
+      if (result.ok) {
+        request.slackBot = bot;
+        return;
+      }
+      lastReason = result.reason;
+    }
+
+    request.log.warn({ url: request.url, reason: lastReason }, '🔒 Rejected unsigned Slack request');
+    return reply.code(401).send({ error: 'Invalid Slack signature', reason: lastReason });
+  };
+}
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidApiToken } from '../api-token.js';
+
+test('API tokens must match exactly and be configured', () => {
+  assert.equal(isValidApiToken('secret', 'secret'), true);
+  assert.equal(isValidApiToken('secret', 'secret2'), false);
+  assert.equal(isValidApiToken('secret', ''), false);
+  assert.equal(isValidApiToken('', ''), false);
+});
@@ -0,0 +1,1112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { mkdtemp, readdir, readFile } from 'fs/promises';
+import sharp from 'sharp';
+import pino from 'pino';
+import { buildApp } from '../app.js';
+import { computeSlackSignature } from '../slack-verify.js';
+import { createGenAIImageProvider } from '../providers/gemini.js';
+
+const SECRETS = { image: 'image-secret', tmai: 'tmai-secret' };
+const BOT_USER_ID = 'UBOT';
+
+const PNG = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+
+// What the model returns for a cutout: a subject on flat chroma green
+const GREEN_SCREEN_PNG = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#00ff00' } })
+  .composite([{ input: await sharp({ create: { width: 32, height: 32, channels: 3, background: '#cc3333' } }).png().toBuffer(), left: 16, top: 16 }])
+  .png()
+  .toBuffer();
+
+// Records every Slack Web API call; methods resolve like the real client
+function createFakeSlackClient(name) {
+  const calls = [];
+  let nextTs = 0;
+  const method = (id, respond = () => ({})) => async (args) => {
+    calls.push({ method: id, args });
+    return { ok: true, ...respond(args) };
+  };
+
+  return {
+    calls,
+    callsTo: (id) => calls.filter(call => call.method === id).map(call => call.args),
+    chat: {
+      postMessage: method('chat.postMessage', () => ({ ts: `${name}.${++nextTs}` })),
+      update: method('chat.update'),
+      postEphemeral: method('chat.postEphemeral')
+    },
+    users: {
+      info: method('users.info', () => ({ user: { real_name: 'Test User' } }))
+    },
+    files: {
+      uploadV2: method('files.uploadV2', (args) => ({
+        files: [{ files: args.file_uploads.map((_, index) => ({ id: `F${name}${index + 1}` })) }]
+      })),
+      delete: method('files.delete'),
+      info: method('files.info', () => ({ file: {} }))
+    }
+  };
+}
+
+// Stand-in for the @google/genai client; set fail to return a text-only answer, response to return
+// that response instead of an image, overloaded to answer
+// that many requests with a retryable 503 first, errors to throw those errors in turn first, image to
+// change the result, or hold to a promise that requests wait on before answering
+function createFakeGemini() {
+  const fake = {
+    requests: [],
+    fail: false,
+    overloaded: 0,
+    errors: [],
+    response: null,
+    image: PNG,
+    hold: null,
+    models: {
+      generateContent: async (params) => {
+        fake.requests.push(params);
+        await fake.hold;
+        if (fake.errors.length > 0) {
+          throw fake.errors.shift();
+        }
+        if (fake.response) {
+          return fake.response;
+        }
+        if (fake.overloaded > 0) {
+          fake.overloaded--;
+          throw Object.assign(new Error('503 UNAVAILABLE: The model is overloaded'), { status: 503 });
+        }
+        const parts = fake.fail
+          ? [{ text: 'I cannot draw that' }]
+          : [{ inlineData: { data: fake.image.toString('base64'), mimeType: 'image/png' } }];
+        return { candidates: [{ content: { parts } }] };
+      }
+    }
+  };
+  return fake;
+}
+
+// Pass the dir of an earlier app to start again on its job records and images
+async function createTestApp(t, extraEnv = {}, { logger = false, dir } = {}) {
+  dir = dir || await mkdtemp(path.join(os.tmpdir(), 'mascot-app-'));
+  const slack = { image: createFakeSlackClient('image'), tmai: createFakeSlackClient('tmai') };
+  const gemini = createFakeGemini();
+
+  const app = await buildApp({
+    logger,
+    env: {
+      PORT: '0',
+      IMAGE_SLACK_BOT_TOKEN: 'xoxb-image',
+      IMAGE_SLACK_SIGNING_SECRET: SECRETS.image,
+      TMAI_SLACK_BOT_TOKEN: 'xoxb-tmai',
+      TMAI_SLACK_SIGNING_SECRET: SECRETS.tmai,
+      IMAGE_SLACK_BOT_USER_ID: BOT_USER_ID,
+      OUTPUT_DIR: path.join(dir, 'images'),
+      JOBS_FILE: path.join(dir, 'jobs.jsonl'),
+      RATE_LIMITS_FILE: path.join(dir, 'rate-limits.json'),
+      USAGE_FILE: path.join(dir, 'usage.jsonl'),
+      // Slash commands come from C1, where /ian is allowed
+      TARGET_CHANNEL: 'C1',
+      ...extraEnv
+    },
+    slackClients: slack,
+    imageProviders: new Map([['gemini', createGenAIImageProvider({ id: 'gemini', client: gemini, model: 'fake-image-model' })]])
+  });
+  t.after(() => app.close());
+
+  return { app, slack, gemini, dir, outputDir: path.join(dir, 'images') };
+}
+
+// Send a request signed the way Slack signs it
+function signedInject(app, bot, url, payload, contentType) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return app.inject({
+    method: 'POST',
+    url,
+    payload,
+    headers: {
+      'content-type': contentType,
+      'x-slack-request-timestamp': String(timestamp),
+      'x-slack-signature': computeSlackSignature(SECRETS[bot], timestamp, payload)
+    }
+  });
+}
+
+const slashCommand = (app, route, fields) => signedInject(
+  app, 'tmai', route,
+  new URLSearchParams({ channel_id: 'C1', user_id: 'U1', ...fields }).toString(),
+  'application/x-www-form-urlencoded'
+);
+
+// Click a Block Kit button the way Slack posts it
+const clickButton = (app, bot, action, { user = 'U1', channel = 'C1', threadTs } = {}) => signedInject(
+  app, bot, '/slack/interactivity',
+  new URLSearchParams({ payload: JSON.stringify({ type: 'block_actions', user: { id: user }, channel: { id: channel }, message: { thread_ts: threadTs }, actions: [action] }) }).toString(),
+  'application/x-www-form-urlencoded'
+);
+
+const slackEvent = (app, body) => signedInject(app, 'image', '/slack/image', JSON.stringify(body), 'application/json');
+
+const mention = (text, overrides = {}) => ({
+  type: 'event_callback',
+  event_id: `Ev${Math.random()}`,
+  event: { type: 'app_mention', user: 'U1', channel: 'C2', text: `<@${BOT_USER_ID}> ${text}`, ts: '100.1', event_ts: '100.1', ...overrides }
+});
+
+// Background jobs start on a timer; poll until the condition holds
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = condition();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+test('GET /health reports ok', async (t) => {
+  const { app } = await createTestApp(t);
+  const response = await app.inject({ method: 'GET', url: '/health' });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().status, 'ok');
+});
+
+test('unsigned slash commands are rejected', async (t) => {
+  const { app, slack } = await createTestApp(t);
+  const response = await app.inject({
+    method: 'POST',
+    url: '/tmai-gen',
+    payload: 'command=%2Ftmai&text=surfing',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' }
+  });
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(slack.tmai.calls.length, 0);
+});
+
+test('/tmai-gen posts a status message and uploads the image into its thread', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'riding a wave --ratio 1:1' });
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body, '');
+
+  const [status] = slack.tmai.callsTo('chat.postMessage');
+  assert.equal(status.channel, 'C1');
+  assert.match(status.text, /^Hang on Test User/);
+
+  const [upload] = await waitFor(() => slack.tmai.callsTo('files.uploadV2').length && slack.tmai.callsTo('files.uploadV2'));
+  assert.equal(upload.channel_id, 'C1');
+  assert.equal(upload.thread_ts, 'tmai.1');
+  assert.equal(upload.file_uploads.length, 1);
+  assert.match(upload.initial_comment, /riding a wave with 1:1 aspect ratio/);
+
+  // Ratio flag reaches the model and is stripped from the prompt
+  assert.equal(gemini.requests[0].config.imageConfig.aspectRatio, '1:1');
+  const promptPart = gemini.requests[0].contents.at(-1).text;
+  assert.match(promptPart, /riding a wave/);
+  assert.doesNotMatch(promptPart, /--ratio/);
+
+  const [job] = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length && app.jobStore.list());
+  assert.equal(job.command, '/tmai');
+  assert.equal(job.flags.ratio, '1:1');
+  assert.ok((await readdir(outputDir)).includes(job.outputFilename));
+
+  // Actual output dimensions are checked and recorded
+  const sidecar = JSON.parse(await readFile(path.join(outputDir, job.outputFilename.replace(/\.png$/, '.json')), 'utf8'));
+  assert.deepEqual([sidecar.width, sidecar.height, sidecar.dimensionsMatch], [64, 64, true]);
+
+  // The TMAI profile composites the logo instead of asking the model to draw it
+  assert.match(promptPart, /Leave the top-left corner/);
+  assert.equal(sidecar.logo.variant, 'light');
+
+  // Result actions follow the upload
+  await waitFor(() => slack.tmai.callsTo('chat.postMessage').some(message => message.blocks));
+});
+
+test('/tmai-gen rejects an unsupported --ratio with an ephemeral error', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing --ratio 7:3' });
+  assert.equal(response.json().response_type, 'ephemeral');
+  assert.match(response.json().text, /Invalid value "7:3" for --ratio/);
+
+  assert.equal(slack.tmai.calls.length, 0);
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('/tmai-gen refuses --size above MAX_IMAGE_SIZE', async (t) => {
+  const { app, gemini } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing --size 4K' });
+  assert.equal(response.json().response_type, 'ephemeral');
+  assert.match(response.json().text, /--size 4K isn't available: this server is limited to 2048px/);
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('/tmai-gen passes quoted flag values through to the prompt and job', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing --style "flat vector" --negative “text, people” --seed 42' });
+  await waitFor(() => slack.tmai.callsTo('files.uploadV2').length);
+
+  const promptPart = gemini.requests[0].contents.at(-1).text;
+  assert.match(promptPart, /Style: flat vector/);
+  assert.match(promptPart, /Avoid: text, people/);
+  assert.equal(gemini.requests[0].config.seed, 42);
+
+  const [job] = app.jobStore.list();
+  assert.equal(job.prompt, 'surfing');
+  assert.deepEqual(job.flags, { ratio: '16:9', n: 1, style: 'flat vector', negative: 'text, people', seed: 42 });
+});
+
+test('/tmai-gen --no-logo skips the logo overlay', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t);
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing --no-logo' });
+  await waitFor(() => slack.tmai.callsTo('files.uploadV2').length);
+
+  const promptPart = gemini.requests[0].contents.at(-1).text;
+  assert.doesNotMatch(promptPart, /Leave the top-left corner/);
+  assert.match(promptPart, /Do not add any logo/);
+
+  const [job] = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length && app.jobStore.list());
+  const sidecar = JSON.parse(await readFile(path.join(outputDir, job.outputFilename.replace(/\.png$/, '.json')), 'utf8'));
+  assert.equal(sidecar.logo, null);
+});
+
+test('/tmai-gen --n 3 takes a queue slot per candidate and uploads them together', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t, { MAX_CONCURRENT: '4' });
+  let release;
+  gemini.hold = new Promise(resolve => { release = resolve; });
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing --n 3' });
+  await waitFor(() => gemini.requests.length === 3);
+  const metrics = await app.inject({ method: 'GET', url: '/metrics' });
+  assert.ok(metrics.body.split('\n').includes('mascot_active_requests 3'));
+
+  // Two more candidates don't fit in the one slot left
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'skiing --n 2' });
+  await waitFor(() => slack.tmai.callsTo('chat.update').some(update => /You're #1 in the queue/.test(update.text)));
+  assert.equal(gemini.requests.length, 3);
+
+  release();
+  const job = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(candidate => candidate.prompt === 'surfing'));
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length === 2);
+  assert.equal(gemini.requests.length, 5);
+
+  const upload = slack.tmai.callsTo('files.uploadV2').find(call => call.thread_ts === job.threadTs);
+  assert.equal(slack.tmai.callsTo('files.uploadV2').filter(call => call.thread_ts === job.threadTs).length, 1);
+  assert.equal(upload.file_uploads.length, 3);
+  assert.match(upload.initial_comment, /\(3 of 3 candidates\)$/);
+  assert.deepEqual(upload.file_uploads.map(file => file.filename), job.outputFilenames);
+  // Candidates share a name prefix and differ by index
+  assert.equal(new Set(job.outputFilenames.map(filename => filename.replace(/-\d\.png$/, ''))).size, 1);
+  assert.deepEqual(job.outputFilenames.map(filename => filename.match(/-(\d)\.png$/)[1]).sort(), ['1', '2', '3']);
+  assert.deepEqual(job.slackFileIds, ['Ftmai1', 'Ftmai2', 'Ftmai3']);
+
+  const sidecars = await Promise.all(job.outputFilenames.map(async filename => JSON.parse(await readFile(path.join(outputDir, filename.replace(/\.png$/, '.json')), 'utf8'))));
+  assert.deepEqual(sidecars.map(sidecar => [sidecar.index, sidecar.candidates, sidecar.jobId]), [[1, 3, job.id], [2, 3, job.id], [3, 3, job.id]]);
+});
+
+test('/tmai-gen help lists every flag', async (t) => {
+  const { app } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'help' });
+  assert.equal(response.json().response_type, 'ephemeral');
+  for (const flag of ['--ratio', '--n', '--style', '--no-logo', '--model', '--seed', '--negative', '--format']) {
+    assert.ok(response.json().text.includes(flag), flag);
+  }
+});
+
+test('/ian-gen without a prompt replies with ephemeral help', async (t) => {
+  const { app, slack } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/ian-gen', { command: '/ian', text: '' });
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().response_type, 'ephemeral');
+  assert.match(response.json().text, /Example: `\/ian /);
+  assert.equal(slack.tmai.callsTo('chat.postMessage').length, 0);
+});
+
+test('profile routes reject commands they do not own', async (t) => {
+  const { app } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/ian-gen', { command: '/tmai', text: 'surfing' });
+  assert.equal(response.statusCode, 400);
+});
+
+test('/ian is only available in TARGET_CHANNEL', async (t) => {
+  const { app } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/ian-gen', { command: '/ian', text: 'on stage', channel_id: 'C9' });
+  assert.equal(response.json().response_type, 'ephemeral');
+  assert.match(response.json().text, /isn't enabled in this channel/);
+  assert.equal(app.jobStore.list().length, 0);
+});
+
+test('CHANNEL_RULES deny commands and mentions in DMs', async (t) => {
+  const { app, slack } = await createTestApp(t, { CHANNEL_RULES: '/tmai=!dm:*;@mention=!dm:*' });
+
+  const slash = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing', channel_id: 'C7', channel_name: 'directmessage' });
+  assert.match(slash.json().text, /isn't enabled in this channel/);
+
+  await slackEvent(app, mention('a lighthouse', { channel: 'D1', channel_type: 'im' }));
+  assert.equal(app.jobStore.list().length, 0);
+  assert.equal(slack.image.callsTo('chat.postMessage').length, 0);
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  assert.equal(app.jobStore.list().length, 1);
+});
+
+test('generation failures are posted to the thread and recorded', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  gemini.errors = [Object.assign(new Error('{"error":{"code":400,"message":"Image too large","status":"INVALID_ARGUMENT"}}'), { status: 400 })];
+
+  await slashCommand(app, '/ian-gen', { command: '/ian', text: 'on stage' });
+
+  const failed = await waitFor(() => app.jobStore.list({ status: 'failed' })[0]);
+  assert.match(failed.error, /rejected the request: Image too large/);
+  assert.equal(failed.errorClass, 'bad_request');
+
+  const errorPost = await waitFor(() => slack.tmai.callsTo('chat.postMessage').find(message => message.text.startsWith('❌')));
+  assert.equal(errorPost.thread_ts, 'tmai.1');
+  assert.equal(slack.tmai.callsTo('files.uploadV2').length, 0);
+});
+
+test('/slack/image answers the URL verification challenge', async (t) => {
+  const { app } = await createTestApp(t);
+
+  const response = await slackEvent(app, { type: 'url_verification', challenge: 'abc123' });
+  assert.deepEqual(response.json(), { challenge: 'abc123' });
+});
+
+test('app mentions generate in the mention thread and duplicates are ignored', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  const event = mention('a neon city --ratio 9:16');
+  await slackEvent(app, event);
+  // Slack retries deliver the same event again
+  await slackEvent(app, { ...event, event_id: 'EvRetry' });
+
+  const [upload] = await waitFor(() => slack.image.callsTo('files.uploadV2').length && slack.image.callsTo('files.uploadV2'));
+  assert.equal(upload.channel_id, 'C2');
+  assert.equal(upload.thread_ts, '100.1');
+
+  assert.equal(app.jobStore.list().length, 1);
+  assert.equal(gemini.requests.length, 1);
+  assert.equal(gemini.requests[0].config.imageConfig.aspectRatio, '9:16');
+  assert.equal(slack.tmai.calls.length, 0);
+});
+
+test('app mentions with an unsupported ratio get an ephemeral error in the thread', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  await slackEvent(app, mention('a neon city --ratio 7:3'));
+
+  const [reply] = slack.image.callsTo('chat.postEphemeral');
+  assert.equal(reply.user, 'U1');
+  assert.equal(reply.thread_ts, '100.1');
+  assert.match(reply.text, /Invalid value "7:3" for --ratio/);
+  assert.equal(slack.image.callsTo('chat.postMessage').length, 0);
+  assert.equal(app.jobStore.list().length, 0);
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('thread replies refine the previous image', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  await slackEvent(app, mention('a neon city'));
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length);
+
+  await slackEvent(app, {
+    type: 'event_callback',
+    event_id: 'EvReply',
+    event: { type: 'message', user: 'U1', channel: 'C2', text: 'make it rain', ts: '100.5', event_ts: '100.5', thread_ts: '100.1' }
+  });
+
+  const refine = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(job => job.command === 'refine'));
+  assert.equal(refine.threadTs, '100.1');
+  assert.equal(refine.flags.originalPrompt, 'a neon city');
+
+  // The previous result is sent as the base image
+  assert.ok(gemini.requests[1].contents.some(part => part.inlineData));
+  assert.equal(slack.image.callsTo('files.uploadV2').length, 2);
+});
+
+test('podium and help mentions in a generation thread are not taken as edits', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  await slackEvent(app, mention('a neon city'));
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length);
+
+  await slackEvent(app, mention('help', { ts: '100.6', event_ts: '100.6', thread_ts: '100.1' }));
+  const [help] = await waitFor(() => slack.image.callsTo('chat.postEphemeral').length && slack.image.callsTo('chat.postEphemeral'));
+  assert.equal(help.thread_ts, '100.1');
+  assert.match(help.text, /--ratio/);
+  assert.equal(app.jobStore.list().length, 1);
+
+  await slackEvent(app, mention('podium Top L1s | 1. Ethereum, Solana, Cardano', { ts: '100.7', event_ts: '100.7', thread_ts: '100.1' }));
+  const podium = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(job => job.profile === 'podium'));
+  assert.equal(podium.threadTs, '100.1');
+  assert.deepEqual(podium.flags.names, ['Ethereum', 'Solana', 'Cardano']);
+  assert.ok(!app.jobStore.list().some(job => job.command === 'refine'));
+  assert.ok(!gemini.requests[1].contents.some(part => part.inlineData));
+});
+
+test('thread replies asking for more candidates than the quota allows are limited', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t, { RATE_LIMIT_USER_PER_DAY: '2' });
+
+  await slackEvent(app, mention('a neon city'));
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length);
+
+  await slackEvent(app, {
+    type: 'event_callback',
+    event_id: 'EvReply',
+    event: { type: 'message', user: 'U1', channel: 'C2', text: 'make it darker --n 4', ts: '100.5', event_ts: '100.5', thread_ts: '100.1' }
+  });
+
+  const [limited] = await waitFor(() => slack.image.callsTo('chat.postEphemeral').length && slack.image.callsTo('chat.postEphemeral'));
+  assert.equal(limited.thread_ts, '100.1');
+  assert.match(limited.text, /^⏳ .*1 of 2 images left today for you/s);
+  assert.equal(gemini.requests.length, 1);
+  assert.equal(app.jobStore.list().length, 1);
+});
+
+test('podiums asking for more candidates than the quota allows are limited', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t, { RATE_LIMIT_USER_PER_DAY: '2' });
+
+  const response = await slashCommand(app, '/podium-gen', { command: '/podium', text: 'Top DEXs | Uniswap, Curve, Balancer --n 3' });
+  assert.match(response.json().text, /^⏳ .*2 of 2 images left today for you/s);
+
+  await slackEvent(app, mention('podium Top DEXs | Uniswap, Curve, Balancer --n 3'));
+  const [limited] = await waitFor(() => slack.image.callsTo('chat.postEphemeral').length && slack.image.callsTo('chat.postEphemeral'));
+  assert.match(limited.text, /^⏳ .*2 of 2 images left today for you/s);
+
+  assert.equal(gemini.requests.length, 0);
+  assert.equal(app.jobStore.list().length, 0);
+});
+
+test('plain replies in a podium thread are ignored', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  await slackEvent(app, mention('podium Top DEXs | Uniswap, Curve, Balancer'));
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length);
+
+  await slackEvent(app, {
+    type: 'event_callback',
+    event_id: 'EvPodiumReply',
+    event: { type: 'message', user: 'U1', channel: 'C2', text: 'make it darker', ts: '100.5', event_ts: '100.5', thread_ts: '100.1' }
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(app.jobStore.list().length, 1);
+  assert.equal(gemini.requests.length, 1);
+  assert.equal(slack.image.callsTo('chat.postEphemeral').length, 0);
+});
+
+// Run /tmai and return its succeeded job with the result actions posted under it
+async function finishedTmaiJob(app, slack, text) {
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text });
+  const job = await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0]);
+  const actionsMessage = await waitFor(() => slack.tmai.callsTo('chat.postMessage').find(message => message.blocks));
+  const elements = Object.fromEntries(actionsMessage.blocks[0].elements.map(element => [element.action_id, element]));
+  return { job, elements };
+}
+
+test('result actions replay the stored job: regenerate, change ratio and more like this', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  const { job, elements } = await finishedTmaiJob(app, slack, 'surfing --ratio 1:1 --no-logo');
+  assert.equal(elements.result_regenerate.value, job.id);
+
+  await clickButton(app, 'tmai', elements.result_regenerate, { user: 'U2', threadTs: job.threadTs });
+  const regenerated = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(candidate => candidate.flags.action === 'result_regenerate'));
+  assert.equal(regenerated.prompt, 'surfing');
+  assert.equal(regenerated.user, 'U2');
+  assert.equal(regenerated.threadTs, job.threadTs);
+  assert.deepEqual([regenerated.flags.replayOf, regenerated.flags.ratio, regenerated.flags.noLogo], [job.id, '1:1', true]);
+  assert.equal(gemini.requests[1].config.imageConfig.aspectRatio, '1:1');
+  assert.match(gemini.requests[1].contents.at(-1).text, /surfing[\s\S]*Do not add any logo/);
+
+  const option = elements.result_change_ratio.options.find(candidate => candidate.value === `${job.id}|16:9`);
+  await clickButton(app, 'tmai', { action_id: 'result_change_ratio', selected_option: option }, { threadTs: job.threadTs });
+  const reframed = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(candidate => candidate.flags.action === 'result_change_ratio'));
+  assert.deepEqual([reframed.prompt, reframed.flags.replayOf, reframed.flags.ratio, reframed.flags.noLogo], ['surfing', job.id, '16:9', true]);
+  assert.equal(gemini.requests[2].config.imageConfig.aspectRatio, '16:9');
+
+  await clickButton(app, 'tmai', elements.result_more_like_this, { threadTs: job.threadTs });
+  const variation = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(candidate => candidate.flags.action === 'result_more_like_this'));
+  assert.equal(variation.command, 'refine');
+  assert.deepEqual([variation.flags.parentJobId, variation.flags.originalPrompt, variation.flags.ratio], [job.id, 'surfing', '1:1']);
+  // The result itself is the base image
+  assert.ok(gemini.requests[3].contents.some(part => part.inlineData));
+
+  assert.equal(slack.tmai.callsTo('chat.postEphemeral').length, 0);
+});
+
+test('edits of a logo image start from the image before the logo was added', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t);
+  const { job, elements } = await finishedTmaiJob(app, slack, 'surfing --ratio 1:1');
+  assert.match(job.unbrandedFilename, /-unbranded\.png$/);
+  assert.deepEqual(await readFile(path.join(outputDir, job.unbrandedFilename)), PNG);
+  assert.notDeepEqual(await readFile(path.join(outputDir, job.outputFilename)), PNG);
+
+  await clickButton(app, 'tmai', elements.result_more_like_this, { threadTs: job.threadTs });
+  const variation = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(candidate => candidate.command === 'refine'));
+  const base = gemini.requests[1].contents.filter(part => part.inlineData).at(-1);
+  assert.equal(base.inlineData.data, PNG.toString('base64'));
+  assert.ok(variation.unbrandedFilename);
+
+  // Without a logo there's nothing to keep apart
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing --no-logo' });
+  const plain = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(candidate => candidate.flags.noLogo));
+  assert.equal(plain.unbrandedFilename, null);
+});
+
+test('changing to an unsupported ratio is refused without generating', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  const { job } = await finishedTmaiJob(app, slack, 'surfing');
+
+  await clickButton(app, 'tmai', { action_id: 'result_change_ratio', selected_option: { value: `${job.id}|7:3` } }, { threadTs: job.threadTs });
+  const [error] = await waitFor(() => slack.tmai.callsTo('chat.postEphemeral').length && slack.tmai.callsTo('chat.postEphemeral'));
+  assert.equal(error.text, '❌ Unsupported aspect ratio: 7:3');
+  assert.equal(error.thread_ts, job.threadTs);
+  assert.equal(app.jobStore.list().length, 1);
+  assert.equal(gemini.requests.length, 1);
+});
+
+test('only the requesting user can delete a result', async (t) => {
+  const { app, slack } = await createTestApp(t);
+  const { job, elements } = await finishedTmaiJob(app, slack, 'surfing');
+
+  await clickButton(app, 'tmai', elements.result_delete, { user: 'U2', threadTs: job.threadTs });
+  const [refused] = await waitFor(() => slack.tmai.callsTo('chat.postEphemeral').length && slack.tmai.callsTo('chat.postEphemeral'));
+  assert.equal(refused.user, 'U2');
+  assert.match(refused.text, /Only the person who requested this image can delete it/);
+  assert.equal(slack.tmai.callsTo('files.delete').length, 0);
+  assert.equal(app.jobStore.get(job.id).deletedAt, undefined);
+
+  await clickButton(app, 'tmai', elements.result_delete, { threadTs: job.threadTs });
+  const deleted = await waitFor(() => app.jobStore.get(job.id).deletedAt && app.jobStore.get(job.id));
+  assert.equal(deleted.deletedBy, 'U1');
+  assert.deepEqual(slack.tmai.callsTo('files.delete').map(call => call.file), job.slackFileIds);
+  const update = slack.tmai.callsTo('chat.update').find(call => call.ts === job.actionsMessageTs);
+  assert.match(update.text, /Image deleted by <@U1>/);
+
+  // A deleted image can't be replayed
+  await clickButton(app, 'tmai', elements.result_regenerate, { threadTs: job.threadTs });
+  await waitFor(() => slack.tmai.callsTo('chat.postEphemeral').length === 2);
+  assert.match(slack.tmai.callsTo('chat.postEphemeral')[1].text, /That image has been deleted/);
+});
+
+test('buttons on a mentioned podium go through the image bot that posted it', async (t) => {
+  const { app, slack } = await createTestApp(t);
+  await slackEvent(app, mention('podium Top DEXs | Uniswap, Curve, Balancer'));
+  const job = await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0]);
+  assert.equal(job.bot, 'image');
+  const actionsMessage = await waitFor(() => slack.image.callsTo('chat.postMessage').find(message => message.blocks));
+  const elements = Object.fromEntries(actionsMessage.blocks[0].elements.map(element => [element.action_id, element]));
+
+  await clickButton(app, 'image', elements.result_regenerate, { channel: 'C2', threadTs: job.threadTs });
+  const replay = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(other => other.flags.replayOf === job.id));
+  assert.equal(replay.bot, 'image');
+
+  await clickButton(app, 'image', elements.result_delete, { channel: 'C2', threadTs: job.threadTs });
+  await waitFor(() => app.jobStore.get(job.id).deletedAt);
+  assert.deepEqual(slack.image.callsTo('files.delete').map(call => call.file), job.slackFileIds);
+  assert.ok(slack.image.callsTo('chat.update').find(call => call.ts === job.actionsMessageTs));
+  assert.equal(slack.tmai.calls.length, 0);
+});
+
+test('/tmheader posts a 1200x630 header for the requested date', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/tmheader-gen', { command: '/tmheader', text: '2025-11-12' });
+  assert.equal(response.json().response_type, 'ephemeral');
+  assert.match(response.json().text, /November 12, 2025/);
+
+  const [upload] = await waitFor(() => slack.tmai.callsTo('files.uploadV2').length && slack.tmai.callsTo('files.uploadV2'));
+  assert.equal(upload.channel_id, 'C1');
+  assert.match(upload.initial_comment, /November 12, 2025/);
+
+  const { width, height } = await sharp(upload.file_uploads[0].file).metadata();
+  assert.deepEqual([width, height], [1200, 630]);
+  assert.equal(gemini.requests.length, 0);
+
+  const [job] = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length && app.jobStore.list());
+  assert.equal(job.command, '/tmheader');
+  assert.equal(job.renderer, 'overlay');
+  assert.deepEqual(job.flags, { date: '2025-11-12', tz: 'America/New_York' });
+  assert.ok((await readdir(outputDir)).includes(job.outputFilename));
+});
+
+test('/tmheader rejects an unknown timezone or date', async (t) => {
+  const { app, slack } = await createTestApp(t);
+
+  const badZone = await slashCommand(app, '/tmheader-gen', { command: '/tmheader', text: '--tz Mars/Olympus' });
+  assert.match(badZone.json().text, /Unknown timezone "Mars\/Olympus"/);
+
+  const badDate = await slashCommand(app, '/tmheader-gen', { command: '/tmheader', text: 'next friday' });
+  assert.match(badDate.json().text, /Couldn't read "next friday" as a date/);
+
+  assert.equal(slack.tmai.callsTo('files.uploadV2').length, 0);
+  assert.equal(app.dailyHeaderSchedule, null);
+});
+
+test('/podium draws the scene without names and overlays them as labels', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t);
+
+  const response = await slashCommand(app, '/podium-gen', { command: '/podium', text: 'Top L1s | 1. Ethereum, Solana, Cardano, Avalanche --ratio 4:3' });
+  assert.equal(response.statusCode, 200);
+
+  const [upload] = await waitFor(() => slack.tmai.callsTo('files.uploadV2').length && slack.tmai.callsTo('files.uploadV2'));
+  assert.match(upload.initial_comment, /Top L1s/);
+
+  const promptPart = gemini.requests[0].contents.at(-1).text;
+  assert.match(promptPart, /exactly 4 empty platforms/);
+  assert.match(promptPart, /4th place: a smaller platform/);
+  assert.doesNotMatch(promptPart, /Solana/);
+  assert.equal(gemini.requests[0].config.imageConfig.aspectRatio, '4:3');
+
+  const [job] = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length && app.jobStore.list());
+  assert.equal(job.profile, 'podium');
+  assert.equal(job.prompt, 'Top L1s');
+  assert.deepEqual(job.flags.names, ['Ethereum', 'Solana', 'Cardano', 'Avalanche']);
+
+  const sidecar = JSON.parse(await readFile(path.join(outputDir, job.outputFilename.replace(/\.png$/, '.json')), 'utf8'));
+  assert.deepEqual(sidecar.podium.labels.map(label => label.name), ['Ethereum', 'Solana', 'Cardano', 'Avalanche']);
+});
+
+test('/podium explains a missing title or too few names', async (t) => {
+  const { app, gemini } = await createTestApp(t);
+
+  const tooFew = await slashCommand(app, '/podium-gen', { command: '/podium', text: 'Top L1s | Ethereum, Solana' });
+  assert.equal(tooFew.json().response_type, 'ephemeral');
+  assert.match(tooFew.json().text, /needs 3-10 names, got 2/);
+
+  const help = await slashCommand(app, '/podium-gen', { command: '/podium', text: 'help' });
+  assert.match(help.json().text, /--ratio/);
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('POST /podium needs API_TOKEN and queues a job without Slack', async (t) => {
+  const body = { title: 'Top DEXs', names: ['Uniswap', 'Curve', 'Balancer'] };
+
+  const disabled = await createTestApp(t);
+  const off = await disabled.app.inject({ method: 'POST', url: '/podium', payload: body });
+  assert.equal(off.statusCode, 503);
+
+  const { app, slack } = await createTestApp(t, { API_TOKEN: 'secret-token' });
+  const wrong = await app.inject({ method: 'POST', url: '/podium', payload: body, headers: { authorization: 'Bearer nope' } });
+  assert.equal(wrong.statusCode, 401);
+
+  const invalid = await app.inject({ method: 'POST', url: '/podium', payload: { ...body, names: ['Uniswap'] }, headers: { authorization: 'Bearer secret-token' } });
+  assert.equal(invalid.statusCode, 400);
+
+  const accepted = await app.inject({ method: 'POST', url: '/podium', payload: body, headers: { authorization: 'Bearer secret-token' } });
+  assert.equal(accepted.statusCode, 202);
+  const { jobId } = accepted.json();
+
+  const job = await waitFor(() => app.jobStore.get(jobId).status === 'succeeded' && app.jobStore.get(jobId));
+  assert.ok(job.outputFilename);
+  assert.equal(job.channel, null);
+  assert.equal(slack.tmai.calls.length, 0);
+});
+
+test('POST /podium follows the /podium channel rule', async (t) => {
+  const { app } = await createTestApp(t, { API_TOKEN: 'secret-token', CHANNEL_RULES: '/podium=!C0DENIED' });
+  const headers = { authorization: 'Bearer secret-token' };
+  const body = { title: 'Top DEXs', names: ['Uniswap', 'Curve', 'Balancer'] };
+
+  const denied = await app.inject({ method: 'POST', url: '/podium', payload: { ...body, channel: 'C0DENIED' }, headers });
+  assert.equal(denied.statusCode, 403);
+  assert.equal(app.jobStore.list({}).length, 0);
+
+  const allowed = await app.inject({ method: 'POST', url: '/podium', payload: { ...body, channel: 'C0ALLOWED' }, headers });
+  assert.equal(allowed.statusCode, 202);
+});
+
+test('replying "cutout" in a thread cuts out its latest image as an RGBA PNG', async (t) => {
+  const { app, slack, gemini, outputDir } = await createTestApp(t);
+
+  await slackEvent(app, mention('a red square'));
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' }).length);
+
+  gemini.image = GREEN_SCREEN_PNG;
+  await slackEvent(app, {
+    type: 'event_callback',
+    event_id: 'EvCutout',
+    event: { type: 'message', user: 'U1', channel: 'C2', text: 'cutout the red square', ts: '100.5', event_ts: '100.5', thread_ts: '100.1' }
+  });
+
+  const cutout = await waitFor(() => app.jobStore.list({ status: 'succeeded' }).find(job => job.profile === 'cutout'));
+  assert.equal(cutout.prompt, 'the red square');
+  assert.equal(cutout.flags.ratio, '1:1');
+  assert.match(gemini.requests[1].contents.at(-1).text, /solid pure green/);
+  assert.ok(gemini.requests[1].contents.some(part => part.inlineData));
+
+  const image = await readFile(path.join(outputDir, cutout.outputFilename));
+  const metadata = await sharp(image).metadata();
+  assert.equal(metadata.channels, 4);
+  assert.ok(metadata.width < 64);
+  const sidecar = JSON.parse(await readFile(path.join(outputDir, cutout.outputFilename.replace(/\.png$/, '.json')), 'utf8'));
+  assert.equal(sidecar.cutout.method, 'keyed');
+
+  // Only delete is offered, and replies in the cutout thread don't try to edit it
+  const actions = slack.image.callsTo('chat.postMessage').at(-1).blocks[0].elements;
+  assert.deepEqual(actions.map(element => element.action_id), ['result_delete']);
+  await slackEvent(app, {
+    type: 'event_callback',
+    event_id: 'EvAfterCutout',
+    event: { type: 'message', user: 'U1', channel: 'C2', text: 'make it blue', ts: '100.7', event_ts: '100.7', thread_ts: '100.1' }
+  });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(app.jobStore.list().length, 2);
+});
+
+test('"@bot cutout" without an image explains how to attach one', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+
+  await slackEvent(app, mention('cutout'));
+
+  const [reply] = slack.image.callsTo('chat.postEphemeral');
+  assert.match(reply.text, /I need a PNG, JPEG or WebP image/);
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('POST /cutout returns the cutout PNG for a raw or multipart upload', async (t) => {
+  const { app, gemini } = await createTestApp(t, { API_TOKEN: 'secret-token' });
+  const headers = { authorization: 'Bearer secret-token' };
+  gemini.image = GREEN_SCREEN_PNG;
+
+  const unauthorized = await app.inject({ method: 'POST', url: '/cutout', payload: PNG, headers: { 'content-type': 'image/png' } });
+  assert.equal(unauthorized.statusCode, 401);
+
+  const notImage = await app.inject({ method: 'POST', url: '/cutout', payload: { image: 'nope' }, headers });
+  assert.equal(notImage.statusCode, 400);
+
+  const raw = await app.inject({ method: 'POST', url: '/cutout?subject=the%20square', payload: PNG, headers: { ...headers, 'content-type': 'image/png' } });
+  assert.equal(raw.statusCode, 200);
+  assert.equal(raw.headers['content-type'], 'image/png');
+  assert.equal((await sharp(raw.rawPayload).metadata()).channels, 4);
+  const job = app.jobStore.get(raw.headers['x-job-id']);
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.prompt, 'the square');
+
+  const boundary = '----cutout-test';
+  const multipartBody = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="square.png"\r\nContent-Type: image/png\r\n\r\n`),
+    PNG,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  const multipart = await app.inject({
+    method: 'POST',
+    url: '/cutout',
+    payload: multipartBody,
+    headers: { ...headers, 'content-type': `multipart/form-data; boundary=${boundary}` }
+  });
+  assert.equal(multipart.statusCode, 200);
+  assert.equal((await sharp(multipart.rawPayload).metadata()).hasAlpha, true);
+});
+
+test('POST /cutout answers 422 when no clean cutout can be made', async (t) => {
+  const { app } = await createTestApp(t, { API_TOKEN: 'secret-token' });
+
+  // The fake model returns a flat colour with no subject
+  const response = await app.inject({ method: 'POST', url: '/cutout', payload: PNG, headers: { authorization: 'Bearer secret-token', 'content-type': 'image/png' } });
+  assert.equal(response.statusCode, 422);
+  assert.equal(app.jobStore.get(response.json().jobId).status, 'failed');
+});
+
+test('GET /jobs/:id needs API_TOKEN and returns a job record or 404', async (t) => {
+  const { app, slack } = await createTestApp(t, { API_TOKEN: 'secret-token' });
+  const headers = { authorization: 'Bearer secret-token' };
+  const { job } = await finishedTmaiJob(app, slack, 'surfing --ratio 1:1');
+
+  const anonymous = await app.inject({ method: 'GET', url: `/jobs/${job.id}` });
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(anonymous.json().prompt, undefined);
+
+  const found = await app.inject({ method: 'GET', url: `/jobs/${job.id}`, headers });
+  assert.equal(found.statusCode, 200);
+  assert.deepEqual(found.json(), app.jobStore.get(job.id));
+  assert.equal(found.json().status, 'succeeded');
+  assert.equal(found.json().flags.ratio, '1:1');
+
+  const missing = await app.inject({ method: 'GET', url: '/jobs/no-such-job', headers });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.json().error, 'Job not found');
+});
+
+test('GET /jobs needs API_TOKEN and filters by user and status, newest first, up to limit', async (t) => {
+  const disabled = await createTestApp(t);
+  assert.equal((await disabled.app.inject({ method: 'GET', url: '/jobs' })).statusCode, 503);
+
+  const { app } = await createTestApp(t, { API_TOKEN: 'secret-token' });
+  const headers = { authorization: 'Bearer secret-token' };
+  assert.equal((await app.inject({ method: 'GET', url: '/jobs', headers: { authorization: 'Bearer nope' } })).statusCode, 401);
+
+  const startedAt = Date.parse('2025-11-01T00:00:00Z');
+  for (let index = 0; index < 60; index++) {
+    await app.jobStore.create({
+      command: '/tmai',
+      user: index % 3 === 0 ? 'U2' : 'U1',
+      status: index % 2 === 0 ? 'succeeded' : 'failed',
+      prompt: `job ${index}`,
+      createdAt: new Date(startedAt + index * 1000).toISOString()
+    });
+  }
+  const prompts = async (query) => {
+    const response = await app.inject({ method: 'GET', url: `/jobs${query}`, headers });
+    assert.equal(response.statusCode, 200, query);
+    return response.json().jobs.map(job => job.prompt);
+  };
+
+  assert.deepEqual(await prompts('?user=U2&status=succeeded&limit=3'), ['job 54', 'job 48', 'job 42']);
+  assert.deepEqual(await prompts('?status=failed&limit=2'), ['job 59', 'job 57']);
+  assert.equal((await prompts('?user=U2')).length, 20);
+
+  // 50 by default, 500 at most
+  assert.equal((await prompts('')).length, 50);
+  assert.equal((await prompts('?limit=500')).length, 60);
+  for (const query of ['?limit=501', '?limit=0', '?status=done']) {
+    const response = await app.inject({ method: 'GET', url: `/jobs${query}`, headers });
+    assert.equal(response.statusCode, 400, query);
+  }
+});
+
+test('GET /gallery lists generated images and serves their thumbnails', async (t) => {
+  const { app, slack } = await createTestApp(t);
+  const { job } = await finishedTmaiJob(app, slack, 'surfing --ratio 1:1');
+  const today = new Date().toISOString().slice(0, 10);
+
+  const listed = await app.inject({ method: 'GET', url: `/gallery?subject=tmai&q=SURF&to=${today}` });
+  assert.equal(listed.statusCode, 200);
+  const [item] = listed.json().items;
+  assert.equal(listed.json().total, 1);
+  assert.equal(item.filename, job.outputFilename);
+  assert.equal(item.jobId, job.id);
+  assert.equal(item.thumbnailUrl, `/gallery/thumbnails/${job.outputFilename}`);
+
+  const others = await app.inject({ method: 'GET', url: '/gallery?subject=ian' });
+  assert.equal(others.json().total, 0);
+
+  const badDate = await app.inject({ method: 'GET', url: '/gallery?from=yesterday' });
+  assert.equal(badDate.statusCode, 400);
+  assert.match(badDate.json().error, /Invalid from date/);
+
+  const thumbnail = await app.inject({ method: 'GET', url: `${item.thumbnailUrl}?width=32` });
+  assert.equal(thumbnail.statusCode, 200);
+  assert.equal(thumbnail.headers['content-type'], 'image/webp');
+  assert.equal((await sharp(thumbnail.rawPayload).metadata()).width, 32);
+
+  // Sidecars, missing files and paths outside the output directory are not images
+  for (const url of [`/gallery/thumbnails/${item.sidecarFilename}`, '/gallery/thumbnails/missing.png', '/gallery/thumbnails/..%2Fjobs.jsonl']) {
+    const response = await app.inject({ method: 'GET', url });
+    assert.equal(response.statusCode, 404, url);
+  }
+});
+
+test('slash commands over the per-user limit get their quota back ephemerally; admins are exempt', async (t) => {
+  const { app, gemini } = await createTestApp(t, { RATE_LIMIT_USER_PER_MINUTE: '1', RATE_LIMIT_USER_PER_DAY: '5', ADMIN_USER_IDS: 'UADMIN' });
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  const limited = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'skiing' });
+  assert.equal(limited.json().response_type, 'ephemeral');
+  assert.match(limited.json().text, /more than 1 image a minute for you/);
+  assert.match(limited.json().text, /4 of 5 images left today for you/);
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'one', user_id: 'UADMIN' });
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'two', user_id: 'UADMIN' });
+
+  await waitFor(() => gemini.requests.length === 3);
+  assert.deepEqual(app.jobStore.list().map(job => job.user).sort(), ['U1', 'UADMIN', 'UADMIN']);
+});
+
+test('provider calls are recorded with their cost and failed retries are counted separately', async (t) => {
+  const { app, gemini } = await createTestApp(t, { API_TOKEN: 'secret-token', USAGE_PRICES: 'fake-image-model=0.1' });
+  gemini.overloaded = 1;
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0], 6000);
+
+  const report = await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'usage --since 7d' });
+  assert.equal(report.json().response_type, 'ephemeral');
+  assert.match(report.json().text, /Image usage in the last 7d/);
+  assert.match(report.json().text, /1 image, ~\$0\.10, 1 failed attempt/);
+  assert.match(report.json().text, /1 retried, 0 gave up/);
+  assert.match(report.json().text, /<@U1>: 1 image/);
+
+  const denied = await app.inject({ method: 'GET', url: '/usage.csv' });
+  assert.equal(denied.statusCode, 401);
+
+  const csv = await app.inject({ method: 'GET', url: '/usage.csv?since=2000-01-01', headers: { authorization: 'Bearer secret-token' } });
+  assert.match(csv.headers['content-type'], /text\/csv/);
+  const [header, ...rows] = csv.body.trim().split('\n');
+  assert.ok(header.startsWith('at,jobId,user,channel,command,subject,provider,model'));
+  assert.equal(rows.length, 2);
+  assert.match(rows[0], /,U1,C1,\/tmai,tmai,gemini,fake-image-model,.*,1,retried,503 UNAVAILABLE/);
+  assert.match(rows[1], /,2,succeeded,,\d+,0\.1$/);
+});
+
+test('GET /metrics reports queue, latency, retries, Slack failures, uploads and dedup hits', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  gemini.overloaded = 1;
+  // The result actions message fails; the job still succeeds
+  const postMessage = slack.image.chat.postMessage;
+  slack.image.chat.postMessage = async (args) => args.blocks ? Promise.reject(new Error('invalid_blocks')) : postMessage(args);
+
+  const event = mention('a neon city');
+  await slackEvent(app, event);
+  await slackEvent(app, { ...event, event_id: 'EvRetry' });
+  await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0], 6000);
+
+  const response = await app.inject({ method: 'GET', url: '/metrics' });
+  assert.match(response.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+  const lines = response.body.split('\n');
+  for (const line of [
+    'mascot_queue_depth{queue="freeform"} 0',
+    'mascot_active_requests 0',
+    'mascot_job_duration_seconds_count{subject="freeform",provider="gemini",status="succeeded"} 1',
+    'mascot_provider_call_duration_seconds_count{subject="freeform",provider="gemini",outcome="retried"} 1',
+    'mascot_provider_retries_total{provider="gemini",error_class="overloaded"} 1',
+    'mascot_slack_api_failures_total{bot="image",method="chat.postMessage"} 1',
+    'mascot_slack_upload_bytes_count{subject="freeform"} 1',
+    'mascot_event_dedup_hits_total 1'
+  ]) {
+    assert.ok(lines.includes(line), line);
+  }
+});
+
+test('every log line of a job carries its jobId, from the first attempt to the upload', async (t) => {
+  const lines = [];
+  const logger = pino({ level: 'debug' }, { write: (line) => lines.push(JSON.parse(line)) });
+  const { app, gemini } = await createTestApp(t, {}, { logger });
+  gemini.overloaded = 1;
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  const job = await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0], 6000);
+
+  const jobLines = lines.filter(line => line.jobId === job.id);
+  for (const message of ['⏳ Provider attempt failed, retrying', '✅ Provider attempt succeeded', '💾 Saved image', '📤 Uploaded to Slack', '✅ Job succeeded']) {
+    const line = jobLines.find(candidate => candidate.msg === message);
+    assert.ok(line, message);
+    assert.equal(line.user, 'U1');
+    assert.equal(line.command, '/tmai');
+  }
+  // Bot tokens never reach the log
+  assert.ok(!lines.some(line => JSON.stringify(line).includes('xoxb-')));
+});
+
+test('shutdown waits for running jobs, then marks the rest interrupted and the next start resumes them', async (t) => {
+  const first = await createTestApp(t, { SHUTDOWN_GRACE_SECONDS: '0.2' });
+  first.gemini.hold = new Promise((_, reject) => t.after(() => reject(new Error('test finished'))));
+
+  await slashCommand(first.app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  await waitFor(() => first.gemini.requests.length === 1);
+  const [job] = first.app.jobStore.list();
+  await first.app.close();
+  assert.equal(first.app.jobStore.get(job.id).status, 'interrupted');
+
+  const { app, slack } = await createTestApp(t, {}, { dir: first.dir });
+  assert.deepEqual(await app.recoverInterruptedJobs(), { resumed: 1, apologized: 0, skipped: 0 });
+
+  const resumed = await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0]);
+  assert.equal(resumed.flags.replayOf, job.id);
+  assert.equal(resumed.threadTs, job.threadTs);
+  assert.equal(app.jobStore.get(job.id).resumedAs, resumed.id);
+  assert.match(slack.tmai.callsTo('chat.postMessage')[0].text, /restarted while working on this/);
+  assert.equal(slack.tmai.callsTo('files.uploadV2')[0].thread_ts, job.threadTs);
+
+  // Recovered jobs are left alone on the next start
+  assert.deepEqual(await app.recoverInterruptedJobs(), { resumed: 0, apologized: 0, skipped: 0 });
+});
+
+test('unfinished jobs get an apology with a Retry button when they are not resumed', async (t) => {
+  const first = await createTestApp(t, { SHUTDOWN_GRACE_SECONDS: '0' });
+  first.gemini.hold = new Promise((_, reject) => t.after(() => reject(new Error('test finished'))));
+
+  await slashCommand(first.app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  await waitFor(() => first.gemini.requests.length === 1);
+  const [job] = first.app.jobStore.list();
+  await first.app.close();
+
+  const { app, slack } = await createTestApp(t, { RESUME_INTERRUPTED_JOBS: 'false' }, { dir: first.dir });
+  assert.deepEqual(await app.recoverInterruptedJobs(), { resumed: 0, apologized: 1, skipped: 0 });
+
+  const [apology] = slack.tmai.callsTo('chat.postMessage');
+  assert.equal(apology.thread_ts, job.threadTs);
+  assert.match(apology.text, /Sorry <@U1>, I restarted before this was finished/);
+  const retryButton = apology.blocks[1].elements[0];
+  assert.equal(retryButton.value, job.id);
+
+  await clickButton(app, 'tmai', retryButton, { threadTs: job.threadTs });
+  const retried = await waitFor(() => app.jobStore.list({ status: 'succeeded' })[0]);
+  assert.equal(retried.flags.replayOf, job.id);
+  assert.equal(app.jobStore.get(job.id).resumedAs, retried.id);
+
+  await clickButton(app, 'tmai', retryButton, { threadTs: job.threadTs });
+  await waitFor(() => slack.tmai.callsTo('chat.postEphemeral').length === 1);
+  assert.match(slack.tmai.callsTo('chat.postEphemeral')[0].text, /already been run again/);
+});
+
+test('failures that are not worth retrying end the job at once with a message for their class', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  gemini.errors = [Object.assign(new Error('{"error":{"code":403,"message":"Permission denied","status":"PERMISSION_DENIED"}}'), { status: 403 })];
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'surfing' });
+  const failed = await waitFor(() => app.jobStore.list({ status: 'failed' })[0]);
+
+  assert.equal(gemini.requests.length, 1);
+  assert.match(failed.error, /rejected our credentials/);
+  const errorPost = await waitFor(() => slack.tmai.callsTo('chat.postMessage').find(message => message.text.startsWith('❌')));
+  assert.match(errorPost.text, /ask an admin to check the API key/);
+
+  const metrics = await app.inject({ method: 'GET', url: '/metrics' });
+  assert.ok(metrics.body.includes('mascot_provider_failures_total{provider="gemini",error_class="auth"} 1'));
+});
+
+test('text-only answers show the model\'s reason and rephrasing tips without retrying', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  gemini.fail = true;
+
+  await slashCommand(app, '/ian-gen', { command: '/ian', text: 'on stage' });
+  const failed = await waitFor(() => app.jobStore.list({ status: 'failed' })[0]);
+
+  assert.equal(gemini.requests.length, 1);
+  assert.equal(failed.errorClass, 'refused');
+  const reply = await waitFor(() => slack.tmai.callsTo('chat.postMessage').find(message => message.text.startsWith('🙅')));
+  assert.equal(reply.thread_ts, failed.threadTs);
+  assert.match(reply.text, /answered in words instead of drawing/);
+  assert.match(reply.text, /> I cannot draw that/);
+  assert.match(reply.text, /\*Try rephrasing:\*\n• /);
+});
+
+test('safety blocks and empty candidates are reported as their own failure classes', async (t) => {
+  const { app, slack, gemini } = await createTestApp(t);
+  gemini.response = {
+    candidates: [{
+      finishReason: 'IMAGE_SAFETY',
+      safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }]
+    }]
+  };
+
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'fireworks' });
+  const blocked = await waitFor(() => app.jobStore.list({ status: 'failed' })[0]);
+  assert.equal(blocked.errorClass, 'safety');
+  const reply = await waitFor(() => slack.tmai.callsTo('chat.postMessage').find(message => message.text.startsWith('🙅')));
+  assert.match(reply.text, /blocked this request \(dangerous content\)/);
+
+  gemini.response = { candidates: [] };
+  await slashCommand(app, '/tmai-gen', { command: '/tmai', text: 'fireworks again' });
+  await waitFor(() => app.jobStore.list({ status: 'failed' }).length === 2);
+  assert.equal(app.jobStore.list({ status: 'failed' }).find(job => job.prompt === 'fireworks again').errorClass, 'refused');
+  assert.equal(gemini.requests.length, 2);
+
+  const metrics = await app.inject({ method: 'GET', url: '/metrics' });
+  assert.ok(metrics.body.includes('mascot_provider_failures_total{provider="gemini",error_class="safety"} 1'));
+  assert.ok(metrics.body.includes('mascot_provider_failures_total{provider="gemini",error_class="refused"} 1'));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { conversationType, expandChannelPatterns, isConversationAllowed, parseChannelRules } from '../channel-rules.js';
+
+test('conversationType reads what Slack sent, then the ID prefix', () => {
+  assert.equal(conversationType('C1', { channelType: 'group' }), 'private');
+  assert.equal(conversationType('C1', { channelType: 'mpim' }), 'mpim');
+  assert.equal(conversationType('C1', { channelName: 'privategroup' }), 'private');
+  assert.equal(conversationType('C1', { channelName: 'directmessage' }), 'im');
+  assert.equal(conversationType('G1', { channelName: 'mpdm-a--b-1' }), 'mpim');
+  assert.equal(conversationType('D1'), 'im');
+  assert.equal(conversationType('G1'), 'private');
+  assert.equal(conversationType('C1', { channelName: 'general' }), 'public');
+});
+
+test('type wildcards match DMs, private and public channels', () => {
+  const dm = { id: 'D1', type: 'im' };
+  const group = { id: 'G1', type: 'mpim' };
+  const secret = { id: 'C2', type: 'private' };
+  const general = { id: 'C1', type: 'public' };
+
+  assert.equal(isConversationAllowed({ allow: ['dm:*'] }, dm), true);
+  assert.equal(isConversationAllowed({ allow: ['dm:*'] }, group), true);
+  assert.equal(isConversationAllowed({ allow: ['dm:*'] }, secret), false);
+  assert.equal(isConversationAllowed({ allow: ['private:*'] }, secret), true);
+  assert.equal(isConversationAllowed({ allow: ['public:*'] }, general), true);
+  assert.equal(isConversationAllowed({ allow: ['public:*'] }, secret), false);
+});
+
+test('a denial wins over any allow', () => {
+  assert.equal(isConversationAllowed({ allow: ['C1'], deny: ['public:*'] }, { id: 'C1', type: 'public' }), false);
+  assert.equal(isConversationAllowed({ deny: ['C1'] }, { id: 'C2', type: 'public' }), true);
+});
+
+test('$VARIABLE patterns expand to their IDs and unknown ones throw', () => {
+  const variables = { TARGET_CHANNEL: ['C1', 'C2'] };
+  assert.deepEqual(expandChannelPatterns(['$TARGET_CHANNEL', 'dm:*'], variables), ['C1', 'C2', 'dm:*']);
+  assert.equal(isConversationAllowed({ allow: ['$TARGET_CHANNEL'] }, { id: 'C2', type: 'public' }, variables), true);
+  assert.throws(() => expandChannelPatterns(['$NOPE'], variables), /Unknown channel variable \$NOPE/);
+});
+
+test('parseChannelRules reads allow and deny lists per command', () => {
+  const rules = parseChannelRules(' /Podium=!dm:*; @mention=public:*,!C0SPAM ;/ian=$TARGET_CHANNEL');
+
+  assert.deepEqual(rules.get('/podium'), { allow: ['*'], deny: ['dm:*'] });
+  assert.deepEqual(rules.get('@mention'), { allow: ['public:*'], deny: ['C0SPAM'] });
+  assert.deepEqual(rules.get('/ian'), { allow: ['$TARGET_CHANNEL'], deny: [] });
+  assert.equal(parseChannelRules('').size, 0);
+
+  assert.throws(() => parseChannelRules('podium=*'), /must look like/);
+  assert.throws(() => parseChannelRules('/podium=#general'), /invalid channel pattern "#general"/);
+  assert.throws(() => parseChannelRules('/podium=*;/podium=dm:*'), /more than once/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlagSpecs, parseCommandFlags, pickFlags, formatFlagHelp, flagPromptDirections, FlagError } from '../command-flags.js';
+
+const specs = createFlagSpecs({ ratios: ['1:1', '16:9'], defaultRatio: '16:9', maxCandidates: 4, providers: ['gemini', 'mock'] });
+const parse = (text) => parseCommandFlags(text, specs, { ratio: '16:9', n: 1 });
+
+test('flags are split from the prompt wherever they appear', () => {
+  assert.deepEqual(parse('--ratio 1:1 surfing a wave --n 3 at sunset --no-logo'), {
+    prompt: 'surfing a wave at sunset',
+    flags: { ratio: '1:1', n: 3, noLogo: true }
+  });
+  assert.deepEqual(parse('just a prompt'), { prompt: 'just a prompt', flags: { ratio: '16:9', n: 1 } });
+});
+
+test('quoted values, --flag=value and Slack smart punctuation are understood', () => {
+  const { prompt, flags } = parse('owl —negative “text, watermarks” --style \'flat vector\' --seed=7 --format webp');
+  assert.equal(prompt, 'owl');
+  assert.equal(flags.negative, 'text, watermarks');
+  assert.equal(flags.style, 'flat vector');
+  assert.equal(flags.seed, 7);
+  assert.equal(flags.format, 'webp');
+});
+
+test('words that merely contain dashes stay in the prompt', () => {
+  assert.equal(parse('a state-of-the-art rocket--ship').prompt, 'a state-of-the-art rocket--ship');
+});
+
+test('invalid flags throw precise FlagErrors', () => {
+  const cases = [
+    ['owl --ratio 7:3', /Invalid value "7:3" for --ratio\. Expected one of: 1:1, 16:9/],
+    ['owl --n 9', /Invalid value "9" for --n\. Expected a whole number from 1 to 4/],
+    ['owl --n 1.5', /whole number/],
+    ['owl --sharpness 3', /Unknown flag --sharpness/],
+    ['owl --negative', /Missing value for --negative/],
+    ['owl --style --no-logo', /Missing value for --style/],
+    ['owl --ratio 1:1 --ratio 16:9', /--ratio was given more than once/],
+    ['owl --no-logo=yes', /--no-logo doesn't take a value/],
+    ['owl --negative "unclosed', /Missing closing quote/],
+    ['owl --provider dalle', /Expected one of: gemini, mock/],
+    ['owl --model "bad model!"', /Invalid value "bad model!" for --model/]
+  ];
+
+  for (const [text, message] of cases) {
+    assert.throws(() => parse(text), (error) => error instanceof FlagError && message.test(error.message), text);
+  }
+});
+
+test('sizes above the server cap are refused with the reason', () => {
+  const sized = createFlagSpecs({ ratios: ['1:1'], defaultRatio: '1:1', maxCandidates: 1, sizes: ['1K', '2K'], unavailableSizes: { '4K': 'limited to 2048px' } });
+
+  assert.equal(parseCommandFlags('owl --size 2K', sized).flags.size, '2K');
+  assert.throws(() => parseCommandFlags('owl --size 4K', sized), /--size 4K isn't available: limited to 2048px\. Expected one of: 1K, 2K/);
+  assert.throws(() => parseCommandFlags('owl --size 8K', sized), /Invalid value "8K" for --size/);
+});
+
+test('help text is generated from the specs', () => {
+  const help = formatFlagHelp(specs);
+  assert.equal(help.split('\n').length, specs.length);
+  assert.match(help, /`--ratio <ratio>` Aspect ratio \(1:1, 16:9\), default 16:9/);
+  assert.match(help, /`--no-logo` Skip the logo overlay/);
+});
+
+test('pickFlags keeps only known flags', () => {
+  assert.deepEqual(pickFlags({ ratio: '1:1', seed: 3, parentJobId: 'x', style: null }, specs), { ratio: '1:1', seed: 3 });
+});
+
+test('flagPromptDirections turns style flags into prompt lines', () => {
+  assert.equal(flagPromptDirections({ ratio: '1:1' }), '');
+  assert.equal(
+    flagPromptDirections({ style: 'watercolor', negative: 'text', noLogo: true }),
+    '\nAdditional directions:\n- Style: watercolor\n- Avoid: text\n- Do not add any logo or watermark\n'
+  );
+});
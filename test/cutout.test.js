@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { analyzeAlpha, cutoutProblem, makeCutout, readSourceImage, CutoutError } from '../cutout.js';
+
+const SIZE = 200;
+
+// A red disc (optionally a ring) drawn over the given background layers
+async function subjectOn(background, { ring = false } = {}) {
+  const disc = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}">
+    <circle cx="100" cy="100" r="60" fill="${ring ? 'none' : '#cc3333'}" stroke="#cc3333" stroke-width="${ring ? 30 : 0}"/>
+  </svg>`);
+  return sharp(background).composite([{ input: disc }]).png().toBuffer();
+}
+
+const flat = (color) => sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: color } }).png().toBuffer();
+
+// Painted "transparency" checkerboard in two greys, like models return when asked for a transparent PNG
+async function checkerboard() {
+  const squares = [];
+  for (let y = 0; y < SIZE; y += 20) {
+    for (let x = 0; x < SIZE; x += 20) {
+      if ((x + y) / 20 % 2 === 0) {
+        squares.push(`<rect x="${x}" y="${y}" width="20" height="20" fill="#5e5e5e"/>`);
+      }
+    }
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}"><rect width="${SIZE}" height="${SIZE}" fill="#363636"/>${squares.join('')}</svg>`;
+  // Slightly soft, like a painted pattern, so there are in-between greys where squares meet
+  return sharp(Buffer.from(svg)).blur(1).png().toBuffer();
+}
+
+async function alphaAt(image, x, y) {
+  const { data, info } = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return data[(y * info.width + x) * 4 + 3];
+}
+
+test('a flat green background is keyed out and the result trimmed to the subject', async () => {
+  const cutout = await makeCutout(await subjectOn(await flat('#00ff00')));
+
+  assert.equal(cutout.method, 'keyed');
+  const metadata = await sharp(cutout.buffer).metadata();
+  assert.equal(metadata.format, 'png');
+  assert.equal(metadata.channels, 4);
+  // 120px disc plus a small margin
+  assert.ok(metadata.width >= 120 && metadata.width <= 130, `width ${metadata.width}`);
+  assert.equal(await alphaAt(cutout.buffer, 0, 0), 0);
+  assert.equal(await alphaAt(cutout.buffer, Math.round(metadata.width / 2), Math.round(metadata.height / 2)), 255);
+});
+
+test('chroma green enclosed by the subject is removed too', async () => {
+  const cutout = await makeCutout(await subjectOn(await flat('#00ff00'), { ring: true }));
+  const { width, height } = await sharp(cutout.buffer).metadata();
+  assert.equal(await alphaAt(cutout.buffer, Math.round(width / 2), Math.round(height / 2)), 0);
+});
+
+test('a painted checkerboard is removed, including the lines between squares', async () => {
+  const cutout = await makeCutout(await subjectOn(await checkerboard()));
+
+  assert.equal(cutout.method, 'keyed');
+  assert.equal(cutoutProblem(cutout.alpha), null);
+  const { width, height } = await sharp(cutout.buffer).metadata();
+  assert.ok(width <= 130 && height <= 130, `${width}x${height}`);
+  assert.equal(await alphaAt(cutout.buffer, Math.round(width / 2), Math.round(height / 2)), 255);
+});
+
+test('keying a large image leaves the event loop free', async () => {
+  const size = 2048;
+  const disc = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><circle cx="1024" cy="1024" r="600" fill="#cc3333"/></svg>`);
+  const image = await sharp({ create: { width: size, height: size, channels: 3, background: '#00ff00' } }).composite([{ input: disc }]).png().toBuffer();
+
+  // Keyed on this thread, the longest gap between ticks was well over a second
+  let last = Date.now();
+  let longestGap = 0;
+  const ticker = setInterval(() => {
+    longestGap = Math.max(longestGap, Date.now() - last);
+    last = Date.now();
+  }, 5);
+  const cutout = await makeCutout(image).finally(() => clearInterval(ticker));
+
+  assert.equal(cutout.method, 'keyed');
+  assert.ok(longestGap < 500, `event loop blocked for ${longestGap}ms`);
+});
+
+test('real transparency from the model is kept as it is', async () => {
+  const transparent = await sharp({ create: { width: SIZE, height: SIZE, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+  const cutout = await makeCutout(await subjectOn(transparent));
+  assert.equal(cutout.method, 'alpha');
+  assert.equal((await sharp(cutout.buffer).metadata()).channels, 4);
+});
+
+test('busy or empty results are rejected with CutoutError', async () => {
+  const noise = await sharp(Buffer.from(Array.from({ length: SIZE * SIZE * 3 }, (_, i) => (i * 7919) % 251)), {
+    raw: { width: SIZE, height: SIZE, channels: 3 }
+  }).png().toBuffer();
+  await assert.rejects(makeCutout(noise), CutoutError);
+  await assert.rejects(makeCutout(await flat('#00ff00')), /almost no visible subject/);
+});
+
+test('analyzeAlpha reports whether an image has usable transparency', async () => {
+  const opaque = await analyzeAlpha(await flat('#336699'));
+  assert.equal(opaque.hasAlpha, false);
+  assert.equal(cutoutProblem(opaque), 'has no alpha channel');
+  assert.equal(cutoutProblem({ ...opaque, hasAlpha: true, transparentRatio: 0 }), 'is almost entirely opaque');
+  assert.equal(cutoutProblem({ hasAlpha: true, transparentRatio: 0.6, opaqueRatio: 0.4, borderTransparentRatio: 0.2 }), 'still has background along most of its edges');
+});
+
+test('readSourceImage accepts PNG, JPEG and WebP only', async () => {
+  const jpeg = await sharp({ create: { width: 30, height: 20, channels: 3, background: '#000' } }).jpeg().toBuffer();
+  assert.deepEqual(await readSourceImage(jpeg), { buffer: jpeg, mimeType: 'image/jpeg', width: 30, height: 20 });
+
+  const gif = await sharp({ create: { width: 30, height: 20, channels: 3, background: '#000' } }).gif().toBuffer();
+  assert.equal(await readSourceImage(gif), null);
+  assert.equal(await readSourceImage(Buffer.from('not an image')), null);
+});
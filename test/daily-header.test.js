@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { blankRegion, createDailyHeader, formatHeaderDate, resolveHeaderDate } from '../daily-header.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE = path.join(__dirname, '..', 'TM Daily Header 1200x630  nov10.png');
+
+// 2025-11-10 03:30 UTC is still November 9 in New York
+const NOW = new Date('2025-11-10T03:30:00Z');
+
+test('relative dates resolve in the requested timezone', () => {
+  assert.deepEqual(resolveHeaderDate('', { timeZone: 'America/New_York', now: NOW }), { year: 2025, month: 11, day: 9 });
+  assert.deepEqual(resolveHeaderDate('today', { timeZone: 'Asia/Singapore', now: NOW }), { year: 2025, month: 11, day: 10 });
+  assert.deepEqual(resolveHeaderDate('Tomorrow', { timeZone: 'UTC', now: new Date('2025-12-31T12:00:00Z') }), { year: 2026, month: 1, day: 1 });
+  assert.deepEqual(resolveHeaderDate('yesterday', { timeZone: 'UTC', now: NOW }), { year: 2025, month: 11, day: 9 });
+});
+
+test('explicit dates are checked', () => {
+  assert.deepEqual(resolveHeaderDate('2025-02-28', { timeZone: 'UTC' }), { year: 2025, month: 2, day: 28 });
+  assert.equal(resolveHeaderDate('2025-02-30', { timeZone: 'UTC' }), null);
+  assert.equal(resolveHeaderDate('Nov 10', { timeZone: 'UTC' }), null);
+});
+
+test('dates are written out like the template', () => {
+  assert.equal(formatHeaderDate({ year: 2025, month: 11, day: 10 }), 'November 10, 2025');
+});
+
+test('blankRegion removes the old date', async () => {
+  const region = { left: 50, top: 352, width: 520, height: 60 };
+  const blanked = await blankRegion(await sharp(TEMPLATE).png().toBuffer(), region);
+
+  const { data } = await sharp(blanked).extract(region).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  for (let i = 0; i < data.length; i += 3) {
+    assert.ok(data[i] + data[i + 1] + data[i + 2] > 400, 'no dark text pixels left');
+  }
+});
+
+test('render draws the date deterministically at exactly 1200x630', async () => {
+  const header = createDailyHeader({ templatePath: TEMPLATE });
+
+  const first = await header.render('September 30, 2025');
+  const second = await header.render('September 30, 2025');
+  const other = await header.render('May 1, 2026');
+
+  assert.equal(first.renderer, 'overlay');
+  assert.ok(first.buffer.equals(second.buffer));
+  assert.ok(!first.buffer.equals(other.buffer));
+
+  const { width, height } = await sharp(first.buffer).metadata();
+  assert.deepEqual([width, height], [1200, 630]);
+});
+
+test('the model fallback is only used when drawing fails, and is resized to 1200x630', async () => {
+  const edited = await sharp({ create: { width: 1024, height: 576, channels: 3, background: '#ffcc00' } }).png().toBuffer();
+  const calls = [];
+  const editWithModel = async (template, dateText) => {
+    calls.push(dateText);
+    return edited;
+  };
+
+  const working = createDailyHeader({ templatePath: TEMPLATE, editWithModel });
+  assert.equal((await working.render('November 10, 2025')).renderer, 'overlay');
+  assert.equal(calls.length, 0);
+
+  // A region touching the top edge can't be blanked, so drawing fails
+  const broken = createDailyHeader({ templatePath: TEMPLATE, region: { left: 0, top: 0, width: 10, height: 10 }, editWithModel });
+  const result = await broken.render('November 10, 2025');
+  assert.equal(result.renderer, 'model');
+  assert.deepEqual(calls, ['November 10, 2025']);
+
+  const { width, height } = await sharp(result.buffer).metadata();
+  assert.deepEqual([width, height], [1200, 630]);
+
+  await assert.rejects(createDailyHeader({ templatePath: TEMPLATE, region: { left: 0, top: 0, width: 10, height: 10 } }).render('x'));
+});
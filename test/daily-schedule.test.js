@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDailySchedule, parseDailyTime } from '../daily-schedule.js';
+
+test('parseDailyTime accepts 24h HH:MM only', () => {
+  assert.deepEqual(parseDailyTime('08:00'), { hour: 8, minute: 0 });
+  assert.deepEqual(parseDailyTime('7:45'), { hour: 7, minute: 45 });
+  assert.equal(parseDailyTime('24:00'), null);
+  assert.equal(parseDailyTime('8am'), null);
+});
+
+test('the schedule runs the task and reschedules until stopped', async () => {
+  let clock = new Date('2025-11-10T12:59:59.950Z');
+  const runs = [];
+  const schedule = createDailySchedule({
+    time: { hour: 8, minute: 0 },
+    timeZone: 'America/New_York',
+    now: () => clock,
+    run: async (at) => {
+      runs.push(at.toISOString());
+      clock = new Date('2025-11-10T13:00:01Z');
+    }
+  });
+
+  assert.equal(schedule.start().toISOString(), '2025-11-10T13:00:00.000Z');
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  assert.deepEqual(runs, ['2025-11-10T13:00:00.000Z']);
+  assert.equal(schedule.nextRunAt.toISOString(), '2025-11-11T13:00:00.000Z');
+
+  schedule.stop();
+  assert.equal(schedule.nextRunAt, null);
+});
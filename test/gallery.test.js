@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { copyFile, mkdtemp, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { createGallery, isImageFilename, isSafeFilename } from '../gallery.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLE_PNG = path.join(__dirname, '..', 'TM_logo_primary_white.png');
+
+async function seedGallery() {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'gallery-'));
+  const images = [
+    { filename: 'tmai-a.png', subject: 'tmai', user: 'U1', ratio: '16:9', prompt: 'TMAI surfing a wave', createdAt: '2025-11-01T10:00:00.000Z' },
+    { filename: 'tmai-b.png', subject: 'tmai', user: 'U2', ratio: '1:1', prompt: 'TMAI on the moon', createdAt: '2025-11-10T10:00:00.000Z' },
+    { filename: 'ian-a.png', subject: 'ian', user: 'U1', ratio: '16:9', prompt: 'presenting on stage', createdAt: '2025-11-20T10:00:00.000Z' }
+  ];
+
+  for (const image of images) {
+    await copyFile(SAMPLE_PNG, path.join(dir, image.filename));
+    await writeFile(path.join(dir, image.filename.replace('.png', '.json')), JSON.stringify(image));
+  }
+  // A sidecar whose image is missing is not listed
+  await writeFile(path.join(dir, 'orphan.json'), JSON.stringify({ filename: 'orphan.png', subject: 'tmai' }));
+
+  return { dir, gallery: createGallery(dir) };
+}
+
+test('list returns newest first with image, thumbnail and metadata links', async () => {
+  const { gallery } = await seedGallery();
+  const result = await gallery.list();
+
+  assert.equal(result.total, 3);
+  assert.deepEqual(result.items.map(item => item.filename), ['ian-a.png', 'tmai-b.png', 'tmai-a.png']);
+  assert.equal(result.items[0].imageUrl, '/images/ian-a.png');
+  assert.equal(result.items[0].thumbnailUrl, '/gallery/thumbnails/ian-a.png');
+  assert.equal(result.items[0].metadataUrl, '/images/ian-a.json');
+});
+
+test('list filters by subject, user, ratio, date range and prompt text', async () => {
+  const { gallery } = await seedGallery();
+  const names = async (query) => (await gallery.list(query)).items.map(item => item.filename);
+
+  assert.deepEqual(await names({ subject: 'tmai' }), ['tmai-b.png', 'tmai-a.png']);
+  assert.deepEqual(await names({ user: 'U1', ratio: '16:9' }), ['ian-a.png', 'tmai-a.png']);
+  assert.deepEqual(await names({ from: '2025-11-05', to: '2025-11-15' }), ['tmai-b.png']);
+  // A date-only "to" includes the whole of that day
+  assert.deepEqual(await names({ from: '2025-11-10', to: '2025-11-10' }), ['tmai-b.png']);
+  assert.deepEqual(await names({ to: '2025-11-10T09:00:00Z' }), ['tmai-a.png']);
+  assert.deepEqual(await names({ q: 'MOON' }), ['tmai-b.png']);
+});
+
+test('list paginates', async () => {
+  const { gallery } = await seedGallery();
+  const second = await gallery.list({ page: 2, pageSize: 2 });
+
+  assert.equal(second.totalPages, 2);
+  assert.deepEqual(second.items.map(item => item.filename), ['tmai-a.png']);
+});
+
+test('thumbnail renders a resized webp and rejects unsafe names', async () => {
+  const { gallery } = await seedGallery();
+  const thumbnail = await gallery.thumbnail('tmai-a.png', 100);
+  const { format, width } = await sharp(thumbnail).metadata();
+
+  assert.equal(format, 'webp');
+  assert.equal(width, 100);
+  assert.equal(await gallery.thumbnail('../secret.png'), null);
+  assert.equal(await gallery.thumbnail('missing.png'), null);
+  assert.equal(await gallery.thumbnail('tmai-a.json'), null);
+  assert.equal(isSafeFilename('.thumbs'), false);
+  assert.equal(isImageFilename('tmai-a.JPG'), true);
+  assert.equal(isImageFilename('tmai-a.json'), false);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { allowedImageSizes, dimensionsForSize, checkImageDimensions, readImageDimensions, closestRatio } from '../image-dimensions.js';
+
+test('allowedImageSizes is capped by MAX_IMAGE_SIZE but always allows 1K', () => {
+  assert.deepEqual(allowedImageSizes(2048), ['1K', '2K']);
+  assert.deepEqual(allowedImageSizes(4096), ['1K', '2K', '4K']);
+  assert.deepEqual(allowedImageSizes(512), ['1K']);
+});
+
+test('dimensionsForSize keeps the ratio at roughly the nominal area', () => {
+  assert.deepEqual(dimensionsForSize('1:1', '2K'), { width: 2048, height: 2048 });
+  const { width, height } = dimensionsForSize('21:9', '1K');
+  assert.ok(Math.abs(width / height - 21 / 9) < 0.01);
+  assert.ok(Math.abs(width * height / (1024 * 1024) - 1) < 0.01);
+});
+
+test('checkImageDimensions tolerates model rounding and flags real mismatches', () => {
+  // Gemini renders 16:9 at 1K as 1376x768
+  assert.equal(checkImageDimensions({ width: 1376, height: 768 }, { ratio: '16:9', size: '1K' }).matches, true);
+
+  const wrongRatio = checkImageDimensions({ width: 1536, height: 1024 }, { ratio: '16:9' });
+  assert.equal(wrongRatio.ratioMatches, false);
+
+  const tooSmall = checkImageDimensions({ width: 1024, height: 1024 }, { ratio: '1:1', size: '2K' });
+  assert.deepEqual([tooSmall.ratioMatches, tooSmall.sizeMatches], [true, false]);
+
+  // Without --size only the ratio is checked
+  assert.equal(checkImageDimensions({ width: 300, height: 400 }, { ratio: '3:4' }).matches, true);
+});
+
+test('readImageDimensions reads encoded images', async () => {
+  const png = await sharp({ create: { width: 30, height: 20, channels: 3, background: '#000' } }).png().toBuffer();
+  assert.deepEqual(await readImageDimensions(png), { width: 30, height: 20 });
+});
+
+test('closestRatio picks the supported ratio nearest an image shape', () => {
+  const ratios = ['1:1', '16:9', '9:16', '4:3', '3:4'];
+  assert.equal(closestRatio({ width: 1376, height: 768 }, ratios), '16:9');
+  assert.equal(closestRatio({ width: 600, height: 800 }, ratios), '3:4');
+  assert.equal(closestRatio({ width: 500, height: 510 }, ratios), '1:1');
+  assert.equal(closestRatio({ width: 400, height: 1000 }, ratios), '9:16');
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { mkdtemp, readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { embedPngText, readPngText, detectImageFormat, writeImageWithMetadata, subjectSlug } from '../image-metadata.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLE_PNG = path.join(__dirname, '..', 'TM_logo_primary_white.png');
+
+test('embedded text chunks round-trip, including non-ASCII prompts', async () => {
+  const png = await readFile(SAMPLE_PNG);
+  const embedded = embedPngText(png, { prompt: 'TMAI surfing 🌊 über waves', attempts: 2, skipped: null });
+
+  assert.ok(embedded.length > png.length);
+  assert.deepEqual(readPngText(embedded), { prompt: 'TMAI surfing 🌊 über waves', attempts: '2' });
+  // Still ends with the IEND chunk
+  assert.equal(embedded.subarray(-8, -4).toString('ascii'), 'IEND');
+});
+
+test('non-PNG buffers are left untouched', () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0]);
+  assert.equal(embedPngText(jpeg, { prompt: 'x' }), jpeg);
+  assert.deepEqual(detectImageFormat(jpeg), { extension: 'jpg', mimeType: 'image/jpeg' });
+});
+
+test('writeImageWithMetadata names files by subject and writes a sidecar', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'images-'));
+  const png = await readFile(SAMPLE_PNG);
+
+  const saved = await writeImageWithMetadata(dir, png, {
+    prompt: 'presenting on stage',
+    systemPrompt: 'You are a professional designer...',
+    command: '/ian',
+    subject: 'ian',
+    ratio: '16:9',
+    model: 'gemini-3-pro-image-preview',
+    user: 'U1',
+    channel: 'C1',
+    attempts: 1,
+    latencyMs: 1234
+  });
+
+  assert.match(saved.filename, /^ian-\d{4}-\d{2}-\d{2}T[\d-]+Z\.png$/);
+  assert.equal(saved.sidecarFilename, saved.filename.replace(/\.png$/, '.json'));
+
+  const sidecar = JSON.parse(await readFile(path.join(dir, saved.sidecarFilename), 'utf8'));
+  assert.equal(sidecar.prompt, 'presenting on stage');
+  assert.equal(sidecar.subject, 'ian');
+  assert.equal(sidecar.latencyMs, 1234);
+  assert.equal(sidecar.bytes, saved.buffer.length);
+
+  const text = readPngText(await readFile(path.join(dir, saved.filename)));
+  assert.equal(text.command, '/ian');
+  assert.equal(text.systemPrompt, 'You are a professional designer...');
+});
+
+test('subjectSlug keeps filenames safe', () => {
+  assert.equal(subjectSlug('Ian Balina'), 'ian-balina');
+  assert.equal(subjectSlug(undefined), 'image');
+});
+
+test('candidates get an index suffix and keep it in their metadata', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'images-'));
+  const png = await readFile(SAMPLE_PNG);
+
+  const saved = await writeImageWithMetadata(dir, png, { subject: 'tmai', prompt: 'x', index: 3, candidates: 4 });
+
+  assert.match(saved.filename, /^tmai-.+-3\.png$/);
+  assert.equal(saved.metadata.index, 3);
+  assert.equal(saved.metadata.candidates, 4);
+});
+
+test('candidates saved with one timestamp share a prefix, and a taken name is never overwritten', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'images-'));
+  const png = await readFile(SAMPLE_PNG);
+  const timestamp = new Date('2025-11-01T10:00:00.000Z');
+
+  const candidates = await Promise.all([1, 2, 3].map(index => writeImageWithMetadata(dir, png, { subject: 'tmai', prompt: 'x', index, candidates: 3 }, { timestamp })));
+  assert.deepEqual(candidates.map(saved => saved.filename), [
+    'tmai-2025-11-01T10-00-00-000Z-1.png',
+    'tmai-2025-11-01T10-00-00-000Z-2.png',
+    'tmai-2025-11-01T10-00-00-000Z-3.png'
+  ]);
+
+  // Two images saved in the same millisecond both survive
+  const [first, second] = await Promise.all(['first', 'second'].map(prompt => writeImageWithMetadata(dir, png, { subject: 'ian', prompt }, { timestamp })));
+  assert.notEqual(first.filename, second.filename);
+  assert.deepEqual([first.filename, second.filename].sort(), ['ian-2025-11-01T10-00-00-000Z.png', 'ian-2025-11-01T10-00-00-001Z.png']);
+  for (const saved of [first, second]) {
+    const sidecar = JSON.parse(await readFile(path.join(dir, saved.sidecarFilename), 'utf8'));
+    assert.equal(sidecar.prompt, saved.metadata.prompt);
+    assert.equal(readPngText(await readFile(path.join(dir, saved.filename))).prompt, saved.metadata.prompt);
+  }
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue, QueueFullError } from '../job-queue.js';
+
+// A job that stays running until release() is called
+function deferredJob(result) {
+  let release;
+  const done = new Promise((resolve) => {
+    release = () => resolve(result);
+  });
+  return { job: () => done, release };
+}
+
+test('jobs beyond the concurrency limit wait in FIFO order', async () => {
+  const queue = createJobQueue({ maxConcurrent: 1 });
+  const order = [];
+  const first = deferredJob('a');
+
+  const a = queue.enqueue(first.job);
+  const b = queue.enqueue(async () => order.push('b'));
+  const c = queue.enqueue(async () => order.push('c'));
+
+  assert.equal(queue.active, 1);
+  assert.equal(queue.depth, 2);
+  assert.equal(queue.waitingFor('default'), 2);
+  assert.equal(queue.waitingFor('other'), 0);
+
+  first.release();
+  assert.equal(await a, 'a');
+  await Promise.all([b, c]);
+
+  assert.deepEqual(order, ['b', 'c']);
+  assert.equal(queue.active, 0);
+  assert.equal(queue.depth, 0);
+});
+
+test('waiting jobs receive position updates and a start notification', async () => {
+  const queue = createJobQueue({ maxConcurrent: 1 });
+  const events = [];
+  const first = deferredJob();
+
+  const a = queue.enqueue(first.job, { onStart: () => events.push('a:start') });
+  const b = queue.enqueue(async () => {}, {
+    onPosition: (position) => events.push(`b:#${position}`),
+    onStart: () => events.push('b:start')
+  });
+  const c = queue.enqueue(async () => {}, {
+    onPosition: (position) => events.push(`c:#${position}`)
+  });
+
+  first.release();
+  await Promise.all([a, b, c]);
+
+  // a never waited, so it gets no start notification
+  assert.deepEqual(events, ['b:#1', 'c:#2', 'b:start', 'c:#1']);
+});
+
+test('per-key queue limits reject with QueueFullError', async () => {
+  const queue = createJobQueue({ maxConcurrent: 1, defaultMaxQueued: 5 });
+  const first = deferredJob();
+
+  const running = queue.enqueue(first.job, { key: 'ian' });
+  const waiting = queue.enqueue(async () => 'ok', { key: 'ian', maxQueued: 1 });
+  const other = queue.enqueue(async () => 'other', { key: 'tmai', maxQueued: 1 });
+
+  await assert.rejects(queue.enqueue(async () => {}, { key: 'ian', maxQueued: 1 }), QueueFullError);
+
+  first.release();
+  await running;
+  assert.equal(await waiting, 'ok');
+  assert.equal(await other, 'other');
+});
+
+test('a failing job rejects its caller and does not stall the queue', async () => {
+  const queue = createJobQueue({ maxConcurrent: 1 });
+
+  const failing = queue.enqueue(async () => {
+    throw new Error('boom');
+  });
+  const next = queue.enqueue(async () => 'next');
+
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'next');
+});
+
+test('multi-slot jobs wait until enough slots are free', async () => {
+  const queue = createJobQueue({ maxConcurrent: 4 });
+  const first = deferredJob();
+  const order = [];
+
+  const a = queue.enqueue(first.job, { slots: 2 });
+  const b = queue.enqueue(async () => order.push('b'), { slots: 3 });
+  // FIFO: c fits in the free slots but must not jump ahead of b
+  const c = queue.enqueue(async () => order.push('c'));
+
+  assert.equal(queue.active, 2);
+  assert.equal(queue.depth, 2);
+
+  first.release();
+  await Promise.all([a, b, c]);
+  assert.deepEqual(order, ['b', 'c']);
+  assert.equal(queue.active, 0);
+});
+
+test('slots are capped at the concurrency limit', async () => {
+  const queue = createJobQueue({ maxConcurrent: 2 });
+  assert.equal(await queue.enqueue(async () => 'done', { slots: 10 }), 'done');
+});
+
+test('a job\'s slots are free by the time its promise settles', async () => {
+  const queue = createJobQueue({ maxConcurrent: 2 });
+
+  await queue.enqueue(async () => 'done', { slots: 2 });
+  assert.equal(queue.active, 0);
+
+  await assert.rejects(queue.enqueue(async () => { throw new Error('failed'); }));
+  assert.equal(queue.active, 0);
+});
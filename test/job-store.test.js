@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { mkdtemp, readFile } from 'fs/promises';
+import { createJobStore } from '../job-store.js';
+
+async function tempStore() {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+  const filePath = path.join(dir, 'nested', 'jobs.jsonl');
+  const store = createJobStore(filePath);
+  await store.load();
+  return { store, filePath };
+}
+
+test('jobs move from queued to succeeded and are persisted', async () => {
+  const { store, filePath } = await tempStore();
+
+  const job = await store.create({ command: '/tmai', user: 'U1', channel: 'C1', prompt: 'surfing', flags: { ratio: '1:1' } });
+  assert.equal(job.status, 'queued');
+
+  await store.markStarted(job.id);
+  assert.equal(store.get(job.id).status, 'running');
+
+  const finished = await store.markFinished(job.id, { outputFilename: 'tmai.png', attempts: 2 });
+  assert.equal(finished.status, 'succeeded');
+  assert.equal(finished.attempts, 2);
+  assert.equal(finished.outputFilename, 'tmai.png');
+  assert.ok(finished.durationMs >= 0);
+
+  const reloaded = createJobStore(filePath);
+  assert.equal(await reloaded.load(), 1);
+  assert.deepEqual(reloaded.get(job.id), finished);
+
+  // Compaction leaves one line per job
+  const lines = (await readFile(filePath, 'utf8')).trim().split('\n');
+  assert.equal(lines.length, 1);
+});
+
+test('failed jobs keep the error message', async () => {
+  const { store } = await tempStore();
+  const job = await store.create({ command: '/ian', user: 'U1' });
+
+  const failed = await store.markFinished(job.id, { error: new Error('model overloaded'), attempts: 5 });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'model overloaded');
+});
+
+test('list filters by user and status, newest first', async () => {
+  const { store } = await tempStore();
+  const a = await store.create({ user: 'U1', createdAt: '2025-01-01T00:00:00.000Z' });
+  const b = await store.create({ user: 'U1', createdAt: '2025-01-02T00:00:00.000Z' });
+  await store.create({ user: 'U2', createdAt: '2025-01-03T00:00:00.000Z' });
+  await store.markFinished(b.id, {});
+
+  assert.deepEqual(store.list({ user: 'U1' }).map(job => job.id), [b.id, a.id]);
+  assert.deepEqual(store.list({ user: 'U1', status: 'queued' }).map(job => job.id), [a.id]);
+  assert.equal(store.list({ limit: 2 }).length, 2);
+});
+
+test('update of an unknown job throws', async () => {
+  const { store } = await tempStore();
+  await assert.rejects(store.update('missing', { status: 'running' }), /Unknown job/);
+});
+
+test('latestInThread returns the most recent image posted to a thread', async () => {
+  const { store } = await tempStore();
+  const first = await store.create({ channel: 'C1', threadTs: '111.1' });
+  await store.markFinished(first.id, { outputFilename: 'tmai-1.png' });
+  const failed = await store.create({ channel: 'C1', threadTs: '111.1' });
+  await store.markFinished(failed.id, { error: new Error('nope') });
+
+  assert.equal(store.latestInThread('C1', '111.1').outputFilename, 'tmai-1.png');
+
+  const edit = await store.create({ channel: 'C1', threadTs: '111.1', command: 'refine' });
+  await store.markFinished(edit.id, { outputFilename: 'tmai-2.png' });
+
+  assert.equal(store.latestInThread('C1', '111.1').id, edit.id);
+  assert.equal(store.latestInThread('C1', '222.2'), null);
+  assert.equal(store.latestInThread('C2', '111.1'), null);
+
+  // Deleted results are no longer refined
+  await store.update(edit.id, { deletedAt: new Date().toISOString() });
+  assert.equal(store.latestInThread('C1', '111.1').id, first.id);
+});
+
+test('unfinished lists jobs a previous process left behind until they are recovered', async () => {
+  const { store, filePath } = await tempStore();
+  const queued = await store.create({ user: 'U1', createdAt: '2025-01-01T00:00:00.000Z' });
+  const running = await store.create({ user: 'U1', createdAt: '2025-01-02T00:00:00.000Z' });
+  const done = await store.create({ user: 'U1' });
+  await store.markStarted(running.id);
+  await store.markFinished(done.id, {});
+
+  const interrupted = await store.markInterrupted(running.id);
+  assert.equal(interrupted.status, 'interrupted');
+  assert.equal(interrupted.interruptedBy, 'shutdown');
+
+  const reloaded = createJobStore(filePath);
+  await reloaded.load();
+  assert.deepEqual(reloaded.unfinished().map(job => job.id), [queued.id, running.id]);
+
+  await reloaded.update(running.id, { recovery: 'resumed' });
+  assert.deepEqual(reloaded.unfinished().map(job => job.id), [queued.id]);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { mkdtemp } from 'fs/promises';
+import pino from 'pino';
+import { buildApp } from '../app.js';
+import { computeSlackSignature } from '../slack-verify.js';
+import { jobLogBindings, loggerOptions } from '../logging.js';
+
+// A pino logger that collects parsed lines
+function captureLogger(level = 'debug') {
+  const lines = [];
+  const logger = pino(loggerOptions(level), { write: (line) => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+}
+
+test('secrets and whole bodies are redacted', () => {
+  const { logger, lines } = captureLogger();
+  logger.info({
+    req: { method: 'POST', url: '/slack/image', headers: { authorization: 'Bearer secret-token', 'x-slack-signature': 'v0=abc' } },
+    body: { token: 'xoxb-1', text: 'hello' },
+    provider: { apiKey: 'AIza-key', model: 'gem-image' },
+    token: 'xoxb-2'
+  }, 'request');
+
+  const [line] = lines;
+  assert.equal(line.req.headers.authorization, '[redacted]');
+  assert.equal(line.req.headers['x-slack-signature'], '[redacted]');
+  assert.equal(line.req.url, '/slack/image');
+  assert.equal(line.body, '[redacted]');
+  assert.equal(line.provider.apiKey, '[redacted]');
+  assert.equal(line.provider.model, 'gem-image');
+  assert.equal(line.token, '[redacted]');
+});
+
+test('job bindings tie every line of a child logger to the job', () => {
+  const { logger, lines } = captureLogger();
+  const job = { id: 'job-1', user: 'U1', channel: 'C1', command: '/tmai', prompt: 'surfing' };
+  logger.child(jobLogBindings(job)).info({ attempt: 2 }, 'retrying');
+
+  assert.deepEqual(jobLogBindings(job), { jobId: 'job-1', user: 'U1', channel: 'C1', command: '/tmai' });
+  assert.equal(lines[0].jobId, 'job-1');
+  assert.equal(lines[0].command, '/tmai');
+  assert.equal(lines[0].attempt, 2);
+});
+
+test('the Events API envelope is logged without the event it carries', async (t) => {
+  const { logger, lines } = captureLogger();
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'mascot-logging-'));
+  const app = await buildApp({
+    logger,
+    env: {
+      IMAGE_SLACK_BOT_TOKEN: 'xoxb-image',
+      IMAGE_SLACK_SIGNING_SECRET: 'image-secret',
+      IMAGE_SLACK_BOT_USER_ID: 'UBOT',
+      TMAI_SLACK_BOT_TOKEN: 'xoxb-tmai',
+      TMAI_SLACK_SIGNING_SECRET: 'tmai-secret',
+      IMAGE_PROVIDER: 'mock',
+      OUTPUT_DIR: path.join(dir, 'images'),
+      JOBS_FILE: path.join(dir, 'jobs.jsonl'),
+      RATE_LIMITS_FILE: path.join(dir, 'rate-limits.json'),
+      USAGE_FILE: path.join(dir, 'usage.jsonl')
+    },
+    slackClients: {}
+  });
+  t.after(() => app.close());
+
+  const payload = JSON.stringify({
+    type: 'event_callback',
+    token: 'verification-token',
+    team_id: 'T1',
+    event_id: 'EvSecret',
+    authorizations: [{ user_id: 'UAUTHORIZED', is_bot: true }],
+    event_context: '4-eyJldCI6Im1lc3NhZ2UifQ',
+    event: { type: 'message', user: 'U1', channel: 'C9', text: 'our unreleased launch plans', ts: '1.1', event_ts: '1.1' }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  await app.inject({
+    method: 'POST',
+    url: '/slack/image',
+    payload,
+    headers: {
+      'content-type': 'application/json',
+      'x-slack-request-timestamp': String(timestamp),
+      'x-slack-signature': computeSlackSignature('image-secret', timestamp, payload)
+    }
+  });
+
+  const envelope = lines.find(line => line.msg === 'Events API request envelope');
+  assert.ok(envelope);
+  assert.equal(envelope.eventId, 'EvSecret');
+  assert.equal(envelope.teamId, 'T1');
+  const logged = JSON.stringify(lines);
+  for (const secret of ['our unreleased launch plans', 'verification-token', 'eyJldCI6Im1lc3NhZ2UifQ', 'UAUTHORIZED']) {
+    assert.ok(!logged.includes(secret), secret);
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { createLogoOverlay, deriveDarkLogo, logoPlacement } from '../logo-overlay.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOGO = path.join(__dirname, '..', 'TM_logo_primary_white.png');
+
+const solid = (background, width = 800, height = 450) =>
+  sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+
+test('logoPlacement positions the logo in each corner with the margin', () => {
+  const image = { width: 1000, height: 500 };
+  const logo = { logoWidth: 200, logoHeight: 100 };
+
+  assert.deepEqual(logoPlacement(image, logo, { corner: 'top-left', scale: 0.2, margin: 0.04 }), { width: 200, height: 100, left: 20, top: 20 });
+  assert.deepEqual(logoPlacement(image, logo, { corner: 'bottom-right', scale: 0.2, margin: 0.04 }), { width: 200, height: 100, left: 780, top: 380 });
+  assert.deepEqual(logoPlacement(image, logo, { corner: 'top-right', scale: 0.1, margin: 0 }), { width: 100, height: 50, left: 900, top: 0 });
+});
+
+test('the dark variant turns the white wordmark navy', async () => {
+  const dark = await deriveDarkLogo(await sharp(LOGO).toBuffer());
+  const { data } = await sharp(dark).raw().toBuffer({ resolveWithObject: true });
+
+  let whitePixels = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] > 128 && data[i] > 230 && data[i + 1] > 230 && data[i + 2] > 230) {
+      whitePixels++;
+    }
+  }
+  assert.equal(whitePixels, 0);
+});
+
+test('the variant follows the brightness behind the logo', async () => {
+  const overlay = createLogoOverlay({ lightLogoPath: LOGO });
+
+  const onDark = await overlay.apply(await solid('#101010'));
+  const onLight = await overlay.apply(await solid('#f5f5f5'));
+
+  assert.equal(onDark.variant, 'light');
+  assert.equal(onLight.variant, 'dark');
+});
+
+test('apply is deterministic, keeps the size and only touches the logo corner', async () => {
+  const overlay = createLogoOverlay({ lightLogoPath: LOGO, corner: 'bottom-right' });
+  const base = await solid('#3366cc');
+
+  const first = await overlay.apply(base);
+  const second = await overlay.apply(base);
+  assert.ok(first.buffer.equals(second.buffer));
+
+  const { width, height, format } = await sharp(first.buffer).metadata();
+  assert.deepEqual({ width, height, format }, { width: 800, height: 450, format: 'png' });
+
+  // The opposite corner is untouched
+  const { data } = await sharp(first.buffer).extract({ left: 0, top: 0, width: 10, height: 10 }).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([...data.subarray(0, 3)], [0x33, 0x66, 0xcc]);
+  assert.equal(first.placement.left + first.placement.width, 800 - Math.round(450 * 0.04));
+});
+
+test('the prompt instruction names the configured corner', () => {
+  const overlay = createLogoOverlay({ lightLogoPath: LOGO, corner: 'top-right' });
+  assert.match(overlay.promptInstruction(), /Leave the top-right corner \(about 20% of the image width\)/);
+  assert.match(overlay.promptInstruction({ corner: 'bottom-left', scale: 0.15 }), /bottom-left corner \(about 15%/);
+});
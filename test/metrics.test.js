@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry, instrumentSlackClient } from '../metrics.js';
+
+test('counters and gauges render in the Prometheus text format', () => {
+  const registry = createMetricsRegistry({ prefix: 'app_' });
+  const failures = registry.counter({ name: 'failures_total', help: 'Failures', labelNames: ['method'] });
+  registry.gauge({ name: 'depth', help: 'Queue depth', collect: () => 3 });
+
+  failures.inc({ method: 'chat.postMessage' });
+  failures.inc({ method: 'chat.postMessage' }, 2);
+  failures.inc({ method: 'say "hi"\n' });
+
+  assert.equal(registry.render(), [
+    '# HELP app_failures_total Failures',
+    '# TYPE app_failures_total counter',
+    'app_failures_total{method="chat.postMessage"} 3',
+    'app_failures_total{method="say \\"hi\\"\\n"} 1',
+    '# HELP app_depth Queue depth',
+    '# TYPE app_depth gauge',
+    'app_depth 3',
+    ''
+  ].join('\n'));
+});
+
+test('histograms count observations into cumulative buckets', () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['provider'], buckets: [1, 5] });
+
+  latency.observe({ provider: 'gemini' }, 0.5);
+  latency.observe({ provider: 'gemini' }, 3);
+  latency.observe({ provider: 'gemini' }, 30);
+
+  const lines = registry.render().split('\n');
+  assert.ok(lines.includes('latency_seconds_bucket{provider="gemini",le="1"} 1'));
+  assert.ok(lines.includes('latency_seconds_bucket{provider="gemini",le="5"} 2'));
+  assert.ok(lines.includes('latency_seconds_bucket{provider="gemini",le="+Inf"} 3'));
+  assert.ok(lines.includes('latency_seconds_sum{provider="gemini"} 33.5'));
+  assert.ok(lines.includes('latency_seconds_count{provider="gemini"} 3'));
+});
+
+test('unknown labels and duplicate names are programming errors', () => {
+  const registry = createMetricsRegistry();
+  const counter = registry.counter({ name: 'events_total', help: 'Events', labelNames: ['kind'] });
+  assert.throws(() => counter.inc({ other: 'x' }), /has no label "other"/);
+  assert.throws(() => registry.gauge({ name: 'events_total', help: 'Again' }), /already registered/);
+});
+
+test('instrumentSlackClient reports failed calls by method and passes results through', async () => {
+  const failures = [];
+  const client = instrumentSlackClient({
+    chat: {
+      postMessage: async (args) => ({ ok: true, ts: '1.2', args }),
+      update: async () => { throw new Error('message_not_found'); }
+    }
+  }, (method, error) => failures.push([method, error.message]));
+
+  assert.equal((await client.chat.postMessage({ text: 'hi' })).ts, '1.2');
+  await assert.rejects(client.chat.update({}), /message_not_found/);
+  assert.deepEqual(failures, [['chat.update', 'message_not_found']]);
+});
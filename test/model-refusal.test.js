@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { genAIRefusal, ModelRefusalError, refusalMessage } from '../model-refusal.js';
+
+test('genAIRefusal tells blocked, text-only and empty answers apart', () => {
+  const promptBlocked = genAIRefusal({ promptFeedback: { blockReason: 'PROHIBITED_CONTENT' } });
+  assert.ok(promptBlocked instanceof ModelRefusalError);
+  assert.equal(promptBlocked.reason, 'blocked');
+  assert.equal(promptBlocked.finishReason, 'PROHIBITED_CONTENT');
+
+  const imageBlocked = genAIRefusal({
+    candidates: [{
+      finishReason: 'STOP',
+      content: { parts: [{ text: 'I can\'t depict that.' }] },
+      safetyRatings: [{ category: 'HARM_CATEGORY_HATE_SPEECH', probability: 'HIGH' }, { category: 'HARM_CATEGORY_HARASSMENT', probability: 'LOW' }]
+    }]
+  });
+  assert.equal(imageBlocked.reason, 'blocked');
+  assert.deepEqual(imageBlocked.blockedCategories, ['HARM_CATEGORY_HATE_SPEECH']);
+
+  const textOnly = genAIRefusal({ candidates: [{ finishReason: 'STOP', content: { parts: [{ text: 'thinking', thought: true }, { text: ' Which mascot? ' }] } }] });
+  assert.equal(textOnly.reason, 'text');
+  assert.equal(textOnly.text, 'Which mascot?');
+  assert.match(textOnly.message, /^No image data found in response \(finish reason STOP\): Which mascot\?$/);
+
+  assert.equal(genAIRefusal({ candidates: [] }).reason, 'empty');
+  assert.equal(genAIRefusal(undefined).reason, 'empty');
+});
+
+test('refusalMessage quotes the model and suggests rephrasing', () => {
+  const message = refusalMessage({ reason: 'blocked', text: 'Line one\nLine two', blockedCategories: ['HARM_CATEGORY_DANGEROUS_CONTENT', 'HARM_CATEGORY_NEW_THING'] });
+  const lines = message.split('\n');
+  assert.equal(lines[0], '🙅 The image model blocked this request (dangerous content, new thing).');
+  assert.deepEqual(lines.slice(1, 4), ['It said:', '> Line one', '> Line two']);
+  assert.equal(lines[4], '*Try rephrasing:*');
+  assert.ok(lines.slice(5).every(line => line.startsWith('• ')));
+
+  assert.doesNotMatch(refusalMessage({ reason: 'empty' }), /It said/);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { parsePodiumCsv, parsePodiumText, podiumScenePlacement, renderPodiumOverlay, validatePodium, PodiumError } from '../podium.js';
+
+test('inline podiums split the title from comma or pipe separated names', () => {
+  assert.deepEqual(parsePodiumText('Top L1s | Ethereum, Solana , Cardano'), { title: 'Top L1s', names: ['Ethereum', 'Solana', 'Cardano'] });
+  assert.deepEqual(parsePodiumText('Top Funds | Fund A, LLC | Fund B | Fund C'), { title: 'Top Funds', names: ['Fund A, LLC', 'Fund B', 'Fund C'] });
+  assert.deepEqual(parsePodiumText('Just a title'), { title: 'Just a title', names: [] });
+});
+
+test('validatePodium strips list numbering and enforces 3-10 names', () => {
+  assert.deepEqual(validatePodium({ title: '  Top  DEXs ', names: ['1. Uniswap', '#2 Curve', '3) Balancer', '1inch'] }), {
+    title: 'Top DEXs',
+    names: ['Uniswap', 'Curve', 'Balancer', '1inch']
+  });
+
+  assert.throws(() => validatePodium({ title: '', names: ['a', 'b', 'c'] }), PodiumError);
+  assert.throws(() => validatePodium({ title: 'T', names: ['a', 'b'] }), /needs 3-10 names, got 2/);
+  assert.throws(() => validatePodium({ title: 'T', names: Array.from({ length: 11 }, (_, i) => `n${i}`) }), /got 11/);
+  assert.throws(() => validatePodium({ title: 'T', names: ['a', 'b', 'x'.repeat(61)] }), /too long for a label/);
+});
+
+test('CSV names come in rank order from any of the common layouts', () => {
+  assert.deepEqual(parsePodiumCsv('Ethereum\nSolana\r\nCardano\n'), ['Ethereum', 'Solana', 'Cardano']);
+  assert.deepEqual(parsePodiumCsv('3,Cardano\n1,Ethereum\n2,Solana'), ['Ethereum', 'Solana', 'Cardano']);
+  assert.deepEqual(parsePodiumCsv('name,rank,score\n"Fund B, LLC",2,80\nFund A,1,99\n"The ""C"" Fund",3,70'), ['Fund A', 'Fund B, LLC', 'The "C" Fund']);
+  assert.throws(() => parsePodiumCsv('rank,name\nfirst,Ethereum'), /isn't a rank number/);
+  assert.throws(() => parsePodiumCsv('\n\n'), /empty/);
+});
+
+test('the scene prompt describes one platform per name', () => {
+  assert.doesNotMatch(podiumScenePlacement(3), /4th/);
+  assert.match(podiumScenePlacement(10), /4th to 10th place: 7 smaller platforms/);
+});
+
+test('renderPodiumOverlay places every label inside the image and keeps the format', async () => {
+  const scene = await sharp({ create: { width: 1024, height: 576, channels: 3, background: '#223355' } }).jpeg().toBuffer();
+  const names = ['Amazon Web Services (AWS) Global Infrastructure', 'Azure', 'GCP', 'IBM', 'Oracle', 'Alibaba', 'Tencent', 'DigitalOcean', 'Vultr', 'Linode'];
+
+  const first = await renderPodiumOverlay(scene, { title: 'Top 10 Cloud Providers', names });
+  const second = await renderPodiumOverlay(scene, { title: 'Top 10 Cloud Providers', names });
+  assert.ok(first.buffer.equals(second.buffer));
+
+  const { width, height, format } = await sharp(first.buffer).metadata();
+  assert.deepEqual({ width, height, format }, { width: 1024, height: 576, format: 'jpeg' });
+
+  assert.equal(first.labels.length, 10);
+  for (const label of first.labels) {
+    assert.ok(label.left >= 0 && label.top >= 0, `${label.name} starts inside the image`);
+    assert.ok(label.left + label.width <= 1024 && label.top + label.height <= 576, `${label.name} ends inside the image`);
+  }
+
+  // First place is centred near the top, second and third sit left and right of it
+  const [gold, silver, bronze] = first.labels;
+  assert.ok(Math.abs(gold.left + gold.width / 2 - 512) <= 1);
+  assert.ok(silver.left + silver.width / 2 < 512 && bronze.left + bronze.width / 2 > 512);
+  assert.ok(gold.top < silver.top);
+});
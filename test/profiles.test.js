@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { mkdtemp, writeFile } from 'fs/promises';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { loadProfiles, normalizeProfile, renderPromptTemplate, isChannelAllowed, ratioDimensions } from '../profiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+test('bundled profiles load with their commands and routes', async () => {
+  const profiles = await loadProfiles(PROFILES_DIR);
+
+  assert.deepEqual(profiles.get('tmai').commands, ['/tmai', '/test-tmai']);
+  assert.equal(profiles.get('tmai').route, '/tmai-gen');
+  assert.equal(profiles.get('ian').route, '/ian-gen');
+  assert.equal(profiles.get('freeform').route, null);
+  assert.equal(profiles.get('freeform').bot, 'image');
+});
+
+test('renderPromptTemplate fills known placeholders and leaves unknown ones', () => {
+  assert.equal(
+    renderPromptTemplate('TMAI {{prompt}} at {{ ratio }} {{missing}}', { prompt: 'surfing', ratio: '1:1' }),
+    'TMAI surfing at 1:1 {{missing}}'
+  );
+});
+
+test('normalizeProfile applies defaults and rejects bad profiles', () => {
+  const profile = normalizeProfile({ id: 'owl', commands: ['/owl'], promptTemplate: 'An owl {{prompt}}' }, 'owl.js');
+  assert.equal(profile.route, '/owl-gen');
+  assert.equal(profile.defaultRatio, '16:9');
+  assert.deepEqual(profile.allowedChannels, ['*']);
+
+  assert.throws(() => normalizeProfile({ promptTemplate: 'x' }, 'bad.js'), /needs a lowercase "id"/);
+  assert.throws(() => normalizeProfile({ id: 'owl' }, 'owl.js'), /promptTemplate/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', defaultRatio: '7:3' }, 'owl.js'), /defaultRatio/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', bot: 'other' }, 'owl.js'), /unknown bot/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', provider: 42 }, 'owl.js'), /invalid provider/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', logo: { corner: 'middle' } }, 'owl.js'), /unknown logo corner/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', rateLimit: { perDay: -1 } }, 'owl.js'), /invalid rateLimit.perDay/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', logo: { scale: 2 } }, 'owl.js'), /invalid logo scale/);
+  assert.throws(() => normalizeProfile({ id: 'owl', promptTemplate: 'x', deniedChannels: ['#general'] }, 'owl.js'), /invalid deniedChannels/);
+
+  assert.equal(profile.logo, null);
+  assert.deepEqual(normalizeProfile({ id: 'owl', promptTemplate: 'x', logo: true }, 'owl.js').logo, {});
+});
+
+test('loadProfiles rejects two profiles claiming the same command', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+  await writeFile(path.join(dir, 'a.js'), "export default { id: 'a', commands: ['/same'], promptTemplate: 'a' };");
+  await writeFile(path.join(dir, 'b.js'), "export default { id: 'b', commands: ['/same'], promptTemplate: 'b' };");
+
+  await assert.rejects(loadProfiles(dir), /claimed by both a and b/);
+});
+
+test('isChannelAllowed honours the profile channel list', () => {
+  assert.equal(isChannelAllowed({ allowedChannels: ['*'] }, 'C1'), true);
+  assert.equal(isChannelAllowed({ allowedChannels: ['C1'] }, 'C1'), true);
+  assert.equal(isChannelAllowed({ allowedChannels: ['C1'] }, 'C2'), false);
+  assert.equal(isChannelAllowed({ allowedChannels: ['*'], deniedChannels: ['dm:*'] }, 'D1'), false);
+  assert.equal(isChannelAllowed({ allowedChannels: ['*'], deniedChannels: ['private:*'] }, { id: 'C3', type: 'private' }), false);
+  assert.equal(isChannelAllowed({ allowedChannels: ['$TARGET_CHANNEL'], deniedChannels: [] }, 'C2', { TARGET_CHANNEL: ['C1', 'C2'] }), true);
+});
+
+test('ratioDimensions scales the long side to the ratio', () => {
+  assert.deepEqual(ratioDimensions('16:9'), { width: 1024, height: 576 });
+  assert.deepEqual(ratioDimensions('3:4', 800), { width: 600, height: 800 });
+  assert.deepEqual(ratioDimensions('1:1', 512), { width: 512, height: 512 });
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { createImageProviders, resolveProvider } from '../providers.js';
+import { createGenAIImageProvider } from '../providers/gemini.js';
+import { createOpenAIProvider, openAISize } from '../providers/openai.js';
+import { createMockProvider } from '../providers/mock.js';
+
+test('only providers with credentials are created, mock always is', () => {
+  assert.deepEqual([...createImageProviders({}).keys()], ['mock']);
+  assert.deepEqual(
+    [...createImageProviders({ GEMINI_API_KEY: 'g', OPENAI_API_KEY: 'o', VERTEX_PROJECT: 'p' }).keys()],
+    ['gemini', 'vertex', 'openai', 'mock']
+  );
+});
+
+test('resolveProvider prefers the request, then the profile, then the default', () => {
+  const providers = createImageProviders({ GEMINI_API_KEY: 'g' });
+
+  assert.equal(resolveProvider(providers, { defaultProvider: 'gemini' }).id, 'gemini');
+  assert.equal(resolveProvider(providers, { profile: { provider: 'mock' }, defaultProvider: 'gemini' }).id, 'mock');
+  assert.equal(resolveProvider(providers, { requested: 'gemini', profile: { provider: 'mock' } }).id, 'gemini');
+
+  assert.throws(() => resolveProvider(providers, { requested: 'openai' }), /"openai" is not configured/);
+  assert.throws(() => resolveProvider(providers, { requested: 'dalle' }), /"dalle" is unknown/);
+});
+
+test('mock provider is deterministic and sized to the ratio', async () => {
+  const mock = createMockProvider();
+  const first = await mock.generate({ prompt: 'surfing', ratio: '16:9' });
+  const second = await mock.generate({ prompt: 'surfing', ratio: '16:9' });
+  const other = await mock.generate({ prompt: 'skiing', ratio: '16:9' });
+
+  assert.ok(first.buffer.equals(second.buffer));
+  assert.ok(!first.buffer.equals(other.buffer));
+
+  const { width, height } = await sharp(first.buffer).metadata();
+  assert.deepEqual({ width, height }, { width: 512, height: 288 });
+});
+
+test('genai provider sends references before the prompt and unwraps the inline image', async () => {
+  let request;
+  const client = {
+    models: {
+      generateContent: async (params) => {
+        request = params;
+        return { candidates: [{ content: { parts: [{ text: 'here you go' }, { inlineData: { data: Buffer.from('png').toString('base64'), mimeType: 'image/png' } }] } }] };
+      }
+    }
+  };
+
+  const provider = createGenAIImageProvider({ id: 'gemini', client, model: 'test-model' });
+  const result = await provider.generate({ prompt: 'surfing', ratio: '1:1', images: [{ buffer: Buffer.from('ref'), mimeType: 'image/png' }] });
+
+  assert.equal(result.buffer.toString(), 'png');
+  assert.equal(request.model, 'test-model');
+  assert.deepEqual(request.config.imageConfig, { aspectRatio: '1:1' });
+  assert.equal(request.contents[0].inlineData.data, Buffer.from('ref').toString('base64'));
+  assert.deepEqual(request.contents[1], { text: 'surfing' });
+});
+
+test('genai provider passes --size through as imageSize', async () => {
+  let request;
+  const client = { models: { generateContent: async (params) => { request = params; return { candidates: [{ content: { parts: [{ inlineData: { data: 'AA==' } }] } }] }; } } };
+  const provider = createGenAIImageProvider({ id: 'gemini', client, model: 'test-model' });
+
+  await provider.generate({ prompt: 'x', ratio: '21:9', size: '2K' });
+  assert.deepEqual(request.config.imageConfig, { aspectRatio: '21:9', imageSize: '2K' });
+});
+
+test('mock provider renders the requested size', async () => {
+  const { buffer } = await createMockProvider().generate({ prompt: 'x', ratio: '1:1', size: '2K' });
+  const { width, height } = await sharp(buffer).metadata();
+  assert.deepEqual({ width, height }, { width: 2048, height: 2048 });
+});
+
+test('genai provider fails when no image comes back', async () => {
+  const client = { models: { generateContent: async () => ({ candidates: [{ content: { parts: [{ text: 'no' }] } }] }) } };
+  const provider = createGenAIImageProvider({ id: 'gemini', client, model: 'test-model' });
+  await assert.rejects(provider.generate({ prompt: 'x', ratio: '1:1' }), /No image data/);
+});
+
+test('openai provider uses generations without references and edits with them', async () => {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, options });
+    return { ok: true, json: async () => ({ data: [{ b64_json: Buffer.from('img').toString('base64') }] }) };
+  };
+  const provider = createOpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+  const generated = await provider.generate({ prompt: 'surfing', ratio: '16:9' });
+  assert.equal(generated.buffer.toString(), 'img');
+  assert.match(calls[0].url, /\/images\/generations$/);
+  assert.equal(JSON.parse(calls[0].options.body).size, '1536x1024');
+
+  await provider.generate({ prompt: 'surfing', ratio: '9:16', images: [{ buffer: Buffer.from('ref'), mimeType: 'image/png' }] });
+  assert.match(calls[1].url, /\/images\/edits$/);
+  assert.equal(calls[1].options.body.get('size'), '1024x1536');
+  assert.equal(calls[1].options.body.getAll('image[]').length, 1);
+});
+
+test('openai errors keep the HTTP status for retries', async () => {
+  const fetchImpl = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable', json: async () => ({ error: { message: 'overloaded' } }) });
+  const provider = createOpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+  await assert.rejects(provider.generate({ prompt: 'x', ratio: '1:1' }), (error) => error.status === 503 && /overloaded/.test(error.message));
+  assert.equal(openAISize('1:1'), '1024x1024');
+});
+
+test('providers pass the abort signal to their requests and keep Retry-After', async () => {
+  const signal = new AbortController().signal;
+  let fetchOptions;
+  const fetchImpl = async (url, options) => {
+    fetchOptions = options;
+    return { ok: false, status: 429, statusText: 'Too Many Requests', headers: new Headers({ 'retry-after': '12' }), json: async () => ({}) };
+  };
+  await assert.rejects(createOpenAIProvider({ apiKey: 'sk-test', fetchImpl }).generate({ prompt: 'x', ratio: '1:1', signal }), (error) => error.retryAfter === '12');
+  assert.equal(fetchOptions.signal, signal);
+
+  let request;
+  const client = { models: { generateContent: async (params) => { request = params; return { candidates: [{ content: { parts: [{ inlineData: { data: 'AA==' } }] } }] }; } } };
+  await createGenAIImageProvider({ id: 'gemini', client, model: 'test-model' }).generate({ prompt: 'x', ratio: '1:1', signal });
+  assert.equal(request.config.abortSignal, signal);
+});
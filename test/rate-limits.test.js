@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { mkdtemp, readFile } from 'fs/promises';
+import { createRateLimiter, parseLimit, rateLimitMessage } from '../rate-limits.js';
+
+async function createLimiter(startAt = '2025-11-10T12:00:00Z') {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'rate-limits-'));
+  const clock = { now: new Date(startAt) };
+  const filePath = path.join(dir, 'rate-limits.json');
+  const limiter = createRateLimiter({ filePath, now: () => clock.now });
+  await limiter.load();
+  return { limiter, clock, filePath };
+}
+
+const advance = (clock, ms) => { clock.now = new Date(clock.now.getTime() + ms); };
+const user = (limits) => ({ scope: 'user', id: 'U1', label: 'for you', perMinute: 0, perDay: 0, ...limits });
+
+test('parseLimit accepts whole numbers only', () => {
+  assert.equal(parseLimit('0'), 0);
+  assert.equal(parseLimit(' 25 '), 25);
+  assert.equal(parseLimit('-1'), null);
+  assert.equal(parseLimit('1.5'), null);
+  assert.equal(parseLimit(''), null);
+});
+
+test('the per-minute bucket refills continuously', async () => {
+  const { limiter, clock } = await createLimiter();
+  const subjects = [user({ perMinute: 2 })];
+
+  assert.equal((await limiter.take(subjects)).allowed, true);
+  assert.equal((await limiter.take(subjects)).allowed, true);
+
+  const refused = await limiter.take(subjects);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.blockedBy.window, 'minute');
+  assert.equal(refused.retryAt.getTime() - clock.now.getTime(), 30 * 1000);
+
+  advance(clock, 30 * 1000);
+  assert.equal((await limiter.take(subjects)).allowed, true);
+});
+
+test('a request bigger than the bucket waits for a full bucket instead of never running', async () => {
+  const { limiter } = await createLimiter();
+  assert.equal((await limiter.take([user({ perMinute: 2 })], 4)).allowed, true);
+});
+
+test('daily quotas count images and reset at midnight', async () => {
+  const { limiter, clock } = await createLimiter();
+  const subjects = [user({ perDay: 3 })];
+
+  const first = await limiter.take(subjects, 2);
+  assert.deepEqual(first.quotas, [{ scope: 'user', label: 'for you', perDay: 3, usedToday: 2, remainingToday: 1 }]);
+
+  const refused = await limiter.take(subjects, 2);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.blockedBy.window, 'day');
+  assert.equal(refused.retryAt.toISOString(), '2025-11-11T00:00:00.000Z');
+  assert.equal(refused.quotas[0].remainingToday, 1);
+
+  advance(clock, 12 * 60 * 60 * 1000);
+  assert.equal((await limiter.take(subjects, 3)).allowed, true);
+});
+
+test('nothing is charged unless every subject allows the request', async () => {
+  const { limiter } = await createLimiter();
+  const channel = { scope: 'channel', id: 'C1', label: 'in this channel', perMinute: 0, perDay: 1 };
+
+  await limiter.take([channel]);
+  const refused = await limiter.take([user({ perDay: 2 }), channel]);
+  assert.equal(refused.blockedBy.scope, 'channel');
+
+  // The user's quota was untouched by the refused request
+  assert.equal((await limiter.take([user({ perDay: 2 })], 2)).allowed, true);
+});
+
+test('counters survive a restart', async () => {
+  const { limiter, clock, filePath } = await createLimiter();
+  await limiter.take([user({ perDay: 5 })], 4);
+
+  const restarted = createRateLimiter({ filePath, now: () => clock.now });
+  assert.equal(await restarted.load(), 1);
+  assert.equal((await restarted.take([user({ perDay: 5 })], 2)).allowed, false);
+  assert.ok(JSON.parse(await readFile(filePath, 'utf8'))['user:U1']);
+});
+
+test('rateLimitMessage shows the remaining quota and when it resets', async () => {
+  const { limiter } = await createLimiter();
+  await limiter.take([user({ perMinute: 1, perDay: 10 })]);
+  const message = rateLimitMessage(await limiter.take([user({ perMinute: 1, perDay: 10 })]));
+
+  assert.match(message, /more than 1 image a minute for you/);
+  assert.match(message, /9 of 10 images left today for you/);
+  assert.match(message, /<!date\^\d+\^/);
+});
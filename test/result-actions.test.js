@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildResultActionBlocks, buildRetryBlocks, parseResultAction, uploadedFileIds, RESULT_ACTIONS } from '../result-actions.js';
+
+const job = { id: 'job-1', flags: { ratio: '1:1' } };
+
+test('action blocks carry the job id and skip the current ratio', () => {
+  const [block] = buildResultActionBlocks(job, ['1:1', '16:9', '9:16']);
+  const byAction = Object.fromEntries(block.elements.map(element => [element.action_id, element]));
+
+  assert.equal(byAction[RESULT_ACTIONS.regenerate].value, 'job-1');
+  assert.equal(byAction[RESULT_ACTIONS.moreLikeThis].value, 'job-1');
+  assert.equal(byAction[RESULT_ACTIONS.delete].style, 'danger');
+  assert.ok(byAction[RESULT_ACTIONS.delete].confirm);
+  assert.deepEqual(byAction[RESULT_ACTIONS.changeRatio].options.map(option => option.value), ['job-1|16:9', 'job-1|9:16']);
+});
+
+test('action blocks can be limited to some actions', () => {
+  const [block] = buildResultActionBlocks(job, ['1:1', '16:9'], { actions: [RESULT_ACTIONS.delete] });
+  assert.deepEqual(block.elements.map(element => element.action_id), [RESULT_ACTIONS.delete]);
+});
+
+test('retry blocks explain what happened and carry the job id', () => {
+  const [section, actions] = buildRetryBlocks(job, 'Sorry, I restarted');
+  assert.equal(section.text.text, 'Sorry, I restarted');
+  assert.deepEqual(actions.elements.map(element => [element.action_id, element.value]), [[RESULT_ACTIONS.retry, 'job-1']]);
+  assert.deepEqual(parseResultAction({ actions: actions.elements }), { action: RESULT_ACTIONS.retry, jobId: 'job-1' });
+});
+
+test('block_actions payloads parse back into actions', () => {
+  assert.deepEqual(
+    parseResultAction({ actions: [{ action_id: RESULT_ACTIONS.regenerate, value: 'job-1' }] }),
+    { action: RESULT_ACTIONS.regenerate, jobId: 'job-1' }
+  );
+  assert.deepEqual(
+    parseResultAction({ actions: [{ action_id: RESULT_ACTIONS.changeRatio, selected_option: { value: 'job-1|16:9' } }] }),
+    { action: RESULT_ACTIONS.changeRatio, jobId: 'job-1', ratio: '16:9' }
+  );
+  assert.equal(parseResultAction({ actions: [] }), null);
+});
+
+test('uploaded file ids are collected from a files.uploadV2 response', () => {
+  const response = { files: [{ files: [{ id: 'F1' }, { id: 'F2' }] }, { files: [{ id: 'F3' }] }] };
+  assert.deepEqual(uploadedFileIds(response), ['F1', 'F2', 'F3']);
+  assert.deepEqual(uploadedFileIds(undefined), []);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, GenerationError, retryAfterMs, runWithRetries, RETRY_POLICIES } from '../retry-policy.js';
+import { ModelRefusalError } from '../model-refusal.js';
+
+// Same classes and attempt counts, without the waiting
+const FAST_POLICIES = Object.fromEntries(Object.entries(RETRY_POLICIES).map(([errorClass, policy]) => [errorClass, { ...policy, baseDelayMs: 1, maxDelayMs: 1 }]));
+
+const httpError = (status, message, fields = {}) => Object.assign(new Error(message), { status, ...fields });
+
+test('classifyError sorts provider failures into classes', () => {
+  const cases = [
+    [httpError(429, '{"error":{"code":429,"status":"RESOURCE_EXHAUSTED"}}'), 'rate_limit'],
+    [httpError(503, '503 UNAVAILABLE: The model is overloaded'), 'overloaded'],
+    [httpError(500, 'OpenAI 500: Internal error'), 'overloaded'],
+    [Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }), 'network'],
+    [Object.assign(new Error('Provider request timed out after 120s'), { name: 'TimeoutError' }), 'timeout'],
+    [httpError(400, 'OpenAI 400: Your request was rejected by the safety system'), 'safety'],
+    [new ModelRefusalError({ reason: 'blocked', finishReason: 'IMAGE_SAFETY' }), 'safety'],
+    [new ModelRefusalError({ reason: 'text', text: 'Which mascot?' }), 'refused'],
+    [httpError(400, '{"error":{"code":400,"message":"Unsupported aspect ratio","status":"INVALID_ARGUMENT"}}'), 'bad_request'],
+    [httpError(403, '{"error":{"status":"PERMISSION_DENIED"}}'), 'auth'],
+    [httpError(400, 'API key not valid. Please pass a valid API key.'), 'auth'],
+    [new Error('No image data found in response'), 'other']
+  ];
+  for (const [error, expected] of cases) {
+    assert.equal(classifyError(error), expected, error.message);
+  }
+});
+
+test('retryAfterMs reads headers, seconds and Google RetryInfo', () => {
+  const now = Date.parse('2025-11-01T00:00:00Z');
+  assert.equal(retryAfterMs({ retryAfter: '7' }), 7000);
+  assert.equal(retryAfterMs({ headers: new Headers({ 'retry-after': 'Sat, 01 Nov 2025 00:00:30 GMT' }) }, now), 30000);
+  assert.equal(retryAfterMs(new Error('{"details":[{"@type":"type.googleapis.com/google.rpc.RetryInfo","retryDelay":"27s"}]}')), 27000);
+  assert.equal(retryAfterMs(new Error('overloaded')), null);
+});
+
+test('retryable classes are retried and the provider\'s Retry-After is honored', async () => {
+  const failures = [httpError(503, 'overloaded'), httpError(429, 'Too many requests', { retryAfter: '0.05' })];
+  const seen = [];
+  const startedAt = Date.now();
+
+  const result = await runWithRetries(async () => {
+    const failure = failures.shift();
+    if (failure) {
+      throw failure;
+    }
+    return 'image';
+  }, { policies: FAST_POLICIES, onError: (error, attempt, willRetry, errorClass) => seen.push([attempt, willRetry, errorClass]) });
+
+  assert.equal(result, 'image');
+  assert.deepEqual(seen, [[1, true, 'overloaded'], [2, true, 'rate_limit']]);
+  assert.ok(Date.now() - startedAt >= 50);
+});
+
+test('classes that are not retried fail at once with a message for the user', async () => {
+  let calls = 0;
+  await assert.rejects(runWithRetries(async () => {
+    calls++;
+    throw httpError(401, 'UNAUTHENTICATED');
+  }, { policies: FAST_POLICIES }), (error) => {
+    assert.ok(error instanceof GenerationError);
+    assert.equal(error.errorClass, 'auth');
+    assert.equal(error.attempts, 1);
+    assert.match(error.message, /rejected our credentials/);
+    assert.equal(error.cause.message, 'UNAUTHENTICATED');
+    return true;
+  });
+  assert.equal(calls, 1);
+});
+
+test('a timed-out attempt is aborted and counts against the timeout policy', async () => {
+  const signals = [];
+  await assert.rejects(runWithRetries((signal) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  }, { policies: FAST_POLICIES, attemptTimeoutMs: 20 }), (error) => error.errorClass === 'timeout' && /took too long/.test(error.message));
+
+  assert.equal(signals.length, RETRY_POLICIES.timeout.maxAttempts);
+  assert.ok(signals.every(signal => signal.aborted));
+});
+
+test('retries stop when the next wait would pass the deadline', async () => {
+  let calls = 0;
+  await assert.rejects(runWithRetries(async () => {
+    calls++;
+    throw httpError(429, 'Too many requests', { retryAfter: '60' });
+  }, { policies: FAST_POLICIES, deadlineMs: 1000 }), (error) => error.errorClass === 'rate_limit' && /try again in 1 min/.test(error.message));
+  assert.equal(calls, 1);
+});
+
+test('aborting the caller\'s signal cancels the attempt and stops retrying', async () => {
+  const controller = new AbortController();
+  let attemptSignal;
+  const running = runWithRetries((signal) => {
+    attemptSignal = signal;
+    return new Promise(() => {});
+  }, { policies: FAST_POLICIES, signal: controller.signal });
+
+  controller.abort(new Error('shutting down'));
+  await assert.rejects(running, /shutting down/);
+  assert.ok(attemptSignal.aborted);
+});
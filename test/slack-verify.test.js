@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import formbody from '@fastify/formbody';
+import {
+  computeSlackSignature,
+  verifySlackSignature,
+  captureRawBody,
+  verifySlackRequest,
+  verifySlackRequestFromAnyBot,
+  MAX_REQUEST_AGE_SECONDS
+} from '../slack-verify.js';
+
+const SECRET = 'test-signing-secret';
+const OTHER_SECRET = 'other-bot-secret';
+
+// Build the headers Slack would send for a body signed with the given secret
+function signedHeaders(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  return {
+    'x-slack-request-timestamp': String(timestamp),
+    'x-slack-signature': computeSlackSignature(secret, timestamp, body)
+  };
+}
+
+async function buildApp() {
+  const app = Fastify();
+  await app.register(formbody);
+  const routeOptions = { preParsing: captureRawBody, preValidation: verifySlackRequest(() => SECRET) };
+  app.post('/slash', routeOptions, async (request) => ({ text: request.body.text }));
+  app.post('/events', routeOptions, async (request) => ({ type: request.body.type }));
+  return app;
+}
+
+test('computeSlackSignature matches the documented Slack example', () => {
+  // Example values from https://api.slack.com/authentication/verifying-requests-from-slack
+  const secret = '8f742231b10e8888abcd99yyyzzz85a5';
+  const timestamp = '1531420618';
+  const body = 'token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&team_domain=testteamnow&channel_id=G8PSS9T3V&channel_name=foobar&user_id=U2CERLKJA&user_name=roadrunner&command=%2Fwebhook-collect&text=&response_url=https%3A%2F%2Fhooks.slack.com%2Fcommands%2FT1DC2JH3J%2F397700885554%2F96rGlfmibIGlgcZRskXaIFfN&trigger_id=398738663015.47445629121.803a0bc887a14d10d2c447fce8b6703c';
+
+  assert.equal(
+    computeSlackSignature(secret, timestamp, body),
+    'v0=a2114d57b48eac39b9ad189dd8316235a7b4a8d21a10bd27519666489c69b503'
+  );
+});
+
+test('verifySlackSignature accepts a correctly signed body', () => {
+  const body = 'command=%2Ftmai&text=hello';
+  const headers = signedHeaders(body);
+
+  const result = verifySlackSignature({
+    signingSecret: SECRET,
+    signature: headers['x-slack-signature'],
+    timestamp: headers['x-slack-request-timestamp'],
+    rawBody: body
+  });
+
+  assert.deepEqual(result, { ok: true });
+});
+
+test('verifySlackSignature rejects a body signed by another bot', () => {
+  const body = 'command=%2Fian&text=hello';
+  const headers = signedHeaders(body, { secret: OTHER_SECRET });
+
+  const result = verifySlackSignature({
+    signingSecret: SECRET,
+    signature: headers['x-slack-signature'],
+    timestamp: headers['x-slack-request-timestamp'],
+    rawBody: body
+  });
+
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /mismatch/);
+});
+
+test('verifySlackSignature rejects timestamps outside the replay window', () => {
+  const body = 'command=%2Ftmai&text=hello';
+  const stale = Math.floor(Date.now() / 1000) - MAX_REQUEST_AGE_SECONDS - 1;
+  const headers = signedHeaders(body, { timestamp: stale });
+
+  const result = verifySlackSignature({
+    signingSecret: SECRET,
+    signature: headers['x-slack-signature'],
+    timestamp: headers['x-slack-request-timestamp'],
+    rawBody: body
+  });
+
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /replay window/);
+});
+
+test('verifySlackSignature rejects missing headers and unconfigured secrets', () => {
+  assert.equal(verifySlackSignature({ signingSecret: SECRET, rawBody: 'x' }).ok, false);
+  assert.equal(verifySlackSignature({ signingSecret: '', signature: 'v0=abc', timestamp: '1', rawBody: 'x' }).ok, false);
+});
+
+test('signed form-encoded slash command passes through to the handler', async () => {
+  const app = await buildApp();
+  const body = 'command=%2Ftmai&text=robot+on+the+moon';
+
+  const response = await app.inject({
+    method: 'POST',
+    url: '/slash',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...signedHeaders(body) },
+    payload: body
+  });
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json(), { text: 'robot on the moon' });
+});
+
+test('signed JSON event passes through to the handler', async () => {
+  const app = await buildApp();
+  const body = JSON.stringify({ type: 'event_callback', event: { type: 'app_mention' } });
+
+  const response = await app.inject({
+    method: 'POST',
+    url: '/events',
+    headers: { 'content-type': 'application/json', ...signedHeaders(body) },
+    payload: body
+  });
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json(), { type: 'event_callback' });
+});
+
+test('unsigned and tampered requests get a 401', async () => {
+  const app = await buildApp();
+  const body = 'command=%2Ftmai&text=robot';
+
+  const unsigned = await app.inject({
+    method: 'POST',
+    url: '/slash',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    payload: body
+  });
+  assert.equal(unsigned.statusCode, 401);
+  assert.equal(unsigned.json().error, 'Invalid Slack signature');
+
+  const tampered = await app.inject({
+    method: 'POST',
+    url: '/slash',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...signedHeaders(body) },
+    payload: `${body}+and+more`
+  });
+  assert.equal(tampered.statusCode, 401);
+});
+
+test('shared endpoints accept either bot and record which one signed', async () => {
+  const app = Fastify();
+  await app.register(formbody);
+  app.post('/shared', {
+    preParsing: captureRawBody,
+    preValidation: verifySlackRequestFromAnyBot(() => ({ image: SECRET, tmai: OTHER_SECRET }))
+  }, async (request) => ({ bot: request.slackBot }));
+
+  const body = 'payload=%7B%7D';
+  const send = (headers) => app.inject({
+    method: 'POST',
+    url: '/shared',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...headers },
+    payload: body
+  });
+
+  assert.deepEqual((await send(signedHeaders(body, { secret: OTHER_SECRET }))).json(), { bot: 'tmai' });
+  assert.deepEqual((await send(signedHeaders(body))).json(), { bot: 'image' });
+  assert.equal((await send(signedHeaders(body, { secret: 'someone-else' }))).statusCode, 401);
+});
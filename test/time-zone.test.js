@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addDays, calendarDateIn, isoDate, isValidTimeZone, nextDailyRun } from '../time-zone.js';
+
+test('calendar dates are read in the requested timezone', () => {
+  // 2025-11-10 03:30 UTC is still November 9 in New York
+  const now = new Date('2025-11-10T03:30:00Z');
+  assert.deepEqual(calendarDateIn('America/New_York', now), { year: 2025, month: 11, day: 9 });
+  assert.deepEqual(calendarDateIn('Asia/Singapore', now), { year: 2025, month: 11, day: 10 });
+  assert.deepEqual(addDays({ year: 2025, month: 12, day: 31 }, 1), { year: 2026, month: 1, day: 1 });
+  assert.equal(isoDate({ year: 2025, month: 3, day: 9 }), '2025-03-09');
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('nextDailyRun picks today or tomorrow in the timezone', () => {
+  const eight = { hour: 8, minute: 0 };
+
+  // 07:00 in New York (EST) - later today
+  assert.equal(nextDailyRun(new Date('2025-11-10T12:00:00Z'), eight, 'America/New_York').toISOString(), '2025-11-10T13:00:00.000Z');
+  // 09:00 in New York - tomorrow
+  assert.equal(nextDailyRun(new Date('2025-11-10T14:00:00Z'), eight, 'America/New_York').toISOString(), '2025-11-11T13:00:00.000Z');
+  // Already November 11 in Singapore
+  assert.equal(nextDailyRun(new Date('2025-11-10T20:00:00Z'), eight, 'Asia/Singapore').toISOString(), '2025-11-11T00:00:00.000Z');
+});
+
+test('nextDailyRun follows daylight saving changes', () => {
+  const eight = { hour: 8, minute: 0 };
+
+  // New York springs forward on 2025-03-09: 08:00 is 13:00Z the day before and 12:00Z after
+  assert.equal(nextDailyRun(new Date('2025-03-08T14:00:00Z'), eight, 'America/New_York').toISOString(), '2025-03-09T12:00:00.000Z');
+  assert.equal(nextDailyRun(new Date('2025-03-08T05:00:00Z'), eight, 'America/New_York').toISOString(), '2025-03-08T13:00:00.000Z');
+});
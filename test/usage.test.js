@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import { mkdtemp } from 'fs/promises';
+import { createUsageLog, estimateCost, formatUsageReport, parsePriceTable, parseSince, summarizeUsage, usageCsv } from '../usage.js';
+
+const call = (fields) => ({ user: 'U1', command: '/tmai', subject: 'tmai', provider: 'gemini', model: 'gem-image', ratio: '1:1', attempt: 1, latencyMs: 1000, ...fields });
+
+test('parsePriceTable reads model and model@size prices', () => {
+  const prices = parsePriceTable(' gem-image=0.134, gem-image@4K=0.24 ,free=0');
+  assert.equal(estimateCost(prices, { model: 'gem-image' }), 0.134);
+  assert.equal(estimateCost(prices, { model: 'gem-image', size: '4K' }), 0.24);
+  assert.equal(estimateCost(prices, { model: 'gem-image', size: '2K' }), 0.134);
+  assert.equal(estimateCost(prices, { model: 'free' }), 0);
+  assert.equal(estimateCost(prices, { model: 'other' }), null);
+
+  assert.throws(() => parsePriceTable('gem-image=cheap'), /must look like model=0.04/);
+});
+
+test('parseSince accepts relative periods and dates', () => {
+  const now = new Date('2025-11-10T12:00:00Z');
+  assert.equal(parseSince('30d', now).toISOString(), '2025-10-11T12:00:00.000Z');
+  assert.equal(parseSince('12h', now).toISOString(), '2025-11-10T00:00:00.000Z');
+  assert.equal(parseSince('1w', now).toISOString(), '2025-11-03T12:00:00.000Z');
+  assert.equal(parseSince('2025-11-01').toISOString(), '2025-11-01T00:00:00.000Z');
+  assert.equal(parseSince('last month'), null);
+});
+
+test('only delivered images are priced and the log survives a restart', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'usage-'));
+  const filePath = path.join(dir, 'usage.jsonl');
+  const clock = { now: new Date('2025-11-01T00:00:00Z') };
+  const log = createUsageLog({ filePath, prices: parsePriceTable('gem-image=0.1'), now: () => clock.now });
+  await log.load();
+
+  const retried = await log.record(call({ outcome: 'retried', error: 'overloaded' }));
+  assert.equal(retried.costUsd, 0);
+  clock.now = new Date('2025-11-05T00:00:00Z');
+  const succeeded = await log.record(call({ attempt: 2, outcome: 'succeeded' }));
+  assert.equal(succeeded.costUsd, 0.1);
+
+  const reloaded = createUsageLog({ filePath });
+  assert.equal(await reloaded.load(), 2);
+  assert.deepEqual(reloaded.list({ since: new Date('2025-11-02T00:00:00Z') }).map(entry => entry.outcome), ['succeeded']);
+});
+
+test('summaries count failed attempts apart from images and cost', () => {
+  const summary = summarizeUsage([
+    call({ outcome: 'retried', error: '503 overloaded', latencyMs: 30000, costUsd: 0 }),
+    call({ attempt: 2, outcome: 'succeeded', costUsd: 0.1 }),
+    call({ user: 'U2', model: 'unknown-model', outcome: 'succeeded', costUsd: null }),
+    call({ user: null, command: 'POST /cutout', outcome: 'failed', error: '503 overloaded', latencyMs: 45000, costUsd: 0 })
+  ]);
+
+  assert.equal(summary.images, 2);
+  assert.equal(summary.costUsd, 0.1);
+  assert.equal(summary.unpriced, 1);
+  assert.equal(summary.retried, 1);
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.byUser.get('U1').failedAttempts, 1);
+  assert.equal(summary.byCommand.get('POST /cutout').images, 0);
+
+  const report = formatUsageReport(summary, { sinceLabel: 'in the last 30d' });
+  assert.match(report, /\*Image usage in the last 30d\*\n2 images, ~\$0\.10, 1 unpriced, 2 failed attempts/);
+  assert.match(report, /1 retried, 1 gave up, 1m 15s spent waiting on them/);
+  assert.match(report, /• 2× 503 overloaded/);
+  assert.match(report, /• <@U1>: 1 image, ~\$0\.10, 1 failed attempt/);
+  assert.match(report, /• HTTP API: 0 images/);
+});
+
+test('usageCsv quotes fields and defuses spreadsheet formulas', () => {
+  const csv = usageCsv([call({ at: '2025-11-01T00:00:00.000Z', outcome: 'failed', error: '=HYPERLINK("x"), bad', costUsd: 0 })]);
+  const [header, row] = csv.trim().split('\n');
+  assert.equal(header, 'at,jobId,user,channel,command,subject,provider,model,size,ratio,width,height,attempt,outcome,error,latencyMs,costUsd');
+  assert.equal(row, '2025-11-01T00:00:00.000Z,,U1,,/tmai,tmai,gemini,gem-image,,1:1,,,1,failed,"\'=HYPERLINK(""x""), bad",1000,0');
+});
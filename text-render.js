@@ -0,0 +1,30 @@
+import sharp from 'sharp';
+
+// Crisp text for overlays, rendered by sharp (Pango) rather than drawn by the image model
+
+// Escape text for Pango markup
+export function escapeMarkup(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Render Pango markup (e.g. '<span foreground="#fff">Hi</span>') as a transparent PNG.
+// font is a Pango description such as 'Arial Bold 32'; fontFile optionally loads a .ttf/.otf first.
+// The result is scaled down, never up, to fit maxWidth. Resolves with { buffer, width, height }.
+export async function renderTextImage(markup, { font, fontFile, maxWidth } = {}) {
+  const rendered = await sharp({
+    text: {
+      text: markup,
+      font,
+      ...(fontFile && { fontfile: fontFile }),
+      rgba: true,
+      dpi: 72
+    }
+  }).png().toBuffer({ resolveWithObject: true });
+
+  if (!maxWidth || rendered.info.width <= maxWidth) {
+    return { buffer: rendered.data, width: rendered.info.width, height: rendered.info.height };
+  }
+
+  const { data, info } = await sharp(rendered.data).resize({ width: Math.floor(maxWidth) }).png().toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
@@ -0,0 +1,69 @@
+// Calendar dates and wall-clock times in IANA timezones, shared by the daily header, its schedule
+// and the daily rate limits
+
+// Calendar date ({ year, month, day }) it currently is in a timezone. Throws RangeError for an unknown timezone.
+export function calendarDateIn(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day) };
+}
+
+// The calendar date days later (or earlier, for negative days)
+export function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// YYYY-MM-DD, as stored in job records and rate limit counters
+export function isoDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Check a timezone name (e.g. America/New_York) against the runtime's timezone data
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Milliseconds the timezone is ahead of UTC at a given instant
+function timeZoneOffset(timeZone, instant) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(part => [part.type, Number(part.value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The next instant after now when the clock in timeZone shows time ({ hour, minute }), DST-aware
+export function nextDailyRun(now, { hour, minute }, timeZone) {
+  const today = calendarDateIn(timeZone, now);
+
+  for (let dayOffset = 0; dayOffset <= 2; dayOffset++) {
+    const wallClock = Date.UTC(today.year, today.month - 1, today.day + dayOffset, hour, minute);
+    // Correct the guess twice so runs near a DST switch land on the right offset
+    let instant = new Date(wallClock - timeZoneOffset(timeZone, new Date(wallClock)));
+    instant = new Date(wallClock - timeZoneOffset(timeZone, instant));
+    if (instant > now) {
+      return instant;
+    }
+  }
+
+  throw new Error(`Could not schedule ${hour}:${minute} in ${timeZone}`);
+}
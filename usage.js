@@ -0,0 +1,227 @@
+import path from 'path';
+import { appendFile, mkdir, readFile } from 'fs/promises';
+
+// Usage accounting: one JSON line per provider call with who asked for it, the model, the outcome
+// and an estimated cost from the price table. Attempts that failed are kept too, as 'retried' when
+// another attempt followed and 'failed' when the request gave up.
+
+export const CALL_OUTCOMES = ['succeeded', 'retried', 'failed'];
+
+// Estimated USD per image, "model=price" or "model@size=price" for one --size, comma-separated
+export const DEFAULT_USAGE_PRICES = 'gemini-3-pro-image-preview=0.134,gemini-3-pro-image-preview@4K=0.24,gemini-2.5-flash-image=0.039,gpt-image-1=0.063,mock-image-1=0';
+
+// Parse the price table. Throws for entries that don't look like model[@size]=price.
+export function parsePriceTable(text) {
+  const prices = new Map();
+  for (const entry of String(text || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([A-Za-z0-9._/-]+(?:@[A-Za-z0-9]+)?)=(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      throw new Error(`USAGE_PRICES entry "${entry}" must look like model=0.04 or model@4K=0.24`);
+    }
+    prices.set(match[1], Number(match[2]));
+  }
+  return prices;
+}
+
+// Price of one image from a model at a size, or null when the table doesn't list the model
+export function estimateCost(prices, { model, size }) {
+  if (size && prices.has(`${model}@${size}`)) {
+    return prices.get(`${model}@${size}`);
+  }
+  return prices.has(model) ? prices.get(model) : null;
+}
+
+// How far back a report goes: "30d", "12h", "2w" or a YYYY-MM-DD date (UTC). Returns a Date or null if invalid.
+export function parseSince(text, now = new Date()) {
+  const value = String(text || '').trim();
+  const relative = value.match(/^(\d+)([hdw])$/i);
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2].toLowerCase()];
+    return new Date(now.getTime() - Number(relative[1]) * hours * 60 * 60 * 1000);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+export function createUsageLog({ filePath, prices = new Map(), now = () => new Date() }) {
+  const calls = [];
+  let writeChain = Promise.resolve();
+
+  // Serialize appends so lines never interleave
+  const persist = (entry) => {
+    const line = `${JSON.stringify(entry)}\n`;
+    writeChain = writeChain.catch(() => {}).then(() => appendFile(filePath, line));
+    return writeChain;
+  };
+
+  return {
+    async load() {
+      await mkdir(path.dirname(filePath), { recursive: true });
+
+      let content = '';
+      try {
+        content = await readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      calls.length = 0;
+      for (const line of content.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          calls.push(JSON.parse(line));
+        } catch (error) {
+          // Skip a torn final line from a crash mid-write
+        }
+      }
+      return calls.length;
+    },
+
+    // Record one provider call: { jobId, user, channel, command, subject, provider, model, size, ratio,
+    // width, height, attempt, outcome, error, latencyMs }. Only images that were delivered are priced.
+    async record(call) {
+      const entry = {
+        at: now().toISOString(),
+        jobId: null,
+        user: null,
+        channel: null,
+        command: null,
+        subject: null,
+        size: null,
+        width: null,
+        height: null,
+        error: null,
+        ...call,
+        costUsd: call.outcome === 'succeeded' ? estimateCost(prices, call) : 0
+      };
+      calls.push(entry);
+      await persist(entry);
+      return entry;
+    },
+
+    // Calls at or after since (all of them without one), oldest first
+    list({ since } = {}) {
+      return since ? calls.filter(call => new Date(call.at) >= since) : [...calls];
+    }
+  };
+}
+
+const emptyTotals = () => ({ images: 0, costUsd: 0, unpriced: 0, failedAttempts: 0, failedMs: 0 });
+
+function addCall(totals, call) {
+  if (call.outcome === 'succeeded') {
+    totals.images++;
+    if (call.costUsd === null) {
+      totals.unpriced++;
+    } else {
+      totals.costUsd += call.costUsd;
+    }
+  } else {
+    totals.failedAttempts++;
+    totals.failedMs += call.latencyMs || 0;
+  }
+}
+
+// Totals overall and per user, command and model, plus failed attempts grouped by error message
+export function summarizeUsage(calls) {
+  const summary = {
+    ...emptyTotals(),
+    retried: 0,
+    failed: 0,
+    byUser: new Map(),
+    byCommand: new Map(),
+    byModel: new Map(),
+    byError: new Map()
+  };
+
+  for (const call of calls) {
+    addCall(summary, call);
+    for (const [groups, key] of [[summary.byUser, call.user || 'API'], [summary.byCommand, call.command || 'unknown'], [summary.byModel, `${call.provider}/${call.model}`]]) {
+      if (!groups.has(key)) {
+        groups.set(key, emptyTotals());
+      }
+      addCall(groups.get(key), call);
+    }
+    if (call.outcome !== 'succeeded') {
+      summary[call.outcome]++;
+      const error = String(call.error || 'Unknown error').slice(0, 80);
+      summary.byError.set(error, (summary.byError.get(error) || 0) + 1);
+    }
+  }
+
+  return summary;
+}
+
+const formatUsd = (value) => `$${value.toFixed(2)}`;
+const formatSeconds = (ms) => ms >= 60000 ? `${Math.floor(ms / 60000)}m ${Math.round(ms % 60000 / 1000)}s` : `${Math.round(ms / 1000)}s`;
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+function formatTotals(totals) {
+  const parts = [`${plural(totals.images, 'image')}, ~${formatUsd(totals.costUsd)}`];
+  if (totals.unpriced > 0) {
+    parts.push(`${totals.unpriced} unpriced`);
+  }
+  if (totals.failedAttempts > 0) {
+    parts.push(`${plural(totals.failedAttempts, 'failed attempt')}`);
+  }
+  return parts.join(', ');
+}
+
+// Slack report for /tmai usage. Groups are sorted by images and cut to the top `top` rows.
+export function formatUsageReport(summary, { sinceLabel, top = 10 } = {}) {
+  const lines = [`*Image usage ${sinceLabel}*`, formatTotals(summary)];
+
+  if (summary.failedAttempts > 0) {
+    lines.push(`Failed attempts: ${summary.retried} retried, ${summary.failed} gave up, ${formatSeconds(summary.failedMs)} spent waiting on them`);
+    const errors = [...summary.byError].sort((a, b) => b[1] - a[1]).slice(0, 3);
+    for (const [error, count] of errors) {
+      lines.push(`• ${count}× ${error}`);
+    }
+  }
+
+  const section = (title, groups, label) => {
+    if (groups.size === 0) {
+      return;
+    }
+    lines.push('', `*${title}*`);
+    const rows = [...groups].sort((a, b) => b[1].images - a[1].images || b[1].failedAttempts - a[1].failedAttempts);
+    for (const [key, totals] of rows.slice(0, top)) {
+      lines.push(`• ${label(key)}: ${formatTotals(totals)}`);
+    }
+    if (rows.length > top) {
+      lines.push(`• …and ${rows.length - top} more`);
+    }
+  };
+  section('By user', summary.byUser, key => key === 'API' ? 'HTTP API' : `<@${key}>`);
+  section('By command', summary.byCommand, key => key);
+  section('By model', summary.byModel, key => key);
+
+  lines.push('', '_Costs are estimates from USAGE_PRICES; failed attempts are not charged._');
+  return lines.join('\n');
+}
+
+export const USAGE_CSV_COLUMNS = ['at', 'jobId', 'user', 'channel', 'command', 'subject', 'provider', 'model', 'size', 'ratio', 'width', 'height', 'attempt', 'outcome', 'error', 'latencyMs', 'costUsd'];
+
+// Quote a CSV field when needed; a leading = + - @ is escaped so spreadsheets don't run it as a formula
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function usageCsv(calls) {
+  const rows = calls.map(call => USAGE_CSV_COLUMNS.map(column => csvField(call[column])).join(','));
+  return `${[USAGE_CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}